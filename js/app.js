@@ -4,16 +4,39 @@
 const MorphApp = (() => {
   let myName = '';
   let myPeerId = '';
-  let currentRoom = null; // { id, name, type, pin }
-  let messages = []; // { id, from, fromId, text, time, type }
+  let currentRoom = null; // { id, name, type, pin, joinPin, hostId, locked, manual? }
+  let lastJoinPin = null;  // PIN of the join request in flight
+  let rejoining = false;   // signaling session expired, re-entering currentRoom
+  let messages = []; // { id, from, fromId, text, time, clock?, type, receipts?, edited?, deleted?, reactions? }
+  const unreadByPeer = new Map(); // peerId -> message IDs awaiting a read receipt
   let isConnected = false;
+  let expandedPeerId = null; // peer whose safety number panel is open
+  let whisperTarget = null; // { id, name } the composer is whispering to
+  const removedPeers = new Set(); // peer IDs the host kicked (announced once)
+  // Everyone seen in this room, kept after they leave (for transcripts)
+  const roomParticipants = new Map(); // peerId -> { name, fingerprint, safetyNumber, verification }
+  let viewerReturnScreen = 'login';
+  let pendingImport = null; // bundle text waiting for its passphrase
+  let qrScan = null; // { stream, timer } while the camera looks for a pairing QR
+  let diagPeerId = null; // peer the diagnostics panel is showing
+  const newcomers = new Set(); // peers who joined after us and are owed a backfill offer
+  const backfillCounts = new Map(); // peerId -> { offered, added } from their backfill
+  let joinedAt = 0;
 
   // ── Initialization ──────────────────────────────────
   async function init() {
     console.log('⚡ MorphStorm v' + MorphConfig.VERSION);
+    await MorphIdentity.init();
     await MorphRTC.init();
     setupSignalingHandlers();
     setupRTCHandlers();
+    setupTransferHandlers();
+    setupDeliveryHandlers();
+    setupVoiceHandlers();
+    setupPresenceHandlers();
+    setupOrderingHandlers();
+    setupPairingHandlers();
+    registerCommands();
     setupUI();
     showScreen('login');
     animateBootSequence();
@@ -24,6 +47,7 @@ const MorphApp = (() => {
     const lines = [
       '> MORPHSTORM v1.0.0',
       '> Initializing cipher engine...',
+      '> Identity key loaded',
       '> ECDH key pair generated',
       '> AES-256-GCM ready',
       '> WebRTC mesh protocol loaded',
@@ -51,6 +75,8 @@ const MorphApp = (() => {
   // ── Signaling handlers ──────────────────────────────
   function setupSignalingHandlers() {
     MorphSignaling.on('status', (data) => {
+      // The socket is up again, but we're not back in the room yet
+      if (rejoining && data.state === 'connected') return;
       updateConnectionStatus(data.state);
     });
 
@@ -59,81 +85,848 @@ const MorphApp = (() => {
         id: data.roomId,
         name: data.roomName,
         type: data.roomType,
-        pin: data.pin
+        pin: data.pin,
+        joinPin: data.pin,
+        hostId: data.hostId,
+        locked: false,
+        backfill: Number.isInteger(data.backfill) ? data.backfill : 0
       };
+      MorphRTC.setRoomContext({ roomId: data.roomId, roomType: data.roomType });
+      MorphRTC.setRoster([]);
+      MorphClock.begin();
       showScreen('chat');
       addSystemMessage(`Room "${data.roomName}" created. PIN: ${data.pin}`);
       addSystemMessage('Share the PIN with others to connect.');
       updateRoomHeader();
+      restoreHistory();
     });
 
     MorphSignaling.on('room-joined', (data) => {
+      const wasRejoin = rejoining;
+      rejoining = false;
       currentRoom = {
         id: data.roomId,
         name: data.roomName,
         type: data.roomType,
-        pin: null
+        pin: wasRejoin ? currentRoom?.pin || null : null,
+        joinPin: lastJoinPin,
+        hostId: data.hostId,
+        locked: data.locked === true,
+        backfill: Number.isInteger(data.backfill) ? data.backfill : 0
       };
+      joinedAt = Date.now();
+      MorphRTC.setRoomContext({ roomId: data.roomId, roomType: data.roomType });
+      MorphRTC.setRoster((data.peers || []).map(p => p.id));
+      if (!wasRejoin) MorphClock.begin();
       showScreen('chat');
-      addSystemMessage(`Joined "${data.roomName}"`);
+      restoreHistory();
+      if (wasRejoin) {
+        updateConnectionStatus('connected');
+        addSystemMessage(`Rejoined "${data.roomName}"`);
+      } else {
+        addSystemMessage(`Joined "${data.roomName}"`);
+      }
       updateRoomHeader();
 
-      // Initiate WebRTC connections to all existing peers
+      // Link to the existing peers: all of them in a small room, a few
+      // neighbours in a big one (the rest are reached through relays)
       if (data.peers && data.peers.length > 0) {
         addSystemMessage(`Found ${data.peers.length} peer(s). Establishing encrypted links...`);
-        data.peers.forEach(peer => {
-          MorphRTC.connectToPeer(peer.id, peer.name);
-        });
+        const linked = MorphRTC.joinMesh(data.peers);
+        if (linked < data.peers.length) {
+          addSystemMessage(`Large room: linking directly to ${linked} neighbour(s), relaying to the rest`);
+        }
       }
     });
 
     MorphSignaling.on('peer-joined', (data) => {
       addSystemMessage(`${data.peerName} joined the room`);
+      MorphRTC.addToRoster(data.peerId);
       // New peer will initiate connection to us, we just wait
+      newcomers.add(data.peerId);
     });
 
     MorphSignaling.on('peer-left', (data) => {
-      addSystemMessage(`${data.peerName} left the room`);
+      if (data.reason === 'kicked') {
+        applyKick(data.peerId, data.peerName);
+      } else {
+        addSystemMessage(`${data.peerName} left the room`);
+      }
+      newcomers.delete(data.peerId);
+      MorphRTC.removeFromRoster(data.peerId);
       MorphRTC.disconnectPeer(data.peerId);
       updatePeerList();
     });
 
+    // Moderation notices from the server (the host's mesh announcements
+    // apply the same changes; whichever arrives first wins)
+    MorphSignaling.on('kicked', (data) => {
+      leaveCurrentRoom();
+      showToast(`You were removed from the room by ${data.byName || 'the host'}`, 'error');
+    });
+
+    MorphSignaling.on('room-locked', (data) => applyRoomLock(data.locked === true, data.byName));
+
+    MorphSignaling.on('pin-rotated', (data) => {
+      applyPinRotation(data.pin, data.byName);
+      // Members who trust the host but not the server can check it here
+      if (isHost()) MorphRTC.broadcast({ type: 'host-action', action: 'rotate-pin', pin: data.pin });
+    });
+
+    MorphSignaling.on('host-changed', (data) => applyHostChange(data.hostId, data.hostName));
+
+    // Socket came back and the server still had our seat: nothing to redo.
+    // A kick that happened while we were away is applied, not undone.
+    MorphSignaling.on('resumed', (data) => {
+      myPeerId = data.peerId;
+      if (currentRoom && data.kicked?.roomId === currentRoom.id) {
+        leaveCurrentRoom();
+        showToast(`You were removed from the room by ${data.kicked.byName || 'the host'}`, 'error');
+      } else if (currentRoom && data.roomId !== currentRoom.id) {
+        rejoinCurrentRoom();
+      }
+    });
+
+    // Server forgot us: our old peer ID is gone, so every link is stale
+    MorphSignaling.on('session-lost', (data) => {
+      myPeerId = data.peerId;
+      if (currentRoom) rejoinCurrentRoom(data.previous);
+    });
+
+    MorphSignaling.on('peer-renamed', (data) => {
+      if (data.peerId === myPeerId) {
+        myName = data.peerName;
+        MorphRTC.setLocalName(myName);
+        addSystemMessage(`You are now known as ${myName}`);
+      } else {
+        MorphRTC.renamePeer(data.peerId, data.peerName);
+        addSystemMessage(`${data.oldName} is now known as ${data.peerName}`);
+        if (whisperTarget?.id === data.peerId) setWhisperTarget({ id: data.peerId, name: data.peerName });
+      }
+      updatePeerList();
+    });
+
     MorphSignaling.on('signal', (data) => {
       MorphRTC.handleSignal(data.fromPeerId, data.fromPeerName, data.signal);
     });
 
-    MorphSignaling.on('left-room', () => {
-      currentRoom = null;
-      MorphRTC.disconnectAll();
-      messages = [];
-      showScreen('lobby');
-    });
+    MorphSignaling.on('left-room', leaveCurrentRoom);
 
     MorphSignaling.on('error', (data) => {
+      if (rejoining) {
+        rejoining = false;
+        addSystemMessage(`Could not rejoin the room: ${data.message || 'unknown error'}`);
+        leaveCurrentRoom();
+        updateConnectionStatus('connected');
+      }
       showToast(data.message || 'Connection error', 'error');
     });
   }
 
+  function leaveCurrentRoom() {
+    if (currentRoom?.manual) endPairing();
+    currentRoom = null;
+    MorphRTC.disconnectAll();
+    MorphTransfer.reset();
+    MorphVoice.reset();
+    MorphPresence.reset();
+    MorphHistory.close();
+    MorphClock.reset();
+    newcomers.clear();
+    backfillCounts.clear();
+    roomParticipants.clear();
+    removedPeers.clear();
+    setWhisperTarget(null);
+    MorphDelivery.reset();
+    unreadByPeer.clear();
+    messages = [];
+    showScreen(isConnected ? 'lobby' : 'login');
+  }
+
+  // Re-enter the room we were in under a fresh peer ID. Chat history stays;
+  // the mesh is rebuilt from the join reply. previous (the lost session)
+  // gets us back in if the room was locked while we were gone.
+  function rejoinCurrentRoom(previous = null) {
+    const pin = currentRoom.joinPin;
+    MorphRTC.disconnectAll();
+    updatePeerList();
+    if (!pin) {
+      leaveCurrentRoom();
+      return;
+    }
+    rejoining = true;
+    lastJoinPin = pin;
+    updateConnectionStatus('resyncing');
+    addSystemMessage('Signaling session expired — rejoining room...');
+    MorphSignaling.joinRoom(myName, pin, previous);
+  }
+
   // ── RTC handlers ────────────────────────────────────
   function setupRTCHandlers() {
     MorphRTC.on('peer-connected', (data) => {
       addSystemMessage(`🔗 Connected to ${data.name}`);
+      if (currentRoom?.manual && !currentRoom.name) enterPairedRoom(data.name);
       updatePeerList();
     });
 
     MorphRTC.on('peer-encrypted', (data) => {
       addSystemMessage(`🔐 Encrypted channel established with ${data.name}`);
       updatePeerList();
+      if (newcomers.delete(data.peerId)) offerBackfill(data.peerId);
+    });
+
+    // Reached through the overlay rather than a link of our own
+    MorphRTC.on('peer-relayed', (data) => {
+      if (!data.updated) addSystemMessage(`📡 Reaching ${data.name} through relays`);
+      updatePeerList();
+    });
+
+    MorphRTC.on('peer-key-changed', (data) => {
+      addSystemMessage(`⚠️ ${data.name}'s key changed — compare safety numbers again`);
+      updatePeerList();
+    });
+
+    MorphRTC.on('peer-identity-changed', (data) => {
+      addSystemMessage(`🚨 ${data.name} is using a different identity key than before ` +
+        `(was ${data.previousFingerprint}, now ${data.fingerprint}). This may not be the ${data.name} you know — ` +
+        'compare safety numbers before trusting the new key.');
+      showToast(`${data.name}'s identity key changed!`, 'error');
+      updatePeerList();
+    });
+
+    MorphRTC.on('peer-verification', (data) => {
+      if (data.remembered) {
+        addSystemMessage(`✅ ${data.name} is verified (same identity key as when you compared safety numbers)`);
+      } else if (data.status === 'verified') {
+        addSystemMessage(`✅ You verified ${data.name}'s safety number`);
+      } else if (data.status === 'mismatch') {
+        addSystemMessage(`🚨 Safety number mismatch with ${data.name}. This link may be intercepted — messages to and from them are blocked.`);
+        showToast(`Safety number mismatch with ${data.name}`, 'error');
+      }
+      updatePeerList();
+    });
+
+    // Transient drops only change the sidebar; the peer keeps its place
+    MorphRTC.on('peer-reconnecting', () => {
+      updatePeerList();
+    });
+
+    MorphRTC.on('peer-reconnected', (data) => {
+      addSystemMessage(`🔗 Reconnected to ${data.name}`);
+      updatePeerList();
+    });
+
+    // Replayed, reflected or misdirected frames (already rate-limited per peer)
+    MorphRTC.on('security-warning', (data) => {
+      const more = data.suppressed ? ` (${data.suppressed} similar warning(s) suppressed)` : '';
+      addSystemMessage(`⚠️ Dropped a frame from ${data.name}: ${data.reason}${more}`);
+    });
+
+    MorphRTC.on('peer-banned', (data) => {
+      addSystemMessage(`🚫 Refused ${data.name}: the host removed this identity from the room`);
     });
 
     MorphRTC.on('peer-disconnected', (data) => {
       addSystemMessage(`❌ ${data.name} disconnected`);
+      if (currentRoom?.manual) addSystemMessage('Offline pairing ended — leave and pair again with new codes to reconnect.');
+      if (whisperTarget?.id === data.peerId) setWhisperTarget(null);
       updatePeerList();
     });
 
     MorphRTC.on('message', (data) => {
-      addChatMessage(data.fromName, data.fromPeerId, data.text, data.time);
+      if (data.type === 'edit' || data.type === 'delete' || data.type === 'react' || data.type === 'restamp') {
+        handleMessageChange(data);
+        return;
+      }
+      if (data.type === 'clock-ahead') {
+        handleClockAhead(data);
+        return;
+      }
+      if (data.type === 'host-action') {
+        handleHostAction(data);
+        return;
+      }
+      if (data.type === 'backfill') {
+        handleBackfill(data);
+        return;
+      }
+      if (data.type !== 'chat' || typeof data.text !== 'string') return;
+      // A whisper under the group key was readable by everyone: not a whisper
+      if (data.whisper === true && !data.direct) return;
+      // Stamped too far ahead of our clock: refused without an ack, and the
+      // author re-stamps it for everyone (see handleClockAhead)
+      if (MorphClock.isValid(data.clock) && !MorphClock.isAcceptable(data.clock)) {
+        MorphRTC.sendToPeer(data.fromPeerId, { type: 'clock-ahead', target: data.id, now: MorphClock.now() });
+        return;
+      }
+      // Duplicates (retries) are re-acked by MorphDelivery but not shown twice
+      if (!MorphDelivery.receive(data)) return;
+      addChatMessage({
+        id: data.id,
+        from: data.fromName,
+        fromId: data.fromPeerId,
+        text: data.text,
+        time: Number.isFinite(data.time) ? data.time : Date.now(),
+        // Senders without a usable clock get sorted by when we heard them
+        clock: MorphClock.stampFor(data.clock),
+        emote: data.emote === true,
+        whisper: data.whisper === true ? { toId: myPeerId, toName: myName } : null
+      });
       playMessageSound();
+      queueReadReceipt(data.fromPeerId, data.id);
+    });
+  }
+
+  // ── Delivery receipts ───────────────────────────────
+  function setupDeliveryHandlers() {
+    MorphDelivery.on('status', (data) => {
+      const msg = messages.find(m => m.isSelf && m.id === data.id);
+      if (!msg || !msg.receipts) return;
+      msg.receipts[data.peerId] = { name: data.name, status: data.status };
+      renderReceipts(msg);
+    });
+
+    // Messages only count as read once the tab is actually being looked at
+    document.addEventListener('visibilitychange', flushReadReceipts);
+    window.addEventListener('focus', flushReadReceipts);
+  }
+
+  function queueReadReceipt(peerId, messageId) {
+    if (!unreadByPeer.has(peerId)) unreadByPeer.set(peerId, []);
+    unreadByPeer.get(peerId).push(messageId);
+    flushReadReceipts();
+  }
+
+  function flushReadReceipts() {
+    if (document.visibilityState !== 'visible' || !document.hasFocus()) return;
+    for (const [peerId, ids] of unreadByPeer) {
+      MorphDelivery.markRead(peerId, ids);
+    }
+    unreadByPeer.clear();
+  }
+
+  // ── Transcripts ─────────────────────────────────────
+  function trackParticipants(peers) {
+    for (const peer of peers) {
+      if (!peer.fingerprint) continue;
+      roomParticipants.set(peer.id, {
+        name: peer.name,
+        fingerprint: peer.fingerprint,
+        safetyNumber: peer.safetyNumber,
+        verification: peer.verification
+      });
+    }
+  }
+
+  function showExportModal() {
+    document.getElementById('input-export-pass').value = '';
+    updateExportForm();
+    document.getElementById('modal-export').classList.add('open');
+  }
+
+  function updateExportForm() {
+    const format = document.getElementById('select-export-format').value;
+    document.getElementById('export-pass-field').hidden = format !== 'bundle';
+  }
+
+  async function handleExport() {
+    const format = document.getElementById('select-export-format').value;
+    const passphrase = document.getElementById('input-export-pass').value;
+    if (format === 'bundle' && !passphrase) {
+      showToast('Enter a passphrase for the bundle', 'warn');
+      return;
+    }
+
+    const transcript = MorphTranscript.build({
+      room: currentRoom,
+      participants: [
+        { name: `${myName} (you)`, fingerprint: MorphIdentity.getFingerprint() },
+        ...roomParticipants.values()
+      ],
+      messages,
+      exportedBy: myName
+    });
+
+    const slug = currentRoom.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'room';
+    const base = `morphstorm-${slug}-${new Date().toISOString().slice(0, 10)}`;
+    try {
+      if (format === 'markdown') {
+        downloadFile(`${base}.md`, MorphTranscript.toMarkdown(transcript), 'text/markdown');
+      } else if (format === 'json') {
+        downloadFile(`${base}.json`, MorphTranscript.toJSON(transcript), 'application/json');
+      } else {
+        downloadFile(`${base}.msbundle.json`, await MorphTranscript.toBundle(transcript, passphrase), 'application/json');
+      }
+      closeModals();
+      showToast('Transcript exported', 'success');
+    } catch (err) {
+      showToast(`Export failed: ${err.message}`, 'error');
+    }
+  }
+
+  function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async function handleTranscriptFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    if (file.size > 20 * 1024 * 1024) {
+      showToast('File too large to be a transcript', 'warn');
+      return;
+    }
+
+    const text = await file.text();
+    if (MorphTranscript.isBundle(text)) {
+      pendingImport = text;
+      document.getElementById('input-import-pass').value = '';
+      document.getElementById('modal-import').classList.add('open');
+      document.getElementById('input-import-pass').focus();
+    } else {
+      openTranscript(text);
+    }
+  }
+
+  function handleImportPassphrase() {
+    const passphrase = document.getElementById('input-import-pass').value;
+    if (!pendingImport || !passphrase) return;
+    openTranscript(pendingImport, passphrase);
+  }
+
+  async function openTranscript(text, passphrase = '') {
+    try {
+      const transcript = await MorphTranscript.parse(text, passphrase);
+      pendingImport = null;
+      closeModals();
+      showViewer(transcript);
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  }
+
+  // Read-only: nothing in the viewer is sent, stored or editable
+  function showViewer(t) {
+    viewerReturnScreen = document.querySelector('.screen.active')?.id.replace('screen-', '') || 'login';
+
+    document.getElementById('viewer-room-name').textContent = t.room.name;
+    const typeEl = document.getElementById('viewer-room-type');
+    typeEl.textContent = t.room.type === 'dm' ? 'DM' : 'GROUP';
+    typeEl.className = `room-type-badge badge-${t.room.type}`;
+    document.getElementById('viewer-meta').textContent =
+      `Exported ${t.exportedAt ? new Date(t.exportedAt).toLocaleString() : 'at an unknown time'}` +
+      `${t.exportedBy ? ` by ${t.exportedBy}` : ''} · ${t.messages.length} entries`;
+
+    document.getElementById('viewer-participants').innerHTML = t.participants.map(p => `
+      <div class="viewer-participant">
+        <span class="peer-name">${escapeHtml(p.name)}</span>
+        <span class="viewer-fingerprint">${escapeHtml(p.fingerprint || 'no fingerprint')}</span>
+        <span class="peer-badge badge-${p.verification}">${p.verification}</span>
+      </div>
+    `).join('');
+
+    const container = document.getElementById('viewer-messages');
+    container.replaceChildren(...t.messages.map(m => buildMessageElement(viewerMessage(m))));
+    showScreen('viewer');
+    container.scrollTop = 0;
+  }
+
+  function viewerMessage(m) {
+    const time = Date.parse(m.time);
+    const when = new Date(time).toLocaleString();
+    if (m.type === 'system') return { type: 'system', text: `${when} — ${m.text}` };
+    if (m.type === 'file') {
+      return { type: 'system', text: `${when} — 📎 ${m.from} shared ${m.name} (${formatBytes(m.size)})` };
+    }
+    return {
+      type: 'chat',
+      id: m.id,
+      from: m.from,
+      fromId: '',
+      text: m.text,
+      time,
+      isSelf: m.isSelf,
+      edited: m.edited,
+      deleted: m.deleted,
+      emote: m.emote,
+      whisper: m.whisperTo ? { toId: '', toName: m.whisperTo } : null,
+      // Names only in transcripts; fillMessage just needs one entry per reactor
+      reactions: Object.fromEntries(Object.entries(m.reactions).map(([emoji, names]) =>
+        [emoji, Object.fromEntries(names.map((name, i) => [`r${i}`, name]))]
+      )),
+      readOnly: true
+    };
+  }
+
+  function closeViewer() {
+    document.getElementById('viewer-messages').replaceChildren();
+    showScreen(viewerReturnScreen);
+  }
+
+  // ── Contacts ────────────────────────────────────────
+  async function showContactsModal() {
+    const fp = MorphIdentity.getFingerprint();
+    document.getElementById('my-identity').innerHTML = `
+      ${MorphIdentity.identicon(fp, 28)}
+      <div>
+        <div class="contact-name">Your identity key</div>
+        <div class="contact-fingerprint">${escapeHtml(fp)}</div>
+        ${MorphIdentity.isPersistent() ? '' : '<div class="contact-meta">Storage unavailable — this key lasts for this session only</div>'}
+      </div>
+    `;
+    await renderContacts();
+    document.getElementById('modal-contacts').classList.add('open');
+  }
+
+  async function renderContacts() {
+    const list = document.getElementById('contacts-list');
+    const contacts = await MorphIdentity.listContacts();
+    if (contacts.length === 0) {
+      list.innerHTML = '<p class="modal-note">No contacts yet. People you meet are remembered here by name and identity key.</p>';
+      return;
+    }
+    list.innerHTML = contacts.map(c => `
+      <div class="contact-item">
+        ${MorphIdentity.identicon(c.fingerprint, 24)}
+        <div class="contact-info">
+          <div class="contact-name">${escapeHtml(c.name)} ${c.verified ? '<span class="peer-badge badge-verified" title="Safety number verified">✔</span>' : ''}</div>
+          <div class="contact-fingerprint">${escapeHtml(c.fingerprint)}</div>
+          <div class="contact-meta">First seen ${new Date(c.firstSeen).toLocaleDateString()} · last seen ${new Date(c.lastSeen).toLocaleDateString()}</div>
+        </div>
+        <button class="btn btn-ghost btn-xs" data-action="forget-contact">Forget</button>
+      </div>
+    `).join('');
+    // Names were chosen by peers: stored through dataset, not markup
+    list.querySelectorAll('[data-action="forget-contact"]').forEach((btn, i) => {
+      btn.dataset.name = contacts[i].name;
+    });
+  }
+
+  async function handleContactsClick(e) {
+    const btn = e.target.closest('[data-action="forget-contact"]');
+    if (!btn) return;
+    const name = btn.dataset.name;
+    if (!confirm(`Forget ${name}? Their next key will be trusted as if you'd never met.`)) return;
+    await MorphIdentity.forgetContact(name);
+    await renderContacts();
+  }
+
+  // ── Local history ───────────────────────────────────
+  // Only touches storage for rooms the user unlocked this session
+  async function restoreHistory() {
+    try {
+      const stored = await MorphHistory.open(currentRoom);
+      if (stored) showStoredMessages(stored);
+    } catch (err) {
+      console.error('[HISTORY] Could not load history:', err);
+    }
+    updateHistoryButton();
+  }
+
+  // Put stored messages above everything shown this session
+  function showStoredMessages(stored) {
+    const container = document.getElementById('chat-messages');
+    const fresh = stored
+      .filter(m => !findChatMessage(m.fromId, m.id))
+      .map(m => ({ ...m, type: 'chat', historical: true }));
+    if (!container || fresh.length === 0) return;
+
+    const fragment = document.createDocumentFragment();
+    fresh.forEach(m => fragment.appendChild(buildMessageElement(m)));
+    fragment.appendChild(buildMessageElement({
+      type: 'system',
+      text: `— ${fresh.length} message(s) from local history —`,
+      historical: true
+    }));
+    container.prepend(fragment);
+    messages.unshift(...fresh);
+  }
+
+  function showHistoryModal() {
+    const enabled = MorphHistory.isEnabled();
+    const status = document.getElementById('history-status');
+    status.textContent = enabled
+      ? `On as "${MorphHistory.getLabel(currentRoom)}" — this room's messages are stored encrypted on this device for ${MorphHistory.getRetentionDays()} day(s), up to ${MorphConfig.HISTORY_MAX_MESSAGES} messages.`
+      : 'Off — nothing from this room touches storage. Name this history and enter a passphrase to turn it on, or use an earlier name to unlock history saved under it.';
+    document.getElementById('history-unlock').hidden = enabled;
+    document.getElementById('btn-history-on').hidden = enabled;
+    document.getElementById('btn-history-off').hidden = !enabled;
+
+    const select = document.getElementById('select-history-days');
+    if (select.options.length === 0) {
+      select.innerHTML = MorphConfig.HISTORY_RETENTION_DAYS
+        .map(d => `<option value="${d}">${d} day${d === 1 ? '' : 's'}</option>`).join('');
+      select.value = String(MorphConfig.HISTORY_DEFAULT_DAYS);
+    }
+
+    document.getElementById('modal-history').classList.add('open');
+    if (!enabled) document.getElementById('input-history-label').focus();
+  }
+
+  async function handleHistoryEnable() {
+    const labelInput = document.getElementById('input-history-label');
+    const input = document.getElementById('input-history-pass');
+    const button = document.getElementById('btn-history-on');
+    if (!labelInput.value.trim()) {
+      showToast('Give this history a name', 'warn');
+      labelInput.focus();
+      return;
+    }
+    if (!input.value) {
+      showToast('Enter a passphrase', 'warn');
+      return;
+    }
+
+    button.disabled = true;
+    try {
+      const days = Number(document.getElementById('select-history-days').value);
+      const stored = await MorphHistory.enable(currentRoom, labelInput.value, input.value, days);
+      input.value = '';
+      labelInput.value = '';
+      showStoredMessages(stored);
+      // What's already on screen this session is kept too
+      messages.filter(m => m.type === 'chat' && !m.historical).forEach(m => MorphHistory.save(m));
+      addSystemMessage('🗄 Local history on — messages in this room are stored encrypted on this device');
+      closeModals();
+    } catch (err) {
+      showToast(err.message, 'error');
+    } finally {
+      button.disabled = false;
+      updateHistoryButton();
+    }
+  }
+
+  async function handleHistoryDisable() {
+    await MorphHistory.disable(currentRoom);
+    addSystemMessage('🗄 Local history off — new messages are no longer stored');
+    closeModals();
+    updateHistoryButton();
+  }
+
+  // Burns the history this room is on under, or the one named in the form
+  async function handleHistoryBurn() {
+    const label = MorphHistory.getLabel(currentRoom) || document.getElementById('input-history-label').value;
+    if (!label.trim()) {
+      showToast('Enter the name of the history to burn', 'warn');
+      return;
+    }
+    if (!confirm(`Permanently delete all locally stored history named "${label.trim()}"?`)) return;
+    try {
+      const count = await MorphHistory.burn(currentRoom, label);
+      messages = messages.filter(m => !m.historical);
+      document.querySelectorAll('#chat-messages .msg-historical').forEach(el => el.remove());
+      addSystemMessage(`🔥 Burned ${count} locally stored message(s)`);
+      closeModals();
+    } catch (err) {
+      showToast(`Could not burn history: ${err.message}`, 'error');
+    }
+    updateHistoryButton();
+  }
+
+  function updateHistoryButton() {
+    const btn = document.getElementById('btn-history');
+    if (!btn) return;
+    const enabled = MorphHistory.isEnabled();
+    btn.classList.toggle('history-on', enabled);
+    btn.title = enabled ? 'Local history: on' : 'Local history: off';
+  }
+
+  // ── Typing & presence ───────────────────────────────
+  function setupPresenceHandlers() {
+    MorphPresence.on('presence', () => updatePeerList());
+    MorphPresence.on('typing', ({ names }) => renderTypingIndicator(names));
+  }
+
+  // ── Ordering ────────────────────────────────────────
+  // Chat messages sit in clock order (see MorphClock); system notes and file
+  // cards stay where they appeared. Whispers and messages reloaded from
+  // local history aren't part of what peers compare.
+  function isOrdered(msg) {
+    return msg.type === 'chat' && !!msg.clock && !msg.historical;
+  }
+
+  function setupOrderingHandlers() {
+    MorphClock.setTranscript(() => messages.filter(m => isOrdered(m) && !m.whisper));
+
+    MorphClock.on('divergence', (data) => {
+      addSystemMessage(`⚠️ Your transcript differs from ${data.name}'s between ${formatClockTime(data.from)} ` +
+        `and ${formatClockTime(data.to)} (${data.ours} vs ${data.theirs} messages) — a message was missed or reordered`);
+    });
+  }
+
+  function formatClockTime(wall) {
+    return new Date(wall).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  }
+
+  async function checkOrder() {
+    addSystemMessage('Comparing the recent transcript with everyone...');
+    const result = await MorphClock.runCheck({ force: true });
+    if (!result) {
+      addSystemMessage('Nothing to compare yet — checks cover messages more than a few seconds old');
+      return;
+    }
+    const parts = [];
+    if (result.matched.length) parts.push(`✅ matches ${result.matched.join(', ')}`);
+    if (result.differed.length) parts.push(`⚠️ differs from ${result.differed.join(', ')}`);
+    if (result.unknown.length) parts.push(`${result.unknown.join(', ')} joined too late to compare`);
+    if (result.silent.length) parts.push(`no answer from ${result.silent.join(', ')}`);
+    addSystemMessage(`Transcript check: ${parts.join(' · ')}`);
+  }
+
+  // ── Backfill ────────────────────────────────────────
+  // Members offer a newcomer the room's recent chat over the new pairwise
+  // channel, so they don't arrive to an empty room. Only what we saw
+  // ourselves goes out: no whispers, deleted messages, local history or
+  // anything we were backfilled. The room's creator sets how much (or
+  // turns it off) when creating it. Nothing in a batch is signed by the
+  // authors, so backfilled messages are shown without an identity.
+  const BACKFILL_BATCH = 10;
+
+  async function offerBackfill(peerId) {
+    const limit = currentRoom?.backfill || 0;
+    if (limit <= 0) return;
+    const recent = messages
+      .filter(m => isOrdered(m) && !m.whisper && !m.deleted && !m.backfill)
+      .slice(-limit)
+      .map(m => ({
+        id: m.id,
+        fromId: m.fromId,
+        from: m.from,
+        text: m.text,
+        time: m.time,
+        clock: m.clock,
+        emote: m.emote,
+        edited: m.edited
+      }));
+
+    for (let i = 0; i < recent.length; i += BACKFILL_BATCH) {
+      const sent = await MorphRTC.sendToPeer(peerId, {
+        type: 'backfill',
+        messages: recent.slice(i, i + BACKFILL_BATCH),
+        done: i + BACKFILL_BATCH >= recent.length
+      });
+      if (!sent) return;
+    }
+  }
+
+  function isValidBackfill(m) {
+    const id = value => typeof value === 'string' && value.length > 0 && value.length <= 64;
+    return !!m && id(m.id) && id(m.fromId) &&
+      typeof m.from === 'string' && m.from.length > 0 && m.from.length <= 40 &&
+      typeof m.text === 'string' && Number.isFinite(m.time) && MorphClock.isAcceptable(m.clock);
+  }
+
+  // Offers from several members overlap; each message is merged once, in
+  // clock order
+  function handleBackfill(data) {
+    if (!data.direct || !currentRoom?.backfill || !Array.isArray(data.messages)) return;
+    if (Date.now() - joinedAt > MorphConfig.BACKFILL_WINDOW) return;
+
+    const count = backfillCounts.get(data.fromPeerId) || { offered: 0, added: 0 };
+    backfillCounts.set(data.fromPeerId, count);
+    for (const m of data.messages.slice(0, Math.max(0, currentRoom.backfill - count.offered))) {
+      count.offered++;
+      if (!isValidBackfill(m) || m.fromId === myPeerId || findChatMessage(m.fromId, m.id)) continue;
+      const msg = {
+        id: m.id,
+        from: m.from,
+        fromId: m.fromId,
+        // Any member can claim any author here, so don't vouch for one
+        authorKey: null,
+        text: m.text,
+        time: m.time,
+        clock: { wall: m.clock.wall, count: m.clock.count },
+        type: 'chat',
+        isSelf: false,
+        emote: m.emote === true,
+        whisper: null,
+        edited: m.edited === true,
+        deleted: false,
+        reactions: {},
+        backfill: { byId: data.fromPeerId, byName: data.fromName }
+      };
+      insertChatMessage(msg);
+      MorphHistory.save(msg);
+      count.added++;
+    }
+
+    if (data.done === true && count.added > 0) {
+      addSystemMessage(`↺ Caught up on ${count.added} earlier message(s) from ${data.fromName}`);
+    }
+  }
+
+  function renderTypingIndicator(names) {
+    const el = document.getElementById('typing-indicator');
+    if (!el) return;
+    let text = '';
+    if (names.length === 1) text = `${names[0]} is typing…`;
+    else if (names.length === 2) text = `${names[0]} and ${names[1]} are typing…`;
+    else if (names.length > 2) text = 'Several people are typing…';
+    el.textContent = text;
+  }
+
+  // ── Voice call handlers ─────────────────────────────
+  function setupVoiceHandlers() {
+    MorphVoice.on('state', () => {
+      updateCallControls();
+      updatePeerList();
+    });
+
+    MorphVoice.on('participant', (data) => {
+      if (data.joined) addSystemMessage(`📞 ${data.name} joined the call`);
+      if (data.left) addSystemMessage(`📴 ${data.name} left the call`);
+      updatePeerList();
+    });
+
+    // Toggled in place — a full re-render would break volume slider drags
+    MorphVoice.on('speaking', ({ peerId, speaking }) => {
+      document.querySelector(`.peer-item[data-peer-id="${CSS.escape(peerId)}"]`)
+        ?.classList.toggle('speaking', speaking);
+    });
+  }
+
+  async function handleCallToggle() {
+    if (MorphVoice.getState().inCall) {
+      MorphVoice.leave();
+      return;
+    }
+    try {
+      await MorphVoice.join();
+    } catch (err) {
+      showToast(`Microphone unavailable: ${err.message}`, 'error');
+    }
+  }
+
+  function updateCallControls() {
+    const { inCall, muted } = MorphVoice.getState();
+    const callBtn = document.getElementById('btn-call');
+    const muteBtn = document.getElementById('btn-mute');
+    if (callBtn) {
+      callBtn.textContent = inCall ? '📴' : '📞';
+      callBtn.title = inCall ? 'Leave call' : 'Join voice call';
+      callBtn.classList.toggle('in-call', inCall);
+    }
+    if (muteBtn) {
+      muteBtn.hidden = !inCall;
+      muteBtn.textContent = muted ? '🔇' : '🎙️';
+      muteBtn.title = muted ? 'Unmute' : 'Mute';
+    }
+  }
+
+  // ── File transfer handlers ──────────────────────────
+  function setupTransferHandlers() {
+    MorphTransfer.on('update', (transfer) => {
+      const isNew = !document.querySelector(`[data-transfer-id="${CSS.escape(transfer.id)}"]`);
+      renderTransfer(transfer);
+      if (isNew && transfer.direction === 'in') playMessageSound();
+      if (transfer.state === 'failed' && transfer.error) {
+        showToast(`${transfer.name}: ${transfer.error}`, 'error');
+      }
     });
   }
 
@@ -144,6 +937,13 @@ const MorphApp = (() => {
     document.getElementById('input-name')?.addEventListener('keydown', (e) => {
       if (e.key === 'Enter') handleConnect();
     });
+    document.getElementById('btn-pair')?.addEventListener('click', showPairModal);
+
+    // Offline pairing
+    document.getElementById('btn-pair-invite')?.addEventListener('click', startPairingInvite);
+    document.getElementById('btn-pair-use')?.addEventListener('click', handlePairingCode);
+    document.getElementById('btn-pair-scan')?.addEventListener('click', toggleQrScan);
+    document.getElementById('btn-pair-copy')?.addEventListener('click', handleCopyPairingCode);
 
     // Lobby buttons
     document.getElementById('btn-create-group')?.addEventListener('click', () => showCreateModal('group'));
@@ -153,13 +953,84 @@ const MorphApp = (() => {
 
     // Chat input
     document.getElementById('btn-send')?.addEventListener('click', handleSend);
+    document.getElementById('input-message')?.addEventListener('input', (e) => {
+      fitComposer(e.target);
+      renderCommandHint(e.target.value);
+      // Commands and whispers stay private, so they don't count as typing
+      if (e.target.value.trim() && !MorphCommands.isCommand(e.target.value) && !whisperTarget) {
+        MorphPresence.noteTyping();
+      } else {
+        MorphPresence.stopTyping();
+      }
+    });
     document.getElementById('input-message')?.addEventListener('keydown', (e) => {
       if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault();
         handleSend();
+      } else if (e.key === 'Escape' && whisperTarget) {
+        setWhisperTarget(null);
+      } else if (e.key === 'Tab' && MorphCommands.isCommand(e.target.value)) {
+        e.preventDefault();
+        const completed = MorphCommands.complete(e.target.value);
+        if (completed) {
+          e.target.value = completed;
+          renderCommandHint(completed);
+        }
       }
     });
 
+    // File attachments
+    document.getElementById('btn-attach')?.addEventListener('click', () => {
+      document.getElementById('input-file')?.click();
+    });
+    document.getElementById('input-file')?.addEventListener('change', handleFileSelect);
+    document.getElementById('chat-messages')?.addEventListener('click', handleMessageClick);
+    document.getElementById('btn-whisper-cancel')?.addEventListener('click', () => setWhisperTarget(null));
+    document.getElementById('viewer-messages')?.addEventListener('click', handleMessageClick);
+
+    // Transcripts
+    document.getElementById('btn-export')?.addEventListener('click', showExportModal);
+    document.getElementById('select-export-format')?.addEventListener('change', updateExportForm);
+    document.getElementById('btn-confirm-export')?.addEventListener('click', handleExport);
+    document.querySelectorAll('.btn-open-transcript').forEach(btn => {
+      btn.addEventListener('click', () => document.getElementById('input-transcript')?.click());
+    });
+    document.getElementById('input-transcript')?.addEventListener('change', handleTranscriptFile);
+    document.getElementById('btn-confirm-import')?.addEventListener('click', handleImportPassphrase);
+    document.getElementById('input-import-pass')?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') handleImportPassphrase();
+    });
+    document.getElementById('btn-close-viewer')?.addEventListener('click', closeViewer);
+
+    // Contacts
+    document.getElementById('btn-contacts')?.addEventListener('click', showContactsModal);
+    document.getElementById('btn-diag-copy')?.addEventListener('click', handleCopyDiagnostics);
+    document.getElementById('contacts-list')?.addEventListener('click', handleContactsClick);
+
+    // Connection settings
+    document.querySelectorAll('.btn-open-settings').forEach(btn => {
+      btn.addEventListener('click', showSettingsModal);
+    });
+    document.getElementById('btn-settings-save')?.addEventListener('click', handleSettingsSave);
+    document.getElementById('btn-settings-reset')?.addEventListener('click', handleSettingsReset);
+    document.getElementById('btn-settings-test')?.addEventListener('click', handleSettingsTest);
+    document.getElementById('btn-overrides-accept')?.addEventListener('click', () => resolveUrlOverrides(true));
+    document.getElementById('btn-overrides-ignore')?.addEventListener('click', () => resolveUrlOverrides(false));
+    showUrlOverrides();
+
+    // Local history
+    document.getElementById('btn-history')?.addEventListener('click', showHistoryModal);
+    document.getElementById('btn-history-on')?.addEventListener('click', handleHistoryEnable);
+    document.getElementById('btn-history-off')?.addEventListener('click', handleHistoryDisable);
+    document.getElementById('btn-history-burn')?.addEventListener('click', handleHistoryBurn);
+    document.getElementById('input-history-pass')?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') handleHistoryEnable();
+    });
+
+    // Voice call
+    document.getElementById('btn-call')?.addEventListener('click', handleCallToggle);
+    document.getElementById('btn-mute')?.addEventListener('click', () => MorphVoice.toggleMute());
+
     // Leave room
     document.getElementById('btn-leave-room')?.addEventListener('click', handleLeaveRoom);
 
@@ -179,6 +1050,18 @@ const MorphApp = (() => {
 
     // Copy PIN button
     document.getElementById('btn-copy-pin')?.addEventListener('click', handleCopyPin);
+    document.getElementById('btn-rotate-pin')?.addEventListener('click', () => {
+      if (confirm('Rotate the room PIN? The current PIN stops working for new joins.')) rotatePin();
+    });
+    document.getElementById('btn-lock')?.addEventListener('click', () => setRoomLocked(!currentRoom?.locked));
+
+    // Safety number panel (delegated — peer list is re-rendered often)
+    document.getElementById('peer-list')?.addEventListener('click', handlePeerListClick);
+    document.getElementById('peer-list')?.addEventListener('input', (e) => {
+      if (e.target.dataset.action === 'volume') {
+        MorphVoice.setPeerVolume(e.target.dataset.peerId, e.target.value / 100);
+      }
+    });
 
     // Toggle peer list on mobile
     document.getElementById('btn-toggle-peers')?.addEventListener('click', () => {
@@ -187,20 +1070,32 @@ const MorphApp = (() => {
   }
 
   // ── Connection ──────────────────────────────────────
-  async function handleConnect() {
+  // The display name from the login form, or null (after a toast) if unusable
+  function readLoginName() {
     const nameInput = document.getElementById('input-name');
     const name = nameInput?.value.trim();
     if (!name) {
       showToast('Enter a display name', 'warn');
       nameInput?.focus();
-      return;
+      return null;
     }
     if (name.length > 20) {
       showToast('Name too long (max 20 chars)', 'warn');
+      return null;
+    }
+    return name;
+  }
+
+  async function handleConnect() {
+    const name = readLoginName();
+    if (!name) return;
+    if (Object.keys(MorphSettings.getPendingOverrides()).length > 0) {
+      showToast('Use or ignore the servers from the link first', 'warn');
       return;
     }
 
     myName = name;
+    MorphRTC.setLocalName(name);
     const btn = document.getElementById('btn-connect');
     btn.disabled = true;
     btn.textContent = 'CONNECTING...';
@@ -220,8 +1115,20 @@ const MorphApp = (() => {
   function handleDisconnect() {
     MorphSignaling.leaveRoom();
     MorphRTC.disconnectAll();
+    MorphTransfer.reset();
+    MorphVoice.reset();
+    MorphPresence.reset();
+    MorphHistory.close();
+    MorphClock.reset();
+    newcomers.clear();
+    backfillCounts.clear();
+    roomParticipants.clear();
+    setWhisperTarget(null);
+    MorphDelivery.reset();
+    unreadByPeer.clear();
     MorphSignaling.disconnect();
     isConnected = false;
+    rejoining = false;
     currentRoom = null;
     messages = [];
     showScreen('login');
@@ -238,6 +1145,13 @@ const MorphApp = (() => {
     title.textContent = type === 'dm' ? 'New DM Channel' : 'New Group Room';
     input.value = '';
     input.placeholder = type === 'dm' ? 'DM name...' : 'Room name...';
+
+    const backfill = document.getElementById('select-backfill');
+    if (backfill.options.length === 0) {
+      backfill.innerHTML = MorphConfig.BACKFILL_CHOICES
+        .map(n => `<option value="${n}">${n ? `Last ${n} messages` : 'Off (sensitive room)'}</option>`).join('');
+    }
+    backfill.value = String(MorphConfig.BACKFILL_DEFAULT);
     modal.classList.add('open');
     input.focus();
   }
@@ -251,12 +1165,18 @@ const MorphApp = (() => {
 
   function closeModals() {
     document.querySelectorAll('.modal-overlay').forEach(m => m.classList.remove('open'));
+    stopQrScan();
+    MorphDiagnostics.unwatch();
+    diagPeerId = null;
+    // Walking away from a pairing that never connected abandons it
+    if (currentRoom?.manual && !currentRoom.name) leaveCurrentRoom();
   }
 
   function handleCreateRoom() {
     const nameInput = document.getElementById('input-room-name');
     const roomName = nameInput?.value.trim() || (pendingRoomType === 'dm' ? 'DM' : 'MorphStorm Room');
-    MorphSignaling.createRoom(myName, roomName, pendingRoomType);
+    const backfill = Number(document.getElementById('select-backfill').value) || 0;
+    MorphSignaling.createRoom(myName, roomName, pendingRoomType, backfill);
     closeModals();
   }
 
@@ -266,12 +1186,22 @@ const MorphApp = (() => {
       showToast('Enter a 6-digit PIN', 'warn');
       return;
     }
+    lastJoinPin = pin;
     MorphSignaling.joinRoom(myName, pin);
     closeModals();
   }
 
+  // A leaving host hands over to whoever has been connected longest
   function handleLeaveRoom() {
-    MorphSignaling.leaveRoom();
+    if (currentRoom?.manual) {
+      leaveCurrentRoom();
+      return;
+    }
+    const successor = isHost() ? MorphRTC.getPeerList().find(p => p.encrypted) : null;
+    if (successor) {
+      MorphRTC.broadcast({ type: 'host-action', action: 'handover', hostId: successor.id });
+    }
+    MorphSignaling.leaveRoom(successor?.id || null);
   }
 
   function handleCopyPin() {
@@ -284,41 +1214,962 @@ const MorphApp = (() => {
     }
   }
 
+  // ── Diagnostics ─────────────────────────────────────
+  function showDiagnostics(peer) {
+    diagPeerId = peer.id;
+    document.getElementById('diag-peer-name').textContent = peer.name;
+    document.getElementById('diag-rows').innerHTML = '';
+    document.getElementById('modal-diagnostics').classList.add('open');
+    MorphDiagnostics.watch(peer.id, renderDiagnostics);
+  }
+
+  function renderDiagnostics(diag) {
+    const el = document.getElementById('diag-rows');
+    if (!el || !diagPeerId) return;
+    const rows = diag ? MorphDiagnostics.describe(diag) : [['Status', 'No longer in the room']];
+    el.innerHTML = rows.map(([label, value]) =>
+      `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`
+    ).join('');
+  }
+
+  // Every peer goes in the report, not just the one on screen
+  async function handleCopyDiagnostics() {
+    const diags = await Promise.all(MorphRTC.getPeerList().map(p => MorphRTC.getDiagnostics(p.id)));
+    navigator.clipboard.writeText(MorphDiagnostics.buildReport(diags)).then(() => {
+      showToast('Diagnostic report copied (IPs removed)', 'success');
+    }).catch(() => {
+      showToast('Copy failed', 'error');
+    });
+  }
+
+  // ── Connection settings ─────────────────────────────
+  function showSettingsModal() {
+    fillSettingsForm(MorphSettings.get());
+    const overrides = MorphSettings.getUrlOverrides();
+    document.getElementById('settings-status').textContent = [
+      'Saved on this device. The signaling server is used from the next connect; ICE settings apply to new links.',
+      overrides.length > 0 ? `This visit is using ${overrides.join(', ')} from the page URL — saving replaces it.` : ''
+    ].join(' ').trim();
+    document.getElementById('modal-settings').classList.add('open');
+  }
+
+  // Servers a link asked for: nothing connects until the user decides
+  function showUrlOverrides() {
+    const pending = MorphSettings.getPendingOverrides();
+    const rows = [];
+    if (pending.signalingUrl) rows.push(`Signaling: ${pending.signalingUrl}`);
+    if (pending.iceServers) {
+      rows.push(`ICE: ${pending.iceServers.flatMap(server => [].concat(server.urls)).join(', ')}`);
+    }
+    const list = document.getElementById('url-overrides-list');
+    list.innerHTML = '';
+    for (const row of rows) {
+      const item = document.createElement('li');
+      item.textContent = row;
+      list.appendChild(item);
+    }
+    document.getElementById('url-overrides').hidden = rows.length === 0;
+  }
+
+  function resolveUrlOverrides(accept) {
+    if (accept) {
+      MorphSettings.acceptUrlOverrides();
+      showToast('Using the servers from the link for this visit', 'success');
+    } else {
+      MorphSettings.discardUrlOverrides();
+    }
+    showUrlOverrides();
+  }
+
+  function fillSettingsForm(settings) {
+    document.getElementById('input-signaling-url').value = settings.signalingUrl;
+    document.getElementById('input-ice-servers').value = JSON.stringify(settings.iceServers, null, 2);
+    document.getElementById('input-relay-only').checked = settings.relayOnly;
+    const results = document.getElementById('settings-test');
+    results.innerHTML = '';
+    results.hidden = true;
+  }
+
+  // The form's contents, or null (after a toast) if the JSON doesn't parse
+  function readSettingsForm() {
+    let iceServers;
+    try {
+      iceServers = JSON.parse(document.getElementById('input-ice-servers').value);
+    } catch {
+      showToast('ICE servers must be valid JSON', 'warn');
+      return null;
+    }
+    return {
+      signalingUrl: document.getElementById('input-signaling-url').value,
+      iceServers,
+      relayOnly: document.getElementById('input-relay-only').checked
+    };
+  }
+
+  function handleSettingsSave() {
+    const settings = readSettingsForm();
+    if (!settings) return;
+    try {
+      MorphSettings.save(settings);
+      showUrlOverrides();
+    } catch (err) {
+      showToast(err.message, 'warn');
+      return;
+    }
+    closeModals();
+    showToast(isConnected ? 'Settings saved — reconnect to switch signaling server' : 'Settings saved', 'success');
+  }
+
+  function handleSettingsReset() {
+    if (!confirm('Go back to the built-in servers?')) return;
+    fillSettingsForm(MorphSettings.reset());
+    showUrlOverrides();
+    showToast('Settings reset to defaults', 'success');
+  }
+
+  // Tests what's in the form, saved or not
+  async function handleSettingsTest() {
+    const settings = readSettingsForm();
+    if (!settings) return;
+    const btn = document.getElementById('btn-settings-test');
+    const results = document.getElementById('settings-test');
+    results.innerHTML = '';
+    results.hidden = false;
+    btn.disabled = true;
+
+    try {
+      await MorphSettings.test(settings, (result) => {
+        const label = result.kind === 'signaling' ? `Signaling ${result.url}` : result.url;
+        const detail = result.ok
+          ? `${result.ms ?? '?'} ms${result.types ? ` (${result.types.join(', ')})` : ''}`
+          : result.error;
+        const li = document.createElement('li');
+        li.innerHTML = `<span class="${result.ok ? 'test-ok' : 'test-fail'}">${result.ok ? '✓' : '✗'}</span> ${escapeHtml(label)} — ${escapeHtml(detail)}`;
+        results.appendChild(li);
+      });
+    } catch (err) {
+      showToast(err.message, 'warn');
+      results.hidden = results.children.length === 0;
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
   // ── Messaging ───────────────────────────────────────
   function handleSend() {
     const input = document.getElementById('input-message');
     const text = input?.value.trim();
     if (!text) return;
 
+    if (MorphCommands.isCommand(text)) {
+      runCommand(text);
+    } else if (whisperTarget) {
+      const peer = MorphRTC.getPeerList().find(p => p.id === whisperTarget.id);
+      try {
+        if (!peer) throw new Error(`${whisperTarget.name} is no longer in the room`);
+        sendWhisper(peer, MorphCommands.unescape(text));
+      } catch (err) {
+        addSystemMessage(`⚠️ ${err.message}`);
+        return;
+      }
+    } else {
+      sendChat(MorphCommands.unescape(text));
+    }
+    MorphPresence.stopTyping();
+
+    input.value = '';
+    fitComposer(input);
+    renderCommandHint('');
+    input.focus();
+  }
+
+  // extra: { emote } for /me
+  function sendChat(text, extra = {}) {
     const msgObj = {
+      id: MorphDelivery.newMessageId(),
       text,
       time: Date.now(),
-      type: 'chat'
+      clock: MorphClock.tick(),
+      type: 'chat',
+      ...extra
     };
 
     // Display locally
-    addChatMessage(myName, myPeerId, text, Date.now(), true);
+    addChatMessage({ ...msgObj, from: myName, fromId: myPeerId }, true);
 
-    // Send to all peers
-    MorphRTC.broadcast(msgObj);
+    // Send to all peers (tracked, acked and retried)
+    MorphDelivery.send(msgObj);
+  }
 
-    input.value = '';
+  // Grow the composer with its content (the CSS max-height caps it)
+  function fitComposer(input) {
+    input.style.height = 'auto';
+    input.style.height = `${input.scrollHeight + 2}px`;
+  }
+
+  // ── Moderation ──────────────────────────────────────
+  // The server enforces host actions; the host also announces them over the
+  // encrypted mesh so members can act on them even if the server doesn't
+  function isHost() {
+    return !!currentRoom && currentRoom.hostId === myPeerId;
+  }
+
+  function requireHost() {
+    if (!isHost()) throw new Error('Only the host can do that');
+  }
+
+  function kickPeer(peer) {
+    requireHost();
+    MorphRTC.broadcast({ type: 'host-action', action: 'kick', peerId: peer.id, fingerprint: peer.fingerprint });
+    MorphRTC.banIdentity(peer.fingerprint);
+    MorphSignaling.kickPeer(peer.id);
+  }
+
+  function setRoomLocked(locked) {
+    requireHost();
+    MorphRTC.broadcast({ type: 'host-action', action: 'lock', locked });
+    MorphSignaling.setRoomLocked(locked);
+  }
+
+  function rotatePin() {
+    requireHost();
+    MorphSignaling.rotatePin();
+  }
+
+  function transferHost(peer) {
+    requireHost();
+    MorphRTC.broadcast({ type: 'host-action', action: 'handover', hostId: peer.id });
+    MorphSignaling.transferHost(peer.id);
+  }
+
+  // Only the current host's announcements count
+  function handleHostAction(data) {
+    if (!currentRoom || data.fromPeerId !== currentRoom.hostId) {
+      console.warn(`[APP] Ignoring host action from non-host ${data.fromName}`);
+      return;
+    }
+
+    switch (data.action) {
+      case 'kick': {
+        if (typeof data.peerId !== 'string' || data.peerId === myPeerId) return;
+        if (typeof data.fingerprint === 'string') MorphRTC.banIdentity(data.fingerprint);
+        const name = MorphRTC.getPeerList().find(p => p.id === data.peerId)?.name ||
+          roomParticipants.get(data.peerId)?.name || 'A peer';
+        MorphRTC.disconnectPeer(data.peerId);
+        applyKick(data.peerId, name);
+        updatePeerList();
+        break;
+      }
+      case 'lock':
+        applyRoomLock(data.locked === true, data.fromName);
+        break;
+      case 'rotate-pin':
+        if (typeof data.pin === 'string' && /^\d{6}$/.test(data.pin)) applyPinRotation(data.pin, data.fromName);
+        break;
+      case 'handover': {
+        if (typeof data.hostId !== 'string') return;
+        const name = data.hostId === myPeerId ? myName : MorphRTC.getPeerList().find(p => p.id === data.hostId)?.name;
+        if (name) applyHostChange(data.hostId, name);
+        break;
+      }
+    }
+  }
+
+  // These apply a change once and ignore repeats from the other channel
+  function applyKick(peerId, name) {
+    if (removedPeers.has(peerId)) return;
+    removedPeers.add(peerId);
+    addSystemMessage(`🚫 ${name} was removed by the host`);
+  }
+
+  function applyRoomLock(locked, byName) {
+    if (!currentRoom || currentRoom.locked === locked) return;
+    currentRoom.locked = locked;
+    addSystemMessage(locked
+      ? `🔒 ${byName || 'The host'} locked the room — nobody new can join`
+      : `🔓 ${byName || 'The host'} unlocked the room`);
+    updateRoomHeader();
+  }
+
+  function applyPinRotation(pin, byName) {
+    if (!currentRoom || currentRoom.pin === pin) return;
+    currentRoom.pin = pin;
+    currentRoom.joinPin = pin;
+    addSystemMessage(`🔑 ${byName || 'The host'} changed the room PIN to ${pin} — the old PIN no longer works`);
+    updateRoomHeader();
+  }
+
+  function applyHostChange(hostId, hostName) {
+    if (!currentRoom || currentRoom.hostId === hostId) return;
+    currentRoom.hostId = hostId;
+    addSystemMessage(hostId === myPeerId ? '👑 You are now the host' : `👑 ${hostName} is now the host`);
+    updateRoomHeader();
+  }
+
+  // ── Offline pairing ─────────────────────────────────
+  // Serverless setup through MorphManual: the inviter's code carries an
+  // offer, the joiner's code carries the answer, and MorphRTC runs over the
+  // manual transport until the room is left.
+  function setupPairingHandlers() {
+    MorphManual.on('code', ({ kind, code }) => showPairingCode(kind, code));
+  }
+
+  function showPairModal() {
+    const name = readLoginName();
+    if (!name) return;
+    myName = name;
+    MorphRTC.setLocalName(name);
+
+    document.getElementById('input-pair-code').value = '';
+    document.getElementById('pair-output').hidden = true;
+    document.getElementById('btn-pair-invite').disabled = false;
+    document.getElementById('btn-pair-scan').hidden = !('BarcodeDetector' in window);
+    setPairingStatus('Create an invite, or paste (or scan) the one you were sent.');
+    document.getElementById('modal-pair').classList.add('open');
+  }
+
+  function setPairingStatus(text) {
+    document.getElementById('pair-status').textContent = text;
+  }
+
+  // Both sides sit in a two-person DM room that only this link knows about.
+  // Its name is filled in once the peer connects.
+  function beginPairing({ peerId, roomId }) {
+    myPeerId = peerId;
+    currentRoom = { id: roomId, name: '', type: 'dm', pin: null, joinPin: null, hostId: null, locked: false, manual: true };
+    MorphRTC.setTransport(MorphManual.transport);
+    MorphRTC.setRoomContext({ roomId, roomType: 'dm' });
+    document.getElementById('btn-pair-invite').disabled = true;
+  }
+
+  function endPairing() {
+    MorphManual.close();
+    MorphRTC.setTransport(null);
+    myPeerId = isConnected ? MorphSignaling.getPeerId() : '';
+    updateConnectionStatus(isConnected ? 'connected' : 'disconnected');
+  }
+
+  async function startPairingInvite() {
+    if (currentRoom) return;
+    const session = MorphManual.createInvite(myName);
+    beginPairing(session);
+    setPairingStatus('Gathering network candidates...');
+    try {
+      await MorphRTC.connectToPeer(session.remoteId, 'Peer');
+    } catch (err) {
+      console.error('[PAIR] Could not start pairing:', err);
+      showToast('Could not start pairing', 'error');
+      closeModals();
+    }
+  }
+
+  async function handlePairingCode() {
+    const input = document.getElementById('input-pair-code');
+    let code;
+    try {
+      code = await MorphManual.readCode(input.value);
+    } catch (err) {
+      showToast(err.message, 'error');
+      return;
+    }
+
+    try {
+      if (code.kind === 'invite') {
+        if (currentRoom) throw new Error('Already pairing — close this window to start over');
+        beginPairing(MorphManual.acceptInvite(code, myName));
+        setPairingStatus('Gathering network candidates...');
+      } else {
+        MorphManual.acceptAnswer(code);
+        MorphRTC.renamePeer(code.from.id, code.from.name);
+        setPairingStatus(`Connecting to ${code.from.name}...`);
+      }
+      input.value = '';
+      await MorphRTC.handleSignal(code.from.id, code.from.name, code.description);
+    } catch (err) {
+      showToast(err.message || 'Pairing failed', 'error');
+    }
+  }
+
+  function showPairingCode(kind, code) {
+    document.getElementById('pair-output').hidden = false;
+    document.getElementById('pair-code').value = code;
+    const qr = document.getElementById('pair-qr');
+    try {
+      qr.innerHTML = MorphQR.toSvg(code, { moduleSize: 3 });
+    } catch {
+      qr.innerHTML = '<p class="modal-note">Too long for a QR code — copy the text instead.</p>';
+    }
+    setPairingStatus(kind === 'invite'
+      ? 'Send this invite to the other person, then paste or scan their answer below.'
+      : 'Send this answer back. You\'ll connect as soon as they use it.');
+  }
+
+  function handleCopyPairingCode() {
+    navigator.clipboard.writeText(document.getElementById('pair-code').value).then(() => {
+      showToast('Code copied!', 'success');
+    }).catch(() => {
+      showToast('Copy failed', 'error');
+    });
+  }
+
+  // Paired: drop into the chat screen
+  function enterPairedRoom(peerName) {
+    currentRoom.name = `Offline · ${peerName}`;
+    closeModals();
+    showScreen('chat');
+    updateConnectionStatus('paired');
+    MorphClock.begin();
+    addSystemMessage('Paired offline — no signaling server is involved. Voice calls and reconnects need the server.');
+    updateRoomHeader();
+    restoreHistory();
+  }
+
+  // ── QR scanning (where the browser has BarcodeDetector) ──
+  async function toggleQrScan() {
+    if (qrScan) {
+      stopQrScan();
+      return;
+    }
+    const video = document.getElementById('pair-video');
+    try {
+      const detector = new BarcodeDetector({ formats: ['qr_code'] });
+      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+      const scan = { stream, timer: null };
+      qrScan = scan;
+      video.srcObject = stream;
+      video.hidden = false;
+      await video.play();
+
+      // The scanner can be stopped (or restarted) while detect() is pending
+      const tick = async () => {
+        if (qrScan !== scan) return;
+        try {
+          const [found] = await detector.detect(video);
+          if (qrScan !== scan) return;
+          if (found?.rawValue) {
+            stopQrScan();
+            document.getElementById('input-pair-code').value = found.rawValue;
+            handlePairingCode();
+            return;
+          }
+        } catch {}
+        if (qrScan === scan) scan.timer = setTimeout(tick, 300);
+      };
+      tick();
+    } catch (err) {
+      console.warn('[PAIR] QR scan unavailable:', err);
+      showToast('Camera unavailable — paste the code instead', 'warn');
+      stopQrScan();
+    }
+  }
+
+  function stopQrScan() {
+    if (!qrScan) return;
+    clearTimeout(qrScan.timer);
+    qrScan.stream.getTracks().forEach(track => track.stop());
+    qrScan = null;
+    const video = document.getElementById('pair-video');
+    video.srcObject = null;
+    video.hidden = true;
+  }
+
+  // ── Slash commands ──────────────────────────────────
+  async function runCommand(text) {
+    const result = await MorphCommands.execute(text);
+    if (!result.ok) addSystemMessage(`⚠️ ${result.error}`);
+  }
+
+  function requireText(text, usage) {
+    if (!text) throw new Error(`Usage: ${usage}`);
+    return text;
+  }
+
+  function registerCommands() {
+    MorphCommands.register({
+      name: 'nick',
+      usage: '/nick <name>',
+      description: 'Change your display name',
+      run: ({ text }) => {
+        requireText(text, '/nick <name>');
+        if (text.length > 20) throw new Error('Name too long (max 20 chars)');
+        if (currentRoom?.manual) throw new Error('Renaming needs the signaling server');
+        MorphSignaling.setName(text);
+      }
+    });
+
+    MorphCommands.register({
+      name: 'me',
+      usage: '/me <action>',
+      description: 'Send an action, e.g. "/me waves"',
+      run: ({ text }) => sendChat(requireText(text, '/me <action>'), { emote: true })
+    });
+
+    MorphCommands.register({
+      name: 'whisper',
+      usage: '/whisper <peer> [message]',
+      description: 'Send a message only one peer can see (no message: keep whispering to them)',
+      peer: 'required',
+      run: ({ peer, text }) => {
+        if (text) {
+          sendWhisper(peer, text);
+        } else {
+          setWhisperTarget(peer);
+        }
+      }
+    });
+
+    MorphCommands.register({
+      name: 'diag',
+      usage: '/diag <peer>',
+      description: 'Show connection diagnostics for a peer',
+      peer: 'required',
+      run: ({ peer }) => showDiagnostics(peer)
+    });
+
+    MorphCommands.register({
+      name: 'order',
+      description: 'Check everyone sees the recent conversation in the same order',
+      run: checkOrder
+    });
+
+    MorphCommands.register({
+      name: 'clear',
+      description: 'Clear the conversation on this device',
+      run: clearChat
+    });
+
+    MorphCommands.register({
+      name: 'peers',
+      description: 'List everyone in the room',
+      run: () => {
+        const peers = MorphRTC.getPeerList();
+        if (peers.length === 0) {
+          addSystemMessage('No peers connected yet');
+          return;
+        }
+        addSystemMessage(`${peers.length} peer(s) in "${currentRoom.name}":`);
+        for (const p of peers) {
+          const link = p.encrypted ? '🔐 encrypted' : `⏳ ${p.state}`;
+          addSystemMessage(`${p.name} — ${link}, ${p.verification}`);
+        }
+      }
+    });
+
+    MorphCommands.register({
+      name: 'verify',
+      usage: '/verify <peer>',
+      description: 'Show the safety number to compare with a peer',
+      peer: 'required',
+      run: ({ peer }) => {
+        if (!peer.safetyNumber) throw new Error(`No safety number with ${peer.name} yet — wait for the encrypted channel`);
+        addSystemMessage(`🔢 Safety number with ${peer.name}: ${peer.safetyNumber.digits}`);
+        addSystemMessage('Compare it with them out of band, then mark it in the sidebar');
+        expandedPeerId = peer.id;
+        updatePeerList();
+      }
+    });
+
+    MorphCommands.register({
+      name: 'kick',
+      usage: '/kick <peer>',
+      description: 'Remove a peer from the room (host only)',
+      peer: 'required',
+      run: ({ peer }) => {
+        if (!confirm(`Remove ${peer.name} from the room?`)) return;
+        kickPeer(peer);
+      }
+    });
+
+    MorphCommands.register({
+      name: 'lock',
+      description: 'Stop anyone new from joining (host only)',
+      run: () => setRoomLocked(true)
+    });
+
+    MorphCommands.register({
+      name: 'unlock',
+      description: 'Let people join with the PIN again (host only)',
+      run: () => setRoomLocked(false)
+    });
+
+    MorphCommands.register({
+      name: 'leave',
+      description: 'Leave this room',
+      run: handleLeaveRoom
+    });
+
+    MorphCommands.register({
+      name: 'pin',
+      description: 'Show and copy the room PIN',
+      run: () => {
+        const pin = currentRoom.pin || currentRoom.joinPin;
+        if (!pin) throw new Error('This room\'s PIN is not known on this device');
+        addSystemMessage(`Room PIN: ${pin}`);
+        navigator.clipboard.writeText(pin).then(() => showToast('PIN copied!', 'success')).catch(() => {});
+      }
+    });
+
+    MorphCommands.register({
+      name: 'help',
+      usage: '/help [command]',
+      description: 'List commands, or explain one',
+      run: ({ text }) => {
+        const name = text.replace(/^\//, '').toLowerCase();
+        if (name) {
+          const command = MorphCommands.get(name);
+          if (!command) throw new Error(`Unknown command /${name}`);
+          addSystemMessage(`${command.usage} — ${command.description}`);
+          return;
+        }
+        addSystemMessage('Commands (Tab completes, // sends a literal slash):');
+        for (const command of MorphCommands.list()) {
+          addSystemMessage(`${command.usage} — ${command.description}`);
+        }
+      }
+    });
+  }
+
+  // ── Whispers ────────────────────────────────────────
+  // A chat message sent over one peer's pairwise channel only. The sender
+  // keeps { toId, toName }; the receiver records it as addressed to us.
+  function sendWhisper(peer, text) {
+    if (!peer.encrypted) throw new Error(`No encrypted channel with ${peer.name} yet`);
+    const msgObj = {
+      id: MorphDelivery.newMessageId(),
+      text,
+      time: Date.now(),
+      clock: MorphClock.tick(),
+      type: 'chat',
+      whisper: true
+    };
+    addChatMessage({
+      ...msgObj,
+      from: myName,
+      fromId: myPeerId,
+      whisper: { toId: peer.id, toName: peer.name }
+    }, true);
+    MorphDelivery.send(msgObj, peer.id);
+  }
+
+  // Whisper mode for the composer; null goes back to the whole room
+  function setWhisperTarget(peer) {
+    whisperTarget = peer ? { id: peer.id, name: peer.name } : null;
+    const chip = document.getElementById('whisper-target');
+    if (chip) {
+      chip.hidden = !whisperTarget;
+      chip.querySelector('.whisper-target-name').textContent = whisperTarget?.name || '';
+    }
+    const input = document.getElementById('input-message');
+    if (!input) return;
+    input.placeholder = whisperTarget
+      ? `Whisper to ${whisperTarget.name}... (Esc to cancel)`
+      : 'Type a message... (Shift+Enter for a new line)';
+    if (whisperTarget) {
+      MorphPresence.stopTyping();
+      input.focus();
+    }
+  }
+
+  // The one other party who can see a whisper (null for room messages)
+  function whisperPeerId(msg) {
+    if (!msg.whisper) return null;
+    if (msg.isSelf) return msg.whisper.toId;
+    // The author may have rejoined under a new peer ID
+    return MorphRTC.getPeerList().find(p => p.fingerprint && p.fingerprint === msg.authorKey)?.id || msg.fromId;
+  }
+
+  // Local only: peers (and local history) keep their copy. File cards stay,
+  // since transfers in flight still update them.
+  function clearChat() {
+    messages = messages.filter(m => m.type === 'file');
+    document.querySelectorAll('#chat-messages > .msg:not(.msg-file)').forEach(el => el.remove());
+    // Transcript checks start over from here
+    MorphClock.begin();
+    addSystemMessage('Conversation cleared on this device');
+  }
+
+  // Matching commands and their usage above the composer while typing "/"
+  function renderCommandHint(value) {
+    const el = document.getElementById('command-hint');
+    if (!el) return;
+    const matches = MorphCommands.suggest(value.trimStart()).slice(0, 6);
+    el.hidden = matches.length === 0;
+    el.innerHTML = matches.map(c => `
+      <div class="command-hint-row">
+        <span class="command-usage">${escapeHtml(c.usage)}</span>
+        <span class="command-desc">${escapeHtml(c.description)}</span>
+      </div>
+    `).join('');
+  }
+
+  async function handleFileSelect(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      await MorphTransfer.sendFile(file, myName);
+    } catch (err) {
+      showToast(err.message, 'warn');
+    }
+  }
+
+  // ── Edits, deletions & reactions ────────────────────
+  const REACTION_CHOICES = ['👍', '❤️', '😂', '😮', '😢', '🔥'];
+
+  // IDs are only unique per sender, so a message is always addressed by
+  // (author, id). Authors are matched by identity fingerprint where we know
+  // it: a rejoin gives them a new peer ID, but they can still change what
+  // they sent before it.
+  function findChatMessage(authorId, id, authorKey = fingerprintOf(authorId)) {
+    return messages.find(m => m.type === 'chat' && m.id === id &&
+      (m.fromId === authorId || (!!authorKey && m.authorKey === authorKey)));
+  }
+
+  // A peer's identity fingerprint, once their key exchange has been seen
+  function fingerprintOf(peerId) {
+    if (peerId === myPeerId) return MorphIdentity.getFingerprint();
+    return roomParticipants.get(peerId)?.fingerprint ||
+      MorphRTC.getPeerList().find(p => p.id === peerId)?.fingerprint || null;
+  }
+
+  function isValidReaction(emoji) {
+    return REACTION_CHOICES.includes(emoji);
+  }
+
+  // Edits, deletes and re-stamps are looked up under the sender's own
+  // identity, so only a message's author can change it. Changes carry their
+  // own ID (the message they change is `target`) and go through
+  // MorphDelivery, so they are retried until acknowledged and applied once.
+  function handleMessageChange(data) {
+    if (!MorphDelivery.receive(data)) return;
+
+    if (data.type === 'react') {
+      const authorKey = typeof data.authorKey === 'string' ? data.authorKey : null;
+      const msg = findChatMessage(data.author, data.target, authorKey);
+      if (!msg || msg.deleted || !isValidReaction(data.emoji)) return;
+      // Only the two ends of a whisper know it exists
+      if (msg.whisper && (!data.direct || (data.fromPeerId !== msg.fromId && data.fromPeerId !== msg.whisper.toId))) return;
+      applyReaction(msg, data.emoji, fingerprintOf(data.fromPeerId) || data.fromPeerId, data.fromName, data.on !== false);
+      return;
+    }
+
+    const msg = findChatMessage(data.fromPeerId, data.target);
+    if (!msg || msg.deleted) return;
+    if (msg.whisper && !data.direct) return;
+    if (data.type === 'edit' && typeof data.text === 'string' && data.text.trim()) {
+      applyEdit(msg, data.text);
+    } else if (data.type === 'delete') {
+      applyDelete(msg);
+    } else if (data.type === 'restamp' && MorphClock.isAcceptable(data.clock)) {
+      applyRestamp(msg, { wall: data.clock.wall, count: data.clock.count });
+    }
+  }
+
+  // A peer refused one of our messages as stamped too far ahead: slow our
+  // clock to theirs, re-stamp the message for the room and send it to them
+  // again. Every device ends up sorting it by the same new stamp.
+  function handleClockAhead(data) {
+    const msg = findChatMessage(myPeerId, data.target);
+    if (!msg || !msg.isSelf || msg.deleted) return;
+    if (MorphClock.isAheadOf(msg.clock, data.now)) {
+      if (!MorphClock.fallBackTo(data.now)) return;
+      const clock = MorphClock.tick();
+      MorphDelivery.update(msg.id, { clock });
+      applyRestamp(msg, clock);
+      sendMessageChange(msg, { type: 'restamp', clock });
+    }
+    MorphDelivery.resend(msg.id, data.fromPeerId);
+  }
+
+  // Move a message to where its new stamp sorts
+  function applyRestamp(msg, clock) {
+    msg.clock = clock;
+    const i = messages.indexOf(msg);
+    if (i >= 0) messages.splice(i, 1);
+    messageElement(msg)?.remove();
+    insertChatMessage(msg);
+    if (msg.receipts) renderReceipts(msg);
+    MorphHistory.save(msg);
+  }
+
+  function applyEdit(msg, text) {
+    msg.text = text;
+    msg.edited = true;
+    commitMessage(msg);
+  }
+
+  function applyDelete(msg) {
+    msg.deleted = true;
+    msg.text = '';
+    msg.reactions = {};
+    commitMessage(msg);
+  }
+
+  // Reactors are keyed by fingerprint (peer ID if unknown), like authors
+  function applyReaction(msg, emoji, reactorKey, name, on) {
+    const who = msg.reactions[emoji] || {};
+    if (on) {
+      who[reactorKey] = name;
+    } else {
+      delete who[reactorKey];
+    }
+    if (Object.keys(who).length > 0) {
+      msg.reactions[emoji] = who;
+    } else {
+      delete msg.reactions[emoji];
+    }
+    commitMessage(msg);
+  }
+
+  // Changes to a whisper go only to the other end of it
+  function sendMessageChange(msg, change) {
+    MorphDelivery.send({ ...change, id: MorphDelivery.newMessageId(), target: msg.id }, whisperPeerId(msg));
+  }
+
+  function editMessage(msg, text) {
+    applyEdit(msg, text);
+    sendMessageChange(msg, { type: 'edit', text });
+  }
+
+  function deleteMessage(msg) {
+    applyDelete(msg);
+    sendMessageChange(msg, { type: 'delete' });
+  }
+
+  function toggleReaction(msg, emoji) {
+    const me = MorphIdentity.getFingerprint();
+    const on = !(msg.reactions[emoji] && me in msg.reactions[emoji]);
+    applyReaction(msg, emoji, me, myName, on);
+    sendMessageChange(msg, { type: 'react', author: msg.fromId, authorKey: msg.authorKey, emoji, on });
+  }
+
+  function handleMessageClick(e) {
+    const cancelBtn = e.target.closest('.file-cancel');
+    if (cancelBtn) {
+      MorphTransfer.cancel(cancelBtn.dataset.transferId);
+      return;
+    }
+
+    const copyBtn = e.target.closest('[data-action="copy-code"]');
+    if (copyBtn) {
+      copyCode(copyBtn);
+      return;
+    }
+
+    const btn = e.target.closest('[data-action]');
+    const el = btn?.closest('.msg[data-msg-id]');
+    if (!el) return;
+    const msg = findChatMessage(el.dataset.authorId, el.dataset.msgId);
+    if (!msg || msg.deleted || msg.historical) return;
+
+    switch (btn.dataset.action) {
+      case 'react-menu': {
+        const picker = el.querySelector('.reaction-picker');
+        picker.hidden = !picker.hidden;
+        break;
+      }
+      case 'react':
+        toggleReaction(msg, btn.dataset.emoji);
+        break;
+      case 'edit':
+        if (msg.isSelf) startEditing(el, msg);
+        break;
+      case 'whisper-reply':
+        if (!msg.isSelf) setWhisperTarget({ id: msg.fromId, name: msg.from });
+        break;
+      case 'delete':
+        if (msg.isSelf && confirm('Delete this message for everyone?')) deleteMessage(msg);
+        break;
+    }
+  }
+
+  function copyCode(btn) {
+    const code = btn.closest('.md-code')?.querySelector('code')?.textContent ?? '';
+    navigator.clipboard.writeText(code).then(() => {
+      btn.textContent = 'Copied';
+      setTimeout(() => { btn.textContent = 'Copy'; }, 1500);
+    }).catch(() => {
+      showToast('Copy failed', 'error');
+    });
+  }
+
+  // Swap the body for a textarea; Enter saves, Shift+Enter adds a line,
+  // Escape or leaving cancels
+  function startEditing(el, msg) {
+    const input = document.createElement('textarea');
+    input.className = 'morph-input msg-edit-input';
+    input.rows = Math.min(8, msg.text.split('\n').length);
+    input.value = msg.text;
+    el.querySelector('.msg-body').replaceChildren(input);
     input.focus();
+
+    let done = false;
+    const finish = (save) => {
+      if (done) return;
+      done = true;
+      const text = input.value.trim();
+      if (save && text && text !== msg.text) {
+        editMessage(msg, text);
+      } else {
+        fillMessage(el, msg);
+      }
+    };
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        finish(true);
+      } else if (e.key === 'Escape') {
+        finish(false);
+      }
+    });
+    input.addEventListener('blur', () => finish(false));
   }
 
   // ── Chat display ────────────────────────────────────
-  function addChatMessage(fromName, fromId, text, time, isSelf = false) {
+  // IDs come from the sender, so every device refers to a message the same way
+  function addChatMessage({ id, from, fromId, text, time, clock, emote = false, whisper = null }, isSelf = false) {
     const msg = {
-      id: Date.now() + '-' + Math.random().toString(36).slice(2, 6),
-      from: fromName,
+      id,
+      from,
       fromId,
       text,
       time: time || Date.now(),
+      clock,
       type: 'chat',
-      isSelf
+      isSelf,
+      emote,
+      whisper,
+      authorKey: fingerprintOf(isSelf ? myPeerId : fromId),
+      edited: false,
+      deleted: false,
+      reactions: {} // emoji -> { reactor fingerprint (or peer ID): name }
     };
-    messages.push(msg);
-    renderMessage(msg);
+    if (isSelf) msg.receipts = {};
+    insertChatMessage(msg);
+    MorphHistory.save(msg);
+  }
+
+  // Late arrivals slot in before the first message that sorts after them;
+  // almost everything lands at the end
+  function insertChatMessage(msg) {
+    let next = -1;
+    for (let i = messages.length - 1; i >= 0; i--) {
+      if (!isOrdered(messages[i])) continue;
+      if (MorphClock.compare(messages[i], msg) <= 0) break;
+      next = i;
+    }
+    const before = next >= 0 ? messageElement(messages[next]) : null;
+    if (next < 0) {
+      messages.push(msg);
+    } else {
+      messages.splice(next, 0, msg);
+    }
+    if (!before) {
+      renderMessage(msg);
+      return;
+    }
+    before.before(buildMessageElement(msg));
   }
 
   function addSystemMessage(text) {
@@ -336,25 +2187,217 @@ const MorphApp = (() => {
     const container = document.getElementById('chat-messages');
     if (!container) return;
 
+    container.appendChild(buildMessageElement(msg));
+    container.scrollTop = container.scrollHeight;
+  }
+
+  function buildMessageElement(msg) {
     const el = document.createElement('div');
 
     if (msg.type === 'system') {
       el.className = 'msg msg-system';
       el.innerHTML = `<span class="msg-sys-text">${escapeHtml(msg.text)}</span>`;
     } else {
-      el.className = `msg ${msg.isSelf ? 'msg-self' : 'msg-peer'}`;
-      const timeStr = new Date(msg.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      el.className = `msg ${msg.isSelf ? 'msg-self' : 'msg-peer'}${msg.whisper ? ' msg-whisper' : ''}`;
+      el.dataset.msgId = msg.id;
+      el.dataset.authorId = msg.fromId;
+      // Transcripts can span days, so the viewer shows full dates
+      const timeStr = msg.readOnly
+        ? new Date(msg.time).toLocaleString()
+        : new Date(msg.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
       el.innerHTML = `
         <div class="msg-header">
+          ${MorphIdentity.identicon(authorFingerprint(msg), 14)}
           <span class="msg-name">${escapeHtml(msg.from)}</span>
           <span class="msg-time">${timeStr}</span>
+          <span class="msg-edited" hidden>(edited)</span>
+          ${msg.whisper ? `<span class="msg-whisper-label">🤫 to ${escapeHtml(msg.whisper.toName)}</span>` : ''}
+          ${msg.backfill ? '<span class="msg-backfill-label"></span>' : ''}
         </div>
-        <div class="msg-body">${escapeHtml(msg.text)}</div>
+        <div class="msg-body"></div>
+        <div class="msg-reactions"></div>
+        <div class="msg-actions">
+          <button class="msg-action" data-action="react-menu" title="React">☺</button>
+          ${msg.isSelf ? `
+            <button class="msg-action" data-action="edit" title="Edit">✎</button>
+            <button class="msg-action" data-action="delete" title="Delete">🗑</button>
+          ` : `
+            <button class="msg-action" data-action="whisper-reply" title="Reply privately">🤫</button>
+          `}
+        </div>
+        <div class="reaction-picker" hidden>
+          ${REACTION_CHOICES.map(e => `<button class="msg-action" data-action="react" data-emoji="${e}">${e}</button>`).join('')}
+        </div>
+        ${msg.receipts ? '<div class="msg-receipts"></div>' : ''}
       `;
+      if (msg.backfill) {
+        const label = el.querySelector('.msg-backfill-label');
+        label.textContent = `↺ via ${msg.backfill.byName} · unverified`;
+        label.title = `Sent before you joined, as ${msg.backfill.byName} saw it. Not signed by ${msg.from}, so it may not be genuine.`;
+      }
+      fillMessage(el, msg);
     }
 
-    container.appendChild(el);
-    container.scrollTop = container.scrollHeight;
+    // Reloaded from local history: shown read-only
+    if (msg.historical) el.classList.add('msg-historical');
+    if (msg.backfill) el.classList.add('msg-backfill');
+    return el;
+  }
+
+  // Known for us and anyone whose key exchange we've seen this room.
+  // Backfilled messages are unauthenticated and never get one.
+  function authorFingerprint(msg) {
+    if (msg.readOnly || msg.backfill) return null;
+    if (msg.isSelf) return MorphIdentity.getFingerprint();
+    return msg.authorKey || fingerprintOf(msg.fromId);
+  }
+
+  // Everything about a chat message that can change after it's shown
+  function fillMessage(el, msg) {
+    const body = el.querySelector('.msg-body');
+    if (msg.deleted) {
+      body.textContent = '🗑 Message deleted';
+    } else if (msg.emote) {
+      body.textContent = `* ${msg.from} ${msg.text}`;
+    } else {
+      body.replaceChildren(MorphMarkdown.render(msg.text));
+    }
+    el.classList.toggle('msg-deleted', msg.deleted);
+    el.classList.toggle('msg-emote', !!msg.emote);
+    el.querySelector('.msg-edited').hidden = !msg.edited || msg.deleted;
+    el.querySelector('.msg-actions').hidden = msg.deleted || !!msg.historical || !!msg.readOnly;
+    el.querySelector('.reaction-picker').hidden = true;
+
+    // Reactor names come from peers: built with the DOM, not markup
+    el.querySelector('.msg-reactions').replaceChildren(...Object.entries(msg.reactions).map(([emoji, who]) => {
+      const names = Object.values(who);
+      const chip = document.createElement('button');
+      chip.className = 'reaction';
+      chip.classList.toggle('reaction-mine', MorphIdentity.getFingerprint() in who);
+      chip.dataset.action = 'react';
+      chip.dataset.emoji = emoji;
+      chip.title = names.join(', ');
+      chip.textContent = `${emoji} ${names.length}`;
+      return chip;
+    }));
+  }
+
+  function messageElement(msg) {
+    return document.querySelector(
+      `.msg[data-msg-id="${CSS.escape(msg.id)}"][data-author-id="${CSS.escape(msg.fromId)}"]`
+    );
+  }
+
+  function updateMessageElement(msg) {
+    const el = messageElement(msg);
+    if (el) fillMessage(el, msg);
+  }
+
+  // A chat message changed: refresh it on screen and in local history
+  function commitMessage(msg) {
+    updateMessageElement(msg);
+    MorphHistory.save(msg);
+  }
+
+  // Per-peer delivery state under our own messages
+  function renderReceipts(msg) {
+    const el = document.querySelector(`.msg-self[data-msg-id="${CSS.escape(msg.id)}"] .msg-receipts`);
+    if (!el) return;
+
+    const icons = { pending: '🕓', sent: '✓', delivered: '✓✓', read: '✓✓' };
+    el.replaceChildren(...Object.values(msg.receipts).map((r) => {
+      const receipt = document.createElement('span');
+      receipt.className = `receipt receipt-${r.status}`;
+      receipt.title = `${r.name}: ${r.status}`;
+      receipt.textContent = `${r.name} ${icons[r.status]}`;
+      return receipt;
+    }));
+  }
+
+  // Create or refresh the download card for a file transfer
+  function renderTransfer(t) {
+    const container = document.getElementById('chat-messages');
+    if (!container) return;
+
+    let el = container.querySelector(`[data-transfer-id="${CSS.escape(t.id)}"]`);
+    if (!el) {
+      const isSelf = t.direction === 'out';
+      const time = Date.now();
+      messages.push({
+        id: time + '-file-' + Math.random().toString(36).slice(2, 6),
+        from: t.from,
+        fromId: isSelf ? myPeerId : t.peerId,
+        transferId: t.id,
+        name: t.name,
+        size: t.size,
+        time,
+        type: 'file',
+        isSelf
+      });
+
+      el = document.createElement('div');
+      el.className = `msg msg-file ${isSelf ? 'msg-self' : 'msg-peer'}`;
+      el.dataset.transferId = t.id;
+      const timeStr = new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      el.innerHTML = `
+        <div class="msg-header">
+          <span class="msg-name">${escapeHtml(t.from)}</span>
+          <span class="msg-time">${timeStr}</span>
+        </div>
+        <div class="msg-body file-card">
+          <div class="file-preview"></div>
+          <div class="file-info">
+            <span class="file-icon">📄</span>
+            <span class="file-name">${escapeHtml(t.name)}</span>
+            <span class="file-size">${formatBytes(t.size)}</span>
+          </div>
+          <div class="file-progress"><div class="file-progress-bar"></div></div>
+          <div class="file-footer">
+            <span class="file-status"></span>
+            <a class="btn btn-primary btn-xs file-download">Save</a>
+            <button class="btn btn-ghost btn-xs file-cancel">Cancel</button>
+          </div>
+        </div>
+      `;
+      // Peer-chosen values go in through the DOM, never into attribute markup
+      el.querySelector('.file-download').download = t.name;
+      el.querySelector('.file-cancel').dataset.transferId = t.id;
+      container.appendChild(el);
+      container.scrollTop = container.scrollHeight;
+    }
+
+    const active = t.state === 'sending' || t.state === 'receiving';
+    const statusText = {
+      sending: `Sending ${Math.round(t.progress * 100)}%`,
+      receiving: `Receiving ${Math.round(t.progress * 100)}%`,
+      complete: '✔ Verified',
+      cancelled: 'Cancelled',
+      failed: `✖ ${t.error || 'Failed'}`
+    }[t.state];
+
+    el.querySelector('.file-progress-bar').style.width = `${Math.round(t.progress * 100)}%`;
+    el.querySelector('.file-progress').hidden = !active;
+    el.querySelector('.file-status').textContent = statusText;
+    el.querySelector('.file-cancel').hidden = !active;
+    el.classList.toggle('file-failed', t.state === 'failed' || t.state === 'cancelled');
+
+    const link = el.querySelector('.file-download');
+    link.hidden = !t.url || t.state === 'failed' || t.state === 'cancelled';
+    if (t.url) link.href = t.url;
+
+    const preview = el.querySelector('.file-preview');
+    if (t.previewable && t.state !== 'failed' && !preview.firstChild) {
+      const img = document.createElement('img');
+      img.src = t.url;
+      img.alt = t.name;
+      preview.appendChild(img);
+    }
+  }
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1048576) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1048576).toFixed(1)} MB`;
   }
 
   // ── UI Helpers ──────────────────────────────────────
@@ -369,9 +2412,12 @@ const MorphApp = (() => {
     const map = {
       connecting: { text: 'CONNECTING', class: 'status-warn' },
       connected: { text: 'ONLINE', class: 'status-ok' },
+      reconnecting: { text: 'RECONNECTING', class: 'status-warn' },
+      resyncing: { text: 'RESYNCING', class: 'status-warn' },
       disconnected: { text: 'OFFLINE', class: 'status-error' },
       error: { text: 'ERROR', class: 'status-error' },
-      failed: { text: 'FAILED', class: 'status-error' }
+      failed: { text: 'FAILED', class: 'status-error' },
+      paired: { text: 'P2P ONLY', class: 'status-ok' }
     };
     const s = map[state] || { text: state.toUpperCase(), class: 'status-warn' };
     el.textContent = s.text;
@@ -379,6 +2425,15 @@ const MorphApp = (() => {
   }
 
   function updateRoomHeader() {
+    const host = isHost();
+    document.getElementById('room-host-badge').hidden = !host;
+    document.getElementById('room-lock-badge').hidden = !currentRoom?.locked;
+    const lockBtn = document.getElementById('btn-lock');
+    lockBtn.hidden = !host;
+    lockBtn.textContent = currentRoom?.locked ? '🔒' : '🔓';
+    lockBtn.title = currentRoom?.locked ? 'Unlock room' : 'Lock room (no new joins)';
+    document.getElementById('btn-rotate-pin').hidden = !host;
+
     const nameEl = document.getElementById('room-name');
     const pinEl = document.getElementById('room-pin');
     const pinContainer = document.getElementById('pin-display');
@@ -400,28 +2455,187 @@ const MorphApp = (() => {
     if (!container) return;
 
     const peers = MorphRTC.getPeerList();
+    trackParticipants(peers);
     countEl.textContent = peers.length + 1; // +1 for self
 
+    const self = MorphVoice.getParticipant('self');
+    // Routes are only worth labelling once the room is a partial mesh
+    const overlay = peers.some(peer => peer.relayed);
     container.innerHTML = `
-      <div class="peer-item peer-self">
+      <div class="peer-item peer-self${self.speaking ? ' speaking' : ''}" data-peer-id="self">
         <span class="peer-indicator encrypted"></span>
+        ${MorphIdentity.identicon(MorphIdentity.getFingerprint())}
         <span class="peer-name">${escapeHtml(myName)}</span>
+        ${isHost() ? '<span class="peer-host" title="Host">👑</span>' : ''}
+        ${presenceBadge(MorphPresence.getPresence('self'))}
+        ${callBadge(self)}
         <span class="peer-badge">YOU</span>
       </div>
     `;
 
     peers.forEach(peer => {
+      const call = MorphVoice.getParticipant(peer.id);
       const el = document.createElement('div');
-      el.className = 'peer-item';
+      el.className = `peer-item peer-${peer.verification}${call.speaking ? ' speaking' : ''}`;
+      el.dataset.peerId = peer.id;
+
+      const verifyBadge = {
+        verified: '<span class="peer-badge badge-verified" title="Safety number verified">✔</span>',
+        mismatch: '<span class="peer-badge badge-mismatch" title="Safety number mismatch">⚠</span>',
+        unverified: '<span class="peer-badge badge-unverified" title="Safety number not compared">?</span>'
+      }[peer.verification];
+
+      let indicator = peer.encrypted ? 'encrypted' : 'connecting';
+      let stateIcon = peer.encrypted ? '🔐' : '⏳';
+      if (peer.state === 'reconnecting') {
+        indicator = 'reconnecting';
+        stateIcon = '<span title="Reconnecting">🔄</span>';
+      } else if (peer.relayed) {
+        indicator = 'relayed';
+      }
+
+      const contactBadge = {
+        new: '<span class="peer-contact" title="First time seeing this identity key">new</span>',
+        changed: '<span class="peer-badge badge-mismatch" title="Identity key differs from the one remembered for this name">KEY CHANGED</span>' +
+          `<button class="btn btn-ghost btn-xs" data-action="trust-key" data-peer-id="${escapeHtml(peer.id)}">Trust</button>`
+      }[peer.contact] || '';
+
       el.innerHTML = `
-        <span class="peer-indicator ${peer.encrypted ? 'encrypted' : 'connecting'}"></span>
+        <span class="peer-indicator ${indicator}"></span>
+        ${MorphIdentity.identicon(peer.fingerprint)}
         <span class="peer-name">${escapeHtml(peer.name)}</span>
-        <span class="peer-state">${peer.encrypted ? '🔐' : '⏳'}</span>
+        ${currentRoom?.hostId === peer.id ? '<span class="peer-host" title="Host">👑</span>' : ''}
+        ${contactBadge}
+        ${overlay ? routeBadge(peer) : ''}
+        ${presenceBadge(MorphPresence.getPresence(peer.id))}
+        ${callBadge(call)}
+        ${peer.safetyNumber ? verifyBadge : ''}
+        ${peer.safetyNumber ? `<button class="peer-safety-toggle" data-action="toggle-safety" data-peer-id="${escapeHtml(peer.id)}" title="Compare safety number">#</button>` : ''}
+        ${peer.encrypted && currentRoom?.type === 'group' ? `<button class="peer-whisper" data-action="whisper" data-peer-id="${escapeHtml(peer.id)}">🤫</button>` : ''}
+        <button class="peer-diag" data-action="diagnostics" data-peer-id="${escapeHtml(peer.id)}" title="Connection diagnostics">🩺</button>
+        <span class="peer-state">${stateIcon}</span>
+        ${isHost() ? `
+          <button class="peer-mod" data-action="make-host" data-peer-id="${escapeHtml(peer.id)}">👑</button>
+          <button class="peer-mod" data-action="kick" data-peer-id="${escapeHtml(peer.id)}">✕</button>
+        ` : ''}
       `;
+      // Titles that carry the peer's chosen name go in through the DOM
+      const whisper = el.querySelector('.peer-whisper');
+      if (whisper) whisper.title = `Whisper to ${peer.name}`;
+      const makeHost = el.querySelector('[data-action="make-host"]');
+      if (makeHost) makeHost.title = `Make ${peer.name} host`;
+      const kick = el.querySelector('[data-action="kick"]');
+      if (kick) kick.title = `Remove ${peer.name}`;
+      const route = el.querySelector('.route-relayed');
+      if (route) route.title = routeTitle(peer);
+
+      if (call.inCall && self.inCall) {
+        const volume = document.createElement('input');
+        volume.type = 'range';
+        volume.className = 'peer-volume';
+        volume.min = '0';
+        volume.max = '100';
+        volume.value = String(Math.round(call.volume * 100));
+        volume.title = `${peer.name}'s volume`;
+        volume.dataset.action = 'volume';
+        volume.dataset.peerId = peer.id;
+        el.appendChild(volume);
+      }
+
+      if (peer.safetyNumber && expandedPeerId === peer.id) {
+        const panel = document.createElement('div');
+        panel.className = 'peer-safety';
+        panel.innerHTML = `
+          <div class="safety-label">Safety number — compare with ${escapeHtml(peer.name)}</div>
+          <div class="safety-emoji">${escapeHtml(peer.safetyNumber.emoji)}</div>
+          <div class="safety-digits">${escapeHtml(peer.safetyNumber.digits)}</div>
+          <div class="safety-actions">
+            <button class="btn btn-success btn-xs" data-action="verify" data-peer-id="${escapeHtml(peer.id)}">Match</button>
+            <button class="btn btn-danger btn-xs" data-action="mismatch" data-peer-id="${escapeHtml(peer.id)}">Mismatch</button>
+          </div>
+        `;
+        el.appendChild(panel);
+      }
+
       container.appendChild(el);
     });
   }
 
+  // The relayed badge's title names the relays; updatePeerList sets it
+  function routeBadge(peer) {
+    if (!peer.relayed) return '<span class="peer-route route-direct" title="Direct link">direct</span>';
+    return `<span class="peer-route route-relayed">📡 ${Number(peer.hops)}</span>`;
+  }
+
+  function routeTitle(peer) {
+    const via = peer.via.length > 0 ? ` via ${peer.via.join(', ')}` : '';
+    return `Relayed · ${peer.hops} hop(s)${via}`;
+  }
+
+  // Active is the default and isn't labelled
+  function presenceBadge(status) {
+    if (status === 'idle') return '<span class="peer-presence presence-idle" title="Idle">idle</span>';
+    if (status === 'away') return '<span class="peer-presence presence-away" title="Tab in background">away</span>';
+    return '';
+  }
+
+  function callBadge(participant) {
+    if (!participant.inCall) return '';
+    return participant.muted
+      ? '<span class="peer-call" title="In call (muted)">🔇</span>'
+      : '<span class="peer-call" title="In call">🎧</span>';
+  }
+
+  function handlePeerListClick(e) {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    const peerId = btn.dataset.peerId;
+
+    switch (btn.dataset.action) {
+      case 'toggle-safety':
+        expandedPeerId = expandedPeerId === peerId ? null : peerId;
+        updatePeerList();
+        break;
+      case 'verify':
+        expandedPeerId = null;
+        MorphRTC.setPeerVerification(peerId, 'verified');
+        break;
+      case 'mismatch':
+        expandedPeerId = null;
+        MorphRTC.setPeerVerification(peerId, 'mismatch');
+        break;
+      case 'kick': {
+        const peer = MorphRTC.getPeerList().find(p => p.id === peerId);
+        if (peer && confirm(`Remove ${peer.name} from the room?`)) kickPeer(peer);
+        break;
+      }
+      case 'make-host': {
+        const peer = MorphRTC.getPeerList().find(p => p.id === peerId);
+        if (peer && confirm(`Make ${peer.name} the host? You'll lose host controls.`)) transferHost(peer);
+        break;
+      }
+      case 'trust-key': {
+        const peer = MorphRTC.getPeerList().find(p => p.id === peerId);
+        if (!peer || !confirm(`Trust ${peer.name}'s new identity key? Only do this after comparing safety numbers.`)) break;
+        MorphRTC.trustPeerIdentity(peerId).then((ok) => {
+          if (ok) addSystemMessage(`Now trusting ${peer.name}'s new identity key (${peer.fingerprint})`);
+          updatePeerList();
+        });
+        break;
+      }
+      case 'whisper': {
+        const peer = MorphRTC.getPeerList().find(p => p.id === peerId);
+        if (peer) setWhisperTarget(whisperTarget?.id === peerId ? null : peer);
+        break;
+      }
+      case 'diagnostics': {
+        const peer = MorphRTC.getPeerList().find(p => p.id === peerId);
+        if (peer) showDiagnostics(peer);
+        break;
+      }
+    }
+  }
+
   function showToast(message, type = 'info') {
     const container = document.getElementById('toast-container');
     if (!container) return;
@@ -0,0 +1,306 @@
+// MorphStorm Logical Clocks
+// Hybrid logical clock (HLC) stamps on chat messages, so every device sorts
+// the conversation the same way whatever order frames arrive in and however
+// far apart the senders' clocks are. A stamp is { wall, count }: the latest
+// wall-clock time seen so far (ours or a peer's), plus a counter for events
+// within that millisecond. Messages are ordered by stamp, then author peer
+// ID, then message ID — a total order that is identical everywhere.
+//
+// A stamp more than MAX_DRIFT ahead of a receiver's clock is refused rather
+// than re-stamped there, since receivers would each decide differently. The
+// receiver says how far off we are, we slow our clock to match (fallBackTo)
+// and the author re-stamps the message for the whole room.
+//
+// Peers also compare digests of recent, settled stretches of the shared
+// transcript, so a message one device missed or placed differently shows up
+// as a divergence instead of going unnoticed.
+
+const MorphClock = (() => {
+  const MAX_DRIFT = 60000;      // peer clocks further ahead than this don't move ours
+  const MAX_SKEW = 3600000;     // the furthest a peer can set our clock back
+  const MAX_COUNT = 1000000;
+  const CHECK_INTERVAL = 30000;
+  const CHECK_SETTLE = 10000;   // messages younger than this may still be in flight
+  const CHECK_SPAN = 50;        // messages covered by one check
+  const CHECK_TIMEOUT = 5000;
+
+  let wall = 0;
+  let count = 0;
+  let offset = 0;        // how far Date.now() runs ahead of the room, as peers told us
+  let since = null;      // stamp our transcript starts at (joined or cleared)
+  let transcript = () => []; // ordered shared entries: [{ clock, fromId, id }]
+  let checkTimer = null;
+  let lastCheckedKey = null;
+  const pendingChecks = new Map(); // checkId -> { replies: Map, expected, done, timer }
+  const handlers = new Map();
+
+  function on(type, callback) {
+    if (!handlers.has(type)) handlers.set(type, []);
+    handlers.get(type).push(callback);
+  }
+
+  function emit(type, data) {
+    const cbs = handlers.get(type) || [];
+    cbs.forEach(cb => cb(data));
+  }
+
+  // ── Stamps ──────────────────────────────────────────
+  function now() {
+    return Date.now() - offset;
+  }
+
+  // Stamp for something we are about to send
+  function tick() {
+    const time = now();
+    if (time > wall) {
+      wall = time;
+      count = 0;
+    } else {
+      count++;
+    }
+    return { wall, count };
+  }
+
+  // Merge a peer's stamp so anything we send next sorts after it
+  function receive(stamp) {
+    if (!isAcceptable(stamp)) return;
+
+    const next = Math.max(wall, stamp.wall, now());
+    if (next === wall && next === stamp.wall) {
+      count = Math.max(count, stamp.count) + 1;
+    } else if (next === wall) {
+      count++;
+    } else if (next === stamp.wall) {
+      count = stamp.count + 1;
+    } else {
+      count = 0;
+    }
+    wall = next;
+  }
+
+  function isValid(stamp) {
+    return !!stamp && typeof stamp === 'object' &&
+      Number.isSafeInteger(stamp.wall) && stamp.wall > 0 &&
+      Number.isSafeInteger(stamp.count) && stamp.count >= 0 && stamp.count <= MAX_COUNT;
+  }
+
+  // Stamps further ahead than MAX_DRIFT are neither merged nor used to sort:
+  // a sender whose clock runs fast would otherwise sit below everyone's
+  // replies until real time caught up
+  function isAcceptable(stamp) {
+    return isValid(stamp) && stamp.wall <= now() + MAX_DRIFT;
+  }
+
+  // Whether a peer whose clock reads theirNow had to refuse this stamp
+  function isAheadOf(stamp, theirNow) {
+    return isValid(stamp) && Number.isSafeInteger(theirNow) && stamp.wall > theirNow + MAX_DRIFT;
+  }
+
+  // A peer refused one of our stamps: run our clock at their time from now
+  // on, so the next tick() is one they accept. Returns false (and changes
+  // nothing) for claims that would set us back more than MAX_SKEW.
+  function fallBackTo(theirNow) {
+    if (!Number.isSafeInteger(theirNow)) return false;
+    const skew = Date.now() - theirNow;
+    if (skew > MAX_SKEW) return false;
+    if (skew > offset) offset = skew;
+    if (wall > now()) {
+      wall = now();
+      count = 0;
+    }
+    return true;
+  }
+
+  // What to sort a received message by: its own stamp, or a local one for
+  // senders without a usable clock
+  function stampFor(stamp) {
+    return isValid(stamp) ? stamp : tick();
+  }
+
+  function compareStamps(a, b) {
+    return a.wall - b.wall || a.count - b.count;
+  }
+
+  // Order two entries ({ clock, fromId, id }); negative if a comes first
+  function compare(a, b) {
+    return compareStamps(a.clock, b.clock) ||
+      (a.fromId < b.fromId ? -1 : a.fromId > b.fromId ? 1 : 0) ||
+      (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+  }
+
+  function entryKey(e) {
+    return `${e.fromId}|${e.id}|${e.clock.wall}.${e.clock.count}`;
+  }
+
+  // ── Transcript checks ───────────────────────────────
+  // source() returns the shared part of the transcript, already in order
+  function setTranscript(source) {
+    transcript = source;
+  }
+
+  // Our transcript starts now (joined a room, or cleared it); checks only
+  // cover what happened after this on both sides
+  function begin() {
+    since = tick();
+    lastCheckedKey = null;
+    if (!checkTimer) {
+      checkTimer = setInterval(() => {
+        runCheck().catch(err => console.error('[CLOCK] Transcript check failed:', err));
+      }, CHECK_INTERVAL);
+    }
+  }
+
+  async function digest(entries) {
+    const data = new TextEncoder().encode(entries.map(entryKey).join('\n'));
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+    return Array.from(hash.slice(0, 16)).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function settledEntries() {
+    const cutoff = now() - CHECK_SETTLE;
+    return transcript()
+      .filter(e => compareStamps(e.clock, since) >= 0 && e.clock.wall <= cutoff)
+      .slice(-CHECK_SPAN);
+  }
+
+  function inRange(entries, from, to) {
+    return entries.filter(e => compare(e, from) >= 0 && compare(e, to) <= 0);
+  }
+
+  // Ask every encrypted peer to compare our latest settled stretch. Resolves
+  // to { matched, differed, unknown, silent } (peer names), or null if there
+  // was nothing to compare. Periodic checks skip a stretch already checked.
+  async function runCheck({ force = false } = {}) {
+    if (!since) return null;
+    const entries = settledEntries();
+    if (entries.length === 0) return null;
+    const key = entryKey(entries[entries.length - 1]) + '#' + entries.length;
+    if (!force && key === lastCheckedKey) return null;
+    lastCheckedKey = key;
+
+    const peers = MorphRTC.getPeerList().filter(p => p.encrypted && p.verification !== 'mismatch');
+    if (peers.length === 0) return null;
+
+    const pick = e => ({ clock: e.clock, fromId: e.fromId, id: e.id });
+    const request = {
+      type: 'order-check',
+      checkId: MorphCrypto.randomId(8),
+      from: pick(entries[0]),
+      to: pick(entries[entries.length - 1]),
+      count: entries.length,
+      digest: await digest(entries)
+    };
+
+    return new Promise((resolve) => {
+      const check = {
+        replies: new Map(),
+        expected: new Map(peers.map(p => [p.id, p.name])),
+        range: request,
+        done: () => {
+          clearTimeout(check.timer);
+          pendingChecks.delete(request.checkId);
+          const names = status => Array.from(check.replies)
+            .filter(([, r]) => r.status === status).map(([id]) => check.expected.get(id));
+          resolve({
+            matched: names('match'),
+            differed: names('differ'),
+            unknown: names('unknown'),
+            silent: Array.from(check.expected).filter(([id]) => !check.replies.has(id)).map(([, name]) => name)
+          });
+        }
+      };
+      check.timer = setTimeout(check.done, CHECK_TIMEOUT);
+      pendingChecks.set(request.checkId, check);
+      peers.forEach(p => MorphRTC.sendToPeer(p.id, request));
+    });
+  }
+
+  function isValidEntry(e) {
+    return !!e && isValid(e.clock) &&
+      typeof e.fromId === 'string' && e.fromId.length <= 64 &&
+      typeof e.id === 'string' && e.id.length <= 64;
+  }
+
+  // A peer asked us to compare a stretch of the transcript
+  async function handleCheck(data) {
+    if (typeof data.checkId !== 'string' || data.checkId.length > 32) return;
+    if (!isValidEntry(data.from) || !isValidEntry(data.to) || typeof data.digest !== 'string') return;
+
+    let status = 'unknown';
+    let ours = 0;
+    // We can only vouch for stretches that began after our transcript did
+    if (since && compareStamps(data.from.clock, since) >= 0) {
+      const entries = inRange(transcript(), data.from, data.to);
+      ours = entries.length;
+      status = await digest(entries) === data.digest ? 'match' : 'differ';
+      if (status === 'differ') {
+        emit('divergence', {
+          peerId: data.fromPeerId,
+          name: data.fromName,
+          ours,
+          theirs: Number(data.count) || 0,
+          from: data.from.clock.wall,
+          to: data.to.clock.wall
+        });
+      }
+    }
+    MorphRTC.sendToPeer(data.fromPeerId, { type: 'order-check-reply', checkId: data.checkId, status, count: ours });
+  }
+
+  function handleReply(data) {
+    const check = pendingChecks.get(data.checkId);
+    if (!check || !check.expected.has(data.fromPeerId) || check.replies.has(data.fromPeerId)) return;
+    if (!['match', 'differ', 'unknown'].includes(data.status)) return;
+
+    check.replies.set(data.fromPeerId, { status: data.status });
+    if (data.status === 'differ') {
+      emit('divergence', {
+        peerId: data.fromPeerId,
+        name: data.fromName,
+        ours: check.range.count,
+        theirs: Number(data.count) || 0,
+        from: check.range.from.clock.wall,
+        to: check.range.to.clock.wall
+      });
+    }
+    if (check.replies.size === check.expected.size) check.done();
+  }
+
+  // Forget the room (leaving it). The clock itself keeps running.
+  function reset() {
+    clearInterval(checkTimer);
+    checkTimer = null;
+    since = null;
+    lastCheckedKey = null;
+    for (const check of pendingChecks.values()) check.done();
+  }
+
+  MorphRTC.on('message', (data) => {
+    if (data.type === 'order-check') {
+      handleCheck(data).catch(err => console.error('[CLOCK] Could not answer transcript check:', err));
+    } else if (data.type === 'order-check-reply') {
+      handleReply(data);
+    } else if (data.type === 'chat') {
+      receive(data.clock);
+    }
+  });
+
+  return {
+    now,
+    tick,
+    receive,
+    isValid,
+    isAcceptable,
+    isAheadOf,
+    fallBackTo,
+    stampFor,
+    compare,
+    setTranscript,
+    begin,
+    runCheck,
+    reset,
+    on
+  };
+})();
+
+window.MorphClock = MorphClock;
@@ -0,0 +1,154 @@
+// MorphStorm Slash Commands
+// A registry for composer commands ("/nick", "/whisper bob hi", ...). Input
+// starting with "/" never goes out as chat: it is parsed here and handed to
+// the matching command, and anything unknown stays local. "//" escapes a
+// leading slash for messages that really start with one.
+//
+// Commands are plain objects registered by whoever owns the state they touch
+// (the app registers the built-ins). A command may take a peer as its first
+// argument; peer names can contain spaces, so they are matched by longest
+// name prefix against the current peer list.
+
+const MorphCommands = (() => {
+  const commands = new Map(); // name -> { name, usage, description, peer, run }
+
+  // def: { name, usage?, description, peer?: 'required' | 'optional', run({ peer, text, raw }) }
+  function register(def) {
+    if (!/^[a-z][a-z0-9-]*$/.test(def.name)) throw new Error(`Bad command name: ${def.name}`);
+    commands.set(def.name, {
+      usage: `/${def.name}`,
+      peer: null,
+      ...def
+    });
+  }
+
+  function get(name) {
+    return commands.get(name) || null;
+  }
+
+  function list() {
+    return Array.from(commands.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // ── Parsing ─────────────────────────────────────────
+  function isCommand(text) {
+    return text.startsWith('/') && !text.startsWith('//');
+  }
+
+  // "//text" is sent as "/text"
+  function unescape(text) {
+    return text.startsWith('//') ? text.slice(1) : text;
+  }
+
+  function split(text) {
+    const match = text.match(/^\/(\S*)\s*([\s\S]*)$/);
+    return { name: match[1].toLowerCase(), rest: match[2] };
+  }
+
+  // Longest peer name that prefixes `text` (case-insensitive, on a word boundary)
+  function resolvePeer(text, peers = MorphRTC.getPeerList()) {
+    const lower = text.toLowerCase();
+    const matches = peers
+      .filter(p => {
+        const name = p.name.toLowerCase();
+        return lower.startsWith(name) && (lower.length === name.length || /\s/.test(lower[name.length]));
+      })
+      .sort((a, b) => b.name.length - a.name.length);
+    if (matches.length === 0) return null;
+    return { peer: matches[0], rest: text.slice(matches[0].name.length).trim() };
+  }
+
+  // ── Running ─────────────────────────────────────────
+  // Runs a "/..." line. Failures come back as a message for the caller to
+  // show locally; nothing here ever reaches the network on its own.
+  async function execute(text) {
+    const { name, rest } = split(text.trim());
+    const command = commands.get(name);
+    if (!command) {
+      return { ok: false, error: name ? `Unknown command /${name} — type /help for a list` : 'Type /help for a list of commands' };
+    }
+
+    let peer = null;
+    let args = rest.trim();
+    if (command.peer && args) {
+      const resolved = resolvePeer(args);
+      if (resolved) {
+        peer = resolved.peer;
+        args = resolved.rest;
+      } else if (command.peer === 'required') {
+        return { ok: false, error: `No peer named "${args.split(/\s/)[0]}" in this room` };
+      }
+    }
+    if (command.peer === 'required' && !peer) {
+      return { ok: false, error: `Usage: ${command.usage}` };
+    }
+
+    try {
+      await command.run({ peer, text: args, raw: rest });
+      return { ok: true };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  }
+
+  // ── Completion & help ───────────────────────────────
+  function commonPrefix(words) {
+    let prefix = words[0] || '';
+    for (const word of words) {
+      while (!word.toLowerCase().startsWith(prefix.toLowerCase())) prefix = prefix.slice(0, -1);
+    }
+    return prefix;
+  }
+
+  // Tab completion for a composer value. Returns the new value, or null when
+  // there is nothing (more) to complete.
+  function complete(text) {
+    if (!isCommand(text)) return null;
+
+    const nameMatch = text.match(/^\/(\S*)$/);
+    if (nameMatch) {
+      const names = list().map(c => c.name).filter(n => n.startsWith(nameMatch[1].toLowerCase()));
+      if (names.length === 0) return null;
+      if (names.length === 1) return `/${names[0]} `;
+      const prefix = commonPrefix(names);
+      return prefix.length > nameMatch[1].length ? `/${prefix}` : null;
+    }
+
+    // Completing the peer argument
+    const { name, rest } = split(text);
+    const command = commands.get(name);
+    if (!command?.peer || resolvePeer(rest)) return null;
+    const names = MorphRTC.getPeerList()
+      .map(p => p.name)
+      .filter(n => n.toLowerCase().startsWith(rest.toLowerCase()));
+    if (names.length === 0) return null;
+    if (names.length === 1) return `/${name} ${names[0]} `;
+    const prefix = commonPrefix(names);
+    return prefix.length > rest.length ? `/${name} ${prefix}` : null;
+  }
+
+  // Commands matching what's been typed so far, for the inline hint
+  function suggest(text) {
+    if (!isCommand(text)) return [];
+    const { name, rest } = split(text);
+    if (rest || /\s$/.test(text)) {
+      const command = commands.get(name);
+      return command ? [command] : [];
+    }
+    return list().filter(c => c.name.startsWith(name));
+  }
+
+  return {
+    register,
+    get,
+    list,
+    isCommand,
+    unescape,
+    resolvePeer,
+    execute,
+    complete,
+    suggest
+  };
+})();
+
+window.MorphCommands = MorphCommands;
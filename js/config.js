@@ -9,6 +9,7 @@ const MorphConfig = {
   // After deploying to Render, replace this with your Render URL.
   // It will look like: 'wss://morphstorm-signaling.onrender.com'
   // For local testing only: 'ws://localhost:5000'
+  // (run the bundled server with: cd server && npm install && npm start)
   SIGNALING_URL: 'wss://morphstorm.onrender.com',
 
   // ── ICE/TURN SERVERS (already configured!) ────
@@ -36,8 +37,31 @@ const MorphConfig = {
     }
   ],
 
-  MAX_GROUP_PEERS: 5,
+  // 'all' lets WebRTC use direct routes; 'relay' sends everything through
+  // TURN so peers never see each other's IP addresses. Both the signaling
+  // URL and the ICE settings can be changed at runtime (js/settings.js).
+  ICE_TRANSPORT_POLICY: 'all',
+
+  MAX_GROUP_PEERS: 16,
   MAX_DM_PEERS: 2,
+  // Group rooms up to this size are a full mesh; bigger ones link each
+  // member to a few neighbours and relay the rest
+  FULL_MESH_PEERS: 5,
+  OVERLAY_NEIGHBOURS: 3,
+  MAX_FILE_SIZE: 50 * 1024 * 1024, // 50 MB — files are held in memory
+  FILE_CHUNK_SIZE: 16 * 1024,
+
+  // Catch-up for late joiners: how many recent chat messages members offer
+  // a newcomer (picked by the room's creator; 0 turns it off)
+  BACKFILL_CHOICES: [0, 25, 50, 100],
+  BACKFILL_DEFAULT: 50,
+  BACKFILL_WINDOW: 60000, // joiners accept offers this long after joining
+
+  // Opt-in local history (per room, encrypted under a passphrase)
+  HISTORY_MAX_MESSAGES: 1000,
+  HISTORY_RETENTION_DAYS: [1, 7, 30, 90],
+  HISTORY_DEFAULT_DAYS: 30,
+  HISTORY_PBKDF2_ITERATIONS: 600000,
   APP_NAME: 'MorphStorm',
   VERSION: '1.0.0'
 };
@@ -1,11 +1,33 @@
 // MorphStorm Crypto Engine
-// ECDH key exchange + AES-256-GCM message encryption
+// ECDH key exchange + AES-256-GCM message encryption, plus ECDSA signatures
+// for long-term identity keys
 
 const MorphCrypto = (() => {
   const ALGO_ECDH = { name: 'ECDH', namedCurve: 'P-256' };
   const ALGO_AES = { name: 'AES-GCM', length: 256 };
+  const ALGO_ECDSA = { name: 'ECDSA', namedCurve: 'P-256' };
+  const SIGN_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
   const IV_LENGTH = 12; // 96 bits for AES-GCM
 
+  // Framed wire format: version(1) || seq(8, big-endian) || IV(12) || ciphertext.
+  // The version/seq header plus the caller's context string (room, sender,
+  // receiver) are bound as AES-GCM additional data.
+  const FRAME_VERSION = 2;
+  const FRAME_HEADER_LENGTH = 1 + 8;
+
+  // Safety number alphabet — 64 visually distinct, easy-to-name emoji
+  const SAFETY_EMOJI = [
+    '🐶', '🐱', '🦊', '🐻', '🐼', '🐨', '🐯', '🦁',
+    '🐮', '🐷', '🐸', '🐵', '🐔', '🐧', '🐦', '🦆',
+    '🦉', '🦇', '🐺', '🐴', '🦄', '🐝', '🐛', '🦋',
+    '🐌', '🐞', '🐢', '🐍', '🐙', '🦀', '🐠', '🐬',
+    '🐳', '🦈', '🐊', '🦒', '🐘', '🦔', '🌵', '🌲',
+    '🌻', '🍄', '🌙', '⭐', '🔥', '🌈', '⛄', '🍎',
+    '🍋', '🍌', '🍉', '🍇', '🍓', '🥕', '🌽', '🍕',
+    '🎈', '🎁', '🔑', '🔔', '⚓', '🚀', '⏰', '🎲'
+  ];
+  const SAFETY_GROUPS = 6; // 6 groups of 5 digits
+
   // Generate an ECDH key pair
   async function generateKeyPair() {
     const keyPair = await crypto.subtle.generateKey(
@@ -46,6 +68,16 @@ const MorphCrypto = (() => {
     return sharedKey;
   }
 
+  // Raw ECDH shared secret (input to the DM Double Ratchet)
+  async function deriveSharedSecret(privateKey, peerPublicKeyJwk) {
+    const peerPublicKey = await importPublicKey(peerPublicKeyJwk);
+    return crypto.subtle.deriveBits(
+      { name: 'ECDH', public: peerPublicKey },
+      privateKey,
+      256
+    );
+  }
+
   // Encrypt a message string with AES-GCM
   async function encrypt(sharedKey, plaintext) {
     const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
@@ -81,6 +113,210 @@ const MorphCrypto = (() => {
     return new TextDecoder().decode(decrypted);
   }
 
+  // Encrypt into a versioned frame. seq must be a positive integer that the
+  // caller never reuses under this key; context names who it is for.
+  async function sealFrame(key, plaintext, seq, context) {
+    const header = new Uint8Array(FRAME_HEADER_LENGTH);
+    const view = new DataView(header.buffer);
+    view.setUint8(0, FRAME_VERSION);
+    view.setBigUint64(1, BigInt(seq));
+
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: frameAAD(header, context) },
+      key,
+      new TextEncoder().encode(plaintext)
+    );
+
+    const combined = new Uint8Array(header.length + iv.length + ciphertext.byteLength);
+    combined.set(header);
+    combined.set(iv, header.length);
+    combined.set(new Uint8Array(ciphertext), header.length + iv.length);
+    return btoa(String.fromCharCode(...combined));
+  }
+
+  // Split a frame without decrypting it, so the caller can check the
+  // sequence number first. Throws on malformed or unknown-version frames.
+  // Returns: { version, seq, header, iv, ciphertext }
+  function parseFrame(base64) {
+    let bytes;
+    try {
+      bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    } catch {
+      throw new Error('Malformed frame');
+    }
+    if (bytes.length < FRAME_HEADER_LENGTH + IV_LENGTH + 16) throw new Error('Truncated frame');
+
+    const view = new DataView(bytes.buffer);
+    const version = view.getUint8(0);
+    if (version !== FRAME_VERSION) throw new Error(`Unsupported frame version ${version}`);
+
+    const seq = view.getBigUint64(1);
+    if (seq > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error('Sequence number out of range');
+
+    return {
+      version,
+      seq: Number(seq),
+      header: bytes.slice(0, FRAME_HEADER_LENGTH),
+      iv: bytes.slice(FRAME_HEADER_LENGTH, FRAME_HEADER_LENGTH + IV_LENGTH),
+      ciphertext: bytes.slice(FRAME_HEADER_LENGTH + IV_LENGTH)
+    };
+  }
+
+  // Decrypt a parsed frame. Fails if the key, header or context differ
+  // from what the sender sealed it with.
+  async function openFrame(key, frame, context) {
+    const decrypted = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: frame.iv, additionalData: frameAAD(frame.header, context) },
+      key,
+      frame.ciphertext
+    );
+    return new TextDecoder().decode(decrypted);
+  }
+
+  function frameAAD(header, context) {
+    const ctx = new TextEncoder().encode(context);
+    const aad = new Uint8Array(header.length + ctx.length);
+    aad.set(header);
+    aad.set(ctx, header.length);
+    return aad;
+  }
+
+  // Check that a peer-supplied JWK is a bare P-256 public key
+  function isValidPublicKeyJwk(jwk) {
+    return !!jwk &&
+      jwk.kty === 'EC' &&
+      jwk.crv === 'P-256' &&
+      typeof jwk.x === 'string' &&
+      typeof jwk.y === 'string' &&
+      jwk.d === undefined;
+  }
+
+  // Canonical byte form of a public key (uncompressed EC point)
+  async function publicKeyBytes(jwk) {
+    const key = await importPublicKey(jwk);
+    return new Uint8Array(await crypto.subtle.exportKey('raw', key));
+  }
+
+  function compareBytes(a, b) {
+    const len = Math.min(a.length, b.length);
+    for (let i = 0; i < len; i++) {
+      if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return a.length - b.length;
+  }
+
+  // Derive a short authentication string from both sides' public keys.
+  // Both peers get the same result regardless of who is "mine" and "theirs",
+  // so users can read it aloud or compare screens out-of-band.
+  // Returns: { digits: '12345 67890 ...', emoji: '🐙 🌵 ...' }
+  async function computeSafetyNumber(myPublicKeyJwk, peerPublicKeyJwk) {
+    const keys = [
+      await publicKeyBytes(myPublicKeyJwk),
+      await publicKeyBytes(peerPublicKeyJwk)
+    ].sort(compareBytes);
+
+    const label = new TextEncoder().encode('MorphStorm-SafetyNumber-v1');
+    const input = new Uint8Array(label.length + keys[0].length + keys[1].length);
+    input.set(label);
+    input.set(keys[0], label.length);
+    input.set(keys[1], label.length + keys[0].length);
+
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', input));
+    const emojiHash = new Uint8Array(await crypto.subtle.digest('SHA-256', hash));
+
+    // Each 5-digit group comes from 5 hash bytes (40 bits, safely below 2^53)
+    const groups = [];
+    for (let g = 0; g < SAFETY_GROUPS; g++) {
+      let n = 0;
+      for (let i = 0; i < 5; i++) n = n * 256 + hash[g * 5 + i];
+      groups.push(String(n % 100000).padStart(5, '0'));
+    }
+
+    const emoji = [];
+    for (let i = 0; i < SAFETY_GROUPS; i++) {
+      emoji.push(SAFETY_EMOJI[emojiHash[i] & 63]);
+    }
+
+    return { digits: groups.join(' '), emoji: emoji.join(' ') };
+  }
+
+  // Short hex fingerprint of one public key (for transcripts and logs —
+  // safety numbers are what users compare)
+  async function fingerprint(jwk) {
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', await publicKeyBytes(jwk)));
+    const hex = Array.from(hash.slice(0, 16)).map(b => b.toString(16).padStart(2, '0')).join('');
+    return hex.match(/.{4}/g).join(' ');
+  }
+
+  // ── Identity signatures ─────────────────────────────
+  // Long-term signing key pair. The private half is non-extractable: it can
+  // be stored (IndexedDB keeps CryptoKeys as-is) and used, never read out.
+  async function generateIdentityKeyPair() {
+    return crypto.subtle.generateKey(ALGO_ECDSA, false, ['sign', 'verify']);
+  }
+
+  // Bare { kty, crv, x, y }: what goes on the wire and into fingerprints
+  function canonicalPublicKeyJwk(jwk) {
+    return { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y };
+  }
+
+  // Sign a text statement; returns a base64 signature
+  async function signStatement(privateKey, statement) {
+    const signature = await crypto.subtle.sign(SIGN_PARAMS, privateKey, new TextEncoder().encode(statement));
+    return btoa(String.fromCharCode(...new Uint8Array(signature)));
+  }
+
+  // False for bad signatures and malformed keys or signatures alike
+  async function verifyStatement(publicKeyJwk, statement, signatureBase64) {
+    try {
+      const key = await crypto.subtle.importKey('jwk', canonicalPublicKeyJwk(publicKeyJwk), ALGO_ECDSA, false, ['verify']);
+      const signature = Uint8Array.from(atob(signatureBase64), c => c.charCodeAt(0));
+      return await crypto.subtle.verify(SIGN_PARAMS, key, signature, new TextEncoder().encode(statement));
+    } catch {
+      return false;
+    }
+  }
+
+  // AES-GCM key from a passphrase (local history, transcript bundles)
+  async function deriveKeyFromPassphrase(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      material,
+      ALGO_AES,
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  // Generate a fresh AES-GCM key for our own group broadcasts (sender key).
+  // Extractable so it can be handed to each member over their pairwise channel.
+  async function generateGroupKey() {
+    return crypto.subtle.generateKey(ALGO_AES, true, ['encrypt', 'decrypt']);
+  }
+
+  // Export a group key as base64 raw bytes
+  async function exportGroupKey(key) {
+    const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+    return btoa(String.fromCharCode(...raw));
+  }
+
+  // Import a peer's group key (decrypt-only on our side)
+  async function importGroupKey(base64) {
+    const raw = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    return crypto.subtle.importKey('raw', raw, ALGO_AES, false, ['decrypt']);
+  }
+
+  // Random hex identifier (key IDs, message IDs)
+  function randomId(bytes = 8) {
+    return Array.from(crypto.getRandomValues(new Uint8Array(bytes)))
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
   // Full key exchange flow helper
   // Returns: { publicKeyJwk, keyPair }
   async function initKeyExchange() {
@@ -102,10 +338,27 @@ const MorphCrypto = (() => {
     exportPublicKey,
     importPublicKey,
     deriveSharedKey,
+    deriveSharedSecret,
     encrypt,
     decrypt,
+    sealFrame,
+    parseFrame,
+    openFrame,
+    FRAME_VERSION,
     initKeyExchange,
-    completeKeyExchange
+    completeKeyExchange,
+    isValidPublicKeyJwk,
+    computeSafetyNumber,
+    fingerprint,
+    generateIdentityKeyPair,
+    canonicalPublicKeyJwk,
+    signStatement,
+    verifyStatement,
+    deriveKeyFromPassphrase,
+    generateGroupKey,
+    exportGroupKey,
+    importGroupKey,
+    randomId
   };
 })();
 
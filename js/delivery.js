@@ -0,0 +1,188 @@
+// MorphStorm Delivery Tracking
+// Sender-assigned message IDs, per-peer acknowledgements and a retry queue.
+// Each outgoing message moves through pending → sent → delivered → read per
+// peer; anything not yet delivered is re-sent when that peer's encrypted
+// channel comes back. Receivers de-duplicate by ID and always re-ack.
+
+const MorphDelivery = (() => {
+  const STATUS_ORDER = ['pending', 'sent', 'delivered', 'read'];
+  const MAX_ID_LENGTH = 64;
+  const MAX_SEEN = 5000;
+  const MAX_SETTLED = 200; // delivered-but-unread entries kept for read receipts
+
+  // messageId -> { message, receipts: Map<peerId, { name, status }> }
+  const outbox = new Map();
+  // `${fromPeerId}:${messageId}` for everything we've accepted
+  const seen = new Set();
+  const handlers = new Map();
+
+  function on(type, callback) {
+    if (!handlers.has(type)) handlers.set(type, []);
+    handlers.get(type).push(callback);
+  }
+
+  function emit(type, data) {
+    const cbs = handlers.get(type) || [];
+    cbs.forEach(cb => cb(data));
+  }
+
+  function newMessageId() {
+    return MorphCrypto.randomId(16);
+  }
+
+  function isValidId(id) {
+    return typeof id === 'string' && id.length > 0 && id.length <= MAX_ID_LENGTH;
+  }
+
+  // Receipts only move forward (a late "sent" never overrides "read")
+  function setStatus(messageId, peerId, status) {
+    const entry = outbox.get(messageId);
+    const receipt = entry?.receipts.get(peerId);
+    if (!receipt) return;
+    if (STATUS_ORDER.indexOf(status) <= STATUS_ORDER.indexOf(receipt.status)) return;
+
+    receipt.status = status;
+    emit('status', { id: messageId, peerId, name: receipt.name, status });
+    prune(messageId);
+  }
+
+  function isDelivered(receipt) {
+    return receipt.status === 'delivered' || receipt.status === 'read';
+  }
+
+  // Once every recipient has it there's nothing left to retry: drop the
+  // message body, and the whole entry once everyone has read it (or left).
+  // Only the newest MAX_SETTLED delivered entries wait for read receipts.
+  function prune(messageId) {
+    const entry = outbox.get(messageId);
+    if (!entry) return;
+    const receipts = Array.from(entry.receipts.values());
+    if (receipts.every(r => r.status === 'read')) {
+      outbox.delete(messageId);
+      return;
+    }
+    if (!receipts.every(isDelivered)) return;
+
+    entry.message = null;
+    const settled = Array.from(outbox).filter(([, e]) => e.message === null);
+    for (const [id] of settled.slice(0, Math.max(0, settled.length - MAX_SETTLED))) {
+      outbox.delete(id);
+    }
+  }
+
+  // ── Sending ─────────────────────────────────────────
+  // Track and send a message to one peer (peerId) or the whole room.
+  // Returns the list of peers it is being tracked for.
+  function send(messageObj, peerId = null) {
+    const targets = MorphRTC.getPeerList()
+      .filter(p => p.verification !== 'mismatch')
+      .filter(p => !peerId || p.id === peerId);
+
+    const receipts = new Map(targets.map(p => [p.id, { name: p.name, status: 'pending' }]));
+    outbox.set(messageObj.id, { message: messageObj, receipts });
+    for (const [id, r] of receipts) {
+      emit('status', { id: messageObj.id, peerId: id, name: r.name, status: 'pending' });
+    }
+
+    // The outbox is the only queue: MorphRTC doesn't hold a copy for peers
+    // still exchanging keys, retry() sends it once they're encrypted
+    const sending = peerId
+      ? MorphRTC.sendToPeer(peerId, messageObj, { queue: false }).then(ok => ({ [peerId]: ok }))
+      : MorphRTC.broadcast(messageObj, { queue: false });
+
+    sending.then((results) => {
+      for (const [id, ok] of Object.entries(results)) {
+        if (ok) setStatus(messageObj.id, id, 'sent');
+      }
+    });
+    prune(messageObj.id);
+
+    return targets.map(p => p.id);
+  }
+
+  // Re-send everything a peer hasn't acknowledged yet
+  async function retry(peerId) {
+    for (const messageId of Array.from(outbox.keys())) {
+      await resend(messageId, peerId);
+    }
+  }
+
+  // Send one tracked message to a peer again, unless they already have it
+  async function resend(messageId, peerId) {
+    const entry = outbox.get(messageId);
+    const receipt = entry?.receipts.get(peerId);
+    if (!receipt || !entry.message || isDelivered(receipt)) return;
+    if (await MorphRTC.sendToPeer(peerId, entry.message, { queue: false })) {
+      setStatus(messageId, peerId, 'sent');
+    }
+  }
+
+  // The author changed a message still being tracked (e.g. re-stamped it):
+  // later re-sends carry the new version
+  function update(messageId, changes) {
+    const entry = outbox.get(messageId);
+    if (entry?.message) Object.assign(entry.message, changes);
+  }
+
+  function handleAck(data) {
+    if (!Array.isArray(data.ids)) return;
+    if (data.status !== 'delivered' && data.status !== 'read') return;
+    for (const id of data.ids) {
+      setStatus(id, data.fromPeerId, data.status);
+    }
+  }
+
+  // ── Receiving ───────────────────────────────────────
+  // Acks a received message. Returns false for duplicates and malformed IDs,
+  // which the caller should not render.
+  function receive(data) {
+    if (!isValidId(data.id)) return false;
+
+    MorphRTC.sendToPeer(data.fromPeerId, { type: 'ack', ids: [data.id], status: 'delivered' });
+
+    const key = `${data.fromPeerId}:${data.id}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    if (seen.size > MAX_SEEN) seen.delete(seen.values().next().value);
+    return true;
+  }
+
+  function markRead(peerId, ids) {
+    if (ids.length === 0) return;
+    MorphRTC.sendToPeer(peerId, { type: 'ack', ids, status: 'read' });
+  }
+
+  // Forget everything (leaving a room)
+  function reset() {
+    outbox.clear();
+    seen.clear();
+  }
+
+  MorphRTC.on('message', (data) => {
+    if (data.type === 'ack') handleAck(data);
+  });
+
+  // Someone who left won't acknowledge anything
+  function forgetPeer(peerId) {
+    for (const [messageId, entry] of outbox) {
+      if (entry.receipts.delete(peerId)) prune(messageId);
+    }
+  }
+
+  MorphRTC.on('peer-disconnected', ({ peerId }) => forgetPeer(peerId));
+  MorphRTC.on('peer-encrypted', ({ peerId }) => retry(peerId));
+  MorphRTC.on('peer-reconnected', ({ peerId }) => retry(peerId));
+
+  return {
+    newMessageId,
+    send,
+    resend,
+    update,
+    receive,
+    markRead,
+    reset,
+    on
+  };
+})();
+
+window.MorphDelivery = MorphDelivery;
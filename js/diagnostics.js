@@ -0,0 +1,151 @@
+// MorphStorm Connection Diagnostics
+// Turns MorphRTC.getDiagnostics() snapshots into the rows of the per-peer
+// diagnostics panel, polls them while the panel is open, and builds a plain
+// text report for bug reports. Reports leave the device, so every IP address
+// (and mDNS candidate name) in them is redacted: candidate addresses are
+// blanked before formatting, and the text is scrubbed again as a backstop.
+
+const MorphDiagnostics = (() => {
+  const POLL_INTERVAL = 1000;
+
+  let pollTimer = null;
+
+  // ── Polling ─────────────────────────────────────────
+  // Call onUpdate(diag) now and every second until unwatch(); diag is null
+  // once the peer is gone
+  function watch(peerId, onUpdate) {
+    unwatch();
+    const poll = () => MorphRTC.getDiagnostics(peerId)
+      .then(onUpdate)
+      .catch(err => console.error('[DIAG] getStats failed:', err));
+    poll();
+    pollTimer = setInterval(poll, POLL_INTERVAL);
+  }
+
+  function unwatch() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  // ── Rows ────────────────────────────────────────────
+  // [label, value] pairs, shared by the panel and the report
+  function describe(diag) {
+    const rows = [['Route', diag.relayed ? `Relayed through other members (${diag.hops} hop(s))` : 'Direct']];
+    rows.push(['Encryption', {
+      ratchet: 'Double Ratchet (DM)',
+      pairwise: 'Pairwise AES-GCM + sender key'
+    }[diag.encryption] || 'Not established yet']);
+    if (diag.relayed) {
+      rows.push(['Key exchange', stepTime(diag.timing, 'encrypted', 'via announcement')]);
+      return rows;
+    }
+
+    rows.push(
+      ['Connection', diag.connectionState || '—'],
+      ['ICE', `${diag.iceConnectionState || '—'} (gathering ${diag.iceGatheringState || '—'}, signaling ${diag.signalingState || '—'})`],
+      ['Candidate pair', diag.pair
+        ? `${diag.pair.local?.type || '?'} ↔ ${diag.pair.remote?.type || '?'} (${diag.pair.state})`
+        : 'None selected yet'],
+      ['Local candidate', candidate(diag.pair?.local)],
+      ['Remote candidate', candidate(diag.pair?.remote)],
+      ['TURN', turn(diag.turn)],
+      ['Round trip', diag.rtt === null ? '—' : `${diag.rtt} ms`],
+      ['Sent / received', diag.bytesSent === null
+        ? '—'
+        : `${formatBytes(diag.bytesSent)} / ${formatBytes(diag.bytesReceived || 0)}`],
+      ['Data channel', diag.dataChannel
+        ? `${diag.dataChannel.state}, ${formatBytes(diag.dataChannel.bufferedAmount)} buffered`
+        : 'Not created yet'],
+      ['Channel open', stepTime(diag.timing, 'channelOpen')],
+      ['Key sent', stepTime(diag.timing, 'keySent')],
+      ['Key received', stepTime(diag.timing, 'keyReceived')],
+      ['Encrypted', stepTime(diag.timing, 'encrypted')]
+    );
+    return rows;
+  }
+
+  // IPv6 addresses are bracketed so the port can't run into them
+  function candidate(c) {
+    if (!c) return '—';
+    const relay = c.relayProtocol ? ` via ${c.relayProtocol}` : '';
+    const address = c.address?.includes(':') ? `[${c.address}]` : c.address || '?';
+    return `${c.type} ${c.protocol || ''} ${address}:${c.port ?? '?'}${relay}`.replace(/\s+/g, ' ');
+  }
+
+  function turn(t) {
+    if (!t) return '—';
+    if (!t.inUse) return t.configured ? `Not in use (${t.configured} configured)` : 'Not in use (none configured)';
+    return t.url ? `In use: ${t.url}` : 'In use (relay not from MorphConfig.ICE_SERVERS)';
+  }
+
+  // Time from starting the link to a setup step
+  function stepTime(timing, step, how = '') {
+    if (!timing[step]) return 'Waiting…';
+    return `+${timing[step] - timing.started} ms${how ? ` (${how})` : ''}`;
+  }
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1048576) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1048576).toFixed(1)} MB`;
+  }
+
+  // ── Reports ─────────────────────────────────────────
+  // Plain text for pasting into an issue: environment, then every peer.
+  // The browser line is left out of the scrub: version numbers like
+  // Chrome/120.0.0.0 look like IPv4 addresses.
+  function buildReport(diags) {
+    const iceUrls = MorphConfig.ICE_SERVERS.flatMap(server => [].concat(server.urls));
+    const lines = [
+      `Signaling: ${MorphConfig.SIGNALING_URL}`,
+      // URLs only: TURN usernames and credentials stay out
+      `ICE servers: ${iceUrls.join(', ') || 'none'}`,
+      ''
+    ];
+    const present = diags.filter(Boolean).map(redactCandidates);
+    if (present.length === 0) lines.push('No peers.');
+    for (const diag of present) {
+      lines.push(`Peer ${diag.name} (state: ${diag.state})`);
+      for (const [label, value] of describe(diag)) lines.push(`  ${label}: ${value}`);
+      lines.push('');
+    }
+    return [
+      'MorphStorm diagnostic report',
+      `Version: ${MorphConfig.VERSION}`,
+      `Generated: ${new Date().toISOString()}`,
+      `Browser: ${navigator.userAgent}`,
+      redact(lines.join('\n'))
+    ].join('\n');
+  }
+
+  function redactCandidates(diag) {
+    if (!diag.pair) return diag;
+    const blank = c => c && { ...c, address: c.address ? redactAddress(c.address) : c.address };
+    return { ...diag, pair: { ...diag.pair, local: blank(diag.pair.local), remote: blank(diag.pair.remote) } };
+  }
+
+  function redactAddress(address) {
+    return /\.local$/i.test(address) ? '[mdns]' : '[ip]';
+  }
+
+  // Replace IPv4/IPv6 addresses (with or without a port, bracketed or not)
+  // and mDNS hostnames. Times like 12:30:45 have too few colons to pass as
+  // IPv6 and are left alone.
+  function redact(text) {
+    return text
+      .replace(/\b(?:\d{1,3}\.){3}\d{1,3}\b/g, '[ip]')
+      .replace(/(?<![\w:])[0-9a-f]{0,4}(?::[0-9a-f]{0,4}){2,7}(?::\d{1,5})?(?![\w:])/gi,
+        match => (match.includes('::') || match.split(':').length > 3 ? '[ip]' : match))
+      .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\.local\b/gi, '[mdns]');
+  }
+
+  return {
+    watch,
+    unwatch,
+    describe,
+    buildReport,
+    redact
+  };
+})();
+
+window.MorphDiagnostics = MorphDiagnostics;
@@ -0,0 +1,299 @@
+// MorphStorm Local History
+// Opt-in, per-room chat history in IndexedDB, encrypted at rest under a key
+// derived from a passphrase (PBKDF2). Nothing here opens the database until
+// the user turns history on (or burns it) for a room — with it off, MorphStorm
+// stays "no history, no trace". Unlocked keys live in memory for the session
+// only, so rejoining the same room reloads without asking again.
+//
+// Each history has a label the user picks when turning it on; rooms are
+// matched by type + label (hashed), so a recurring room picks its history
+// back up under the same label even though the server issues a new ID.
+// Room names aren't used: every room left at the default name would share
+// one history. The label is remembered per room ID for this session.
+
+const MorphHistory = (() => {
+  const DB_NAME = 'morphstorm-history';
+  const DB_VERSION = 1;
+  const CHECK_TEXT = 'MorphStorm-history-check';
+  const PRUNE_EVERY = 50; // saves between retention sweeps
+
+  let dbPromise = null;
+  let active = null; // { storeId, key, retentionDays, nextSeq, seqs: Map<recordKey, seq> }
+  let savesSincePrune = 0;
+  let writes = Promise.resolve();
+  const unlocked = new Map(); // storeId -> { key, retentionDays } for this session
+  const labels = new Map();   // room ID -> history label, for this session
+  const MAX_LABEL_LENGTH = 40;
+
+  // ── IndexedDB plumbing ──────────────────────────────
+  function openDB() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          db.createObjectStore('rooms', { keyPath: 'id' });
+          const msgs = db.createObjectStore('messages', { keyPath: 'key' });
+          msgs.createIndex('byRoom', ['roomId', 'seq']);
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+      dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+  }
+
+  function promisify(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function store(name, mode = 'readonly') {
+    const db = await openDB();
+    return db.transaction(name, mode).objectStore(name);
+  }
+
+  function roomRange(storeId) {
+    return IDBKeyRange.bound([storeId, 0], [storeId, Infinity]);
+  }
+
+  // ── Keys ────────────────────────────────────────────
+  function cleanLabel(label) {
+    const clean = String(label || '').trim();
+    if (!clean) throw new Error('Give this history a name');
+    if (clean.length > MAX_LABEL_LENGTH) throw new Error(`History name too long (max ${MAX_LABEL_LENGTH} chars)`);
+    return clean;
+  }
+
+  async function roomStoreId(room, label) {
+    const input = new TextEncoder().encode(`MorphStorm-history|${room.type}|${label}`);
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', input));
+    return Array.from(hash).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function deriveKey(passphrase, salt) {
+    return MorphCrypto.deriveKeyFromPassphrase(passphrase, salt, MorphConfig.HISTORY_PBKDF2_ITERATIONS);
+  }
+
+  // Each record is bound to its room and key, so records can't be swapped
+  // between rooms or slots without failing to decrypt
+  function recordContext(storeId, recordKey) {
+    return `history|${storeId}|${recordKey}`;
+  }
+
+  function recordKeyFor(msg) {
+    return `${msg.fromId}|${msg.id}`;
+  }
+
+  // ── Enabling, loading & closing ─────────────────────
+  // Turn history on for a room under a label (or unlock the history saved
+  // under it). Throws on a wrong passphrase. Returns the stored messages,
+  // oldest first.
+  async function enable(room, label, passphrase, retentionDays = MorphConfig.HISTORY_DEFAULT_DAYS) {
+    label = cleanLabel(label);
+    if (!passphrase) throw new Error('Passphrase required');
+    const storeId = await roomStoreId(room, label);
+    const rooms = await store('rooms');
+    const record = await promisify(rooms.get(storeId));
+
+    let key;
+    if (record) {
+      key = await deriveKey(passphrase, Uint8Array.from(atob(record.salt), c => c.charCodeAt(0)));
+      try {
+        const check = MorphCrypto.parseFrame(record.check);
+        await MorphCrypto.openFrame(key, check, recordContext(storeId, 'check'));
+      } catch {
+        throw new Error('Wrong passphrase for this room\'s history');
+      }
+      retentionDays = record.retentionDays;
+    } else {
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      key = await deriveKey(passphrase, salt);
+      const check = await MorphCrypto.sealFrame(key, CHECK_TEXT, 1, recordContext(storeId, 'check'));
+      await promisify((await store('rooms', 'readwrite')).put({
+        id: storeId,
+        salt: btoa(String.fromCharCode(...salt)),
+        check,
+        retentionDays
+      }));
+    }
+
+    unlocked.set(storeId, { key, retentionDays });
+    labels.set(room.id, label);
+    console.log('[HISTORY] Enabled for this room');
+    return load(storeId);
+  }
+
+  // Reopen history for a room unlocked earlier this session. Returns null
+  // (without touching storage) if history isn't on for it.
+  async function open(room) {
+    const label = labels.get(room.id);
+    const storeId = label ? await roomStoreId(room, label) : null;
+    if (!unlocked.has(storeId)) {
+      active = null;
+      return null;
+    }
+    return load(storeId);
+  }
+
+  async function load(storeId) {
+    const { key, retentionDays } = unlocked.get(storeId);
+    const records = await promisify((await store('messages')).index('byRoom').getAll(roomRange(storeId)));
+
+    const cutoff = Date.now() - retentionDays * 86400000;
+    const loaded = [];
+    const expired = [];
+    const seqs = new Map();
+    let nextSeq = 1;
+
+    for (const record of records) {
+      nextSeq = Math.max(nextSeq, record.seq + 1);
+      const recordKey = record.key.slice(storeId.length + 1);
+      try {
+        const frame = MorphCrypto.parseFrame(record.data);
+        const msg = JSON.parse(await MorphCrypto.openFrame(key, frame, recordContext(storeId, recordKey)));
+        if (msg.time < cutoff) {
+          expired.push(record.key);
+        } else {
+          seqs.set(recordKey, record.seq);
+          loaded.push(msg);
+        }
+      } catch (err) {
+        console.warn('[HISTORY] Skipping unreadable record:', err);
+      }
+    }
+
+    active = { storeId, key, retentionDays, nextSeq, seqs };
+    if (expired.length > 0) await deleteRecords(expired);
+    await pruneCount();
+
+    loaded.sort((a, b) => a.time - b.time);
+    return loaded.slice(-MorphConfig.HISTORY_MAX_MESSAGES);
+  }
+
+  // Stop saving for the room we're leaving; its key stays unlocked
+  function close() {
+    active = null;
+  }
+
+  // Stop saving and forget the key. Stored history stays until burned.
+  async function disable(room) {
+    const label = labels.get(room.id);
+    if (!label) return;
+    const storeId = await roomStoreId(room, label);
+    unlocked.delete(storeId);
+    labels.delete(room.id);
+    if (active?.storeId === storeId) active = null;
+    console.log('[HISTORY] Disabled for this room');
+  }
+
+  function isEnabled() {
+    return !!active;
+  }
+
+  function getRetentionDays() {
+    return active ? active.retentionDays : null;
+  }
+
+  // The label history is on under for this room, or null
+  function getLabel(room) {
+    return labels.get(room.id) || null;
+  }
+
+  // ── Saving ──────────────────────────────────────────
+  // Store (or update, after an edit/delete/reaction) one chat message.
+  // Writes are queued so they land in order; failures are only logged.
+  function save(msg) {
+    if (!active) return Promise.resolve();
+    const target = active;
+
+    writes = writes.then(async () => {
+      const recordKey = recordKeyFor(msg);
+      let seq = target.seqs.get(recordKey);
+      if (!seq) {
+        seq = target.nextSeq++;
+        target.seqs.set(recordKey, seq);
+      }
+
+      const snapshot = {
+        id: msg.id,
+        from: msg.from,
+        fromId: msg.fromId,
+        text: msg.text,
+        time: msg.time,
+        clock: msg.clock || null,
+        isSelf: !!msg.isSelf,
+        edited: !!msg.edited,
+        deleted: !!msg.deleted,
+        emote: !!msg.emote,
+        whisper: msg.whisper || null,
+        backfill: msg.backfill || null,
+        reactions: msg.reactions || {}
+      };
+      const data = await MorphCrypto.sealFrame(
+        target.key, JSON.stringify(snapshot), seq, recordContext(target.storeId, recordKey)
+      );
+      await promisify((await store('messages', 'readwrite')).put({
+        key: `${target.storeId}|${recordKey}`,
+        roomId: target.storeId,
+        seq,
+        data
+      }));
+
+      if (++savesSincePrune >= PRUNE_EVERY) await pruneCount();
+    }).catch(err => console.error('[HISTORY] Save failed:', err));
+
+    return writes;
+  }
+
+  // ── Retention ───────────────────────────────────────
+  async function pruneCount() {
+    savesSincePrune = 0;
+    if (!active) return;
+    const keys = await promisify(
+      (await store('messages')).index('byRoom').getAllKeys(roomRange(active.storeId))
+    );
+    const excess = keys.length - MorphConfig.HISTORY_MAX_MESSAGES;
+    if (excess > 0) await deleteRecords(keys.slice(0, excess));
+  }
+
+  async function deleteRecords(keys) {
+    const messages = await store('messages', 'readwrite');
+    await Promise.all(keys.map(key => promisify(messages.delete(key))));
+  }
+
+  // Delete everything stored under a label and forget its key. Works without
+  // the passphrase — destroying history never needs it. The label defaults
+  // to the one this room's history is on under.
+  async function burn(room, label = labels.get(room.id)) {
+    label = cleanLabel(label);
+    const storeId = await roomStoreId(room, label);
+    unlocked.delete(storeId);
+    if (labels.get(room.id) === label) labels.delete(room.id);
+    if (active?.storeId === storeId) active = null;
+
+    await writes;
+    const keys = await promisify((await store('messages')).index('byRoom').getAllKeys(roomRange(storeId)));
+    await deleteRecords(keys);
+    await promisify((await store('rooms', 'readwrite')).delete(storeId));
+    console.log(`[HISTORY] 🔥 Burned ${keys.length} stored message(s)`);
+    return keys.length;
+  }
+
+  return {
+    enable,
+    open,
+    close,
+    disable,
+    isEnabled,
+    getRetentionDays,
+    getLabel,
+    save,
+    burn
+  };
+})();
+
+window.MorphHistory = MorphHistory;
@@ -0,0 +1,221 @@
+// MorphStorm Identity & Contacts
+// A long-term ECDSA identity key, kept in IndexedDB as a non-extractable
+// CryptoKey, signs the per-link ECDH key in every key exchange. That makes
+// "alice" today and "alice" tomorrow provably the same device, so a local
+// contact book can remember each name's identity fingerprint on first use
+// (TOFU) and flag loudly when a known name turns up with a different key.
+// Identicons give each fingerprint a face that's easy to recognise.
+//
+// If IndexedDB is unavailable (some private modes) the identity and
+// contacts only last for this session.
+
+const MorphIdentity = (() => {
+  const DB_NAME = 'morphstorm-identity';
+  const DB_VERSION = 1;
+  const IDENTICON_GRID = 5;
+
+  let dbPromise = null;
+  let identity = null; // { keyPair, publicKeyJwk, fingerprint, createdAt }
+  let persistent = false;
+  const memoryContacts = new Map(); // fallback when IndexedDB is unavailable
+  const identicons = new Map();     // fingerprint -> SVG markup
+
+  // ── IndexedDB plumbing ──────────────────────────────
+  function openDB() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          db.createObjectStore('keys', { keyPath: 'id' });
+          db.createObjectStore('contacts', { keyPath: 'name' });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+      dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+  }
+
+  function promisify(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function store(name, mode = 'readonly') {
+    const db = await openDB();
+    return db.transaction(name, mode).objectStore(name);
+  }
+
+  // ── Our identity ────────────────────────────────────
+  // Load our identity key, creating it on first run. Call once at startup.
+  async function init() {
+    try {
+      const record = await promisify((await store('keys')).get('self'));
+      if (record) {
+        identity = { keyPair: record.keyPair, publicKeyJwk: record.publicKeyJwk, createdAt: record.createdAt };
+      } else {
+        identity = await createIdentity();
+        await promisify((await store('keys', 'readwrite')).put({ id: 'self', ...identity }));
+        console.log('[ID] Created a new identity key');
+      }
+      persistent = true;
+    } catch (err) {
+      console.warn('[ID] IndexedDB unavailable — identity lasts for this session only:', err);
+      identity = await createIdentity();
+      persistent = false;
+    }
+
+    identity.fingerprint = await MorphCrypto.fingerprint(identity.publicKeyJwk);
+    console.log(`[ID] Identity ${identity.fingerprint}`);
+  }
+
+  async function createIdentity() {
+    const keyPair = await MorphCrypto.generateIdentityKeyPair();
+    const publicKeyJwk = MorphCrypto.canonicalPublicKeyJwk(await MorphCrypto.exportPublicKey(keyPair.publicKey));
+    return { keyPair, publicKeyJwk, createdAt: Date.now() };
+  }
+
+  function getPublicKeyJwk() {
+    return identity.publicKeyJwk;
+  }
+
+  function getFingerprint() {
+    return identity.fingerprint;
+  }
+
+  function isPersistent() {
+    return persistent;
+  }
+
+  function sign(statement) {
+    return MorphCrypto.signStatement(identity.keyPair.privateKey, statement);
+  }
+
+  // ── Contact book ────────────────────────────────────
+  // Contacts are keyed by display name: { name, fingerprint, publicKeyJwk,
+  // verified, firstSeen, lastSeen }
+  async function getContact(name) {
+    if (!persistent) return memoryContacts.get(name) || null;
+    return (await promisify((await store('contacts')).get(name))) || null;
+  }
+
+  async function putContact(contact) {
+    if (!persistent) {
+      memoryContacts.set(contact.name, contact);
+      return;
+    }
+    await promisify((await store('contacts', 'readwrite')).put(contact));
+  }
+
+  // Trust on first use. Returns { status: 'new' | 'known' | 'changed',
+  // fingerprint, previousFingerprint?, verified }
+  async function checkContact(name, publicKeyJwk) {
+    const fingerprint = await MorphCrypto.fingerprint(publicKeyJwk);
+    const contact = await getContact(name);
+    const now = Date.now();
+
+    if (!contact) {
+      await putContact({
+        name,
+        fingerprint,
+        publicKeyJwk: MorphCrypto.canonicalPublicKeyJwk(publicKeyJwk),
+        verified: false,
+        firstSeen: now,
+        lastSeen: now
+      });
+      return { status: 'new', fingerprint, verified: false };
+    }
+
+    if (contact.fingerprint === fingerprint) {
+      await putContact({ ...contact, lastSeen: now });
+      return { status: 'known', fingerprint, verified: contact.verified };
+    }
+
+    console.warn(`[ID] 🚨 ${name} presented a different identity key`);
+    return { status: 'changed', fingerprint, previousFingerprint: contact.fingerprint, verified: false };
+  }
+
+  // Accept a changed key for a name (the user decided to trust it)
+  async function trustContact(name, publicKeyJwk) {
+    const now = Date.now();
+    const previous = await getContact(name);
+    await putContact({
+      name,
+      fingerprint: await MorphCrypto.fingerprint(publicKeyJwk),
+      publicKeyJwk: MorphCrypto.canonicalPublicKeyJwk(publicKeyJwk),
+      verified: false,
+      firstSeen: previous?.firstSeen || now,
+      lastSeen: now
+    });
+    console.log(`[ID] Now trusting ${name}'s new identity key`);
+  }
+
+  // Remember a safety-number comparison, only while the key still matches
+  async function setContactVerified(name, publicKeyJwk, verified) {
+    const contact = await getContact(name);
+    if (!contact || contact.fingerprint !== await MorphCrypto.fingerprint(publicKeyJwk)) return;
+    await putContact({ ...contact, verified });
+  }
+
+  async function listContacts() {
+    const contacts = persistent
+      ? await promisify((await store('contacts')).getAll())
+      : Array.from(memoryContacts.values());
+    return contacts.sort((a, b) => b.lastSeen - a.lastSeen);
+  }
+
+  async function forgetContact(name) {
+    if (!persistent) {
+      memoryContacts.delete(name);
+      return;
+    }
+    await promisify((await store('contacts', 'readwrite')).delete(name));
+  }
+
+  // ── Identicons ──────────────────────────────────────
+  // A mirrored 5×5 grid coloured from the fingerprint. The markup is built
+  // from numbers only, so it is safe to drop into innerHTML.
+  function identicon(fingerprint, size = 18) {
+    if (!fingerprint) return '';
+    if (!identicons.has(fingerprint)) {
+      const bytes = (fingerprint.replace(/[^0-9a-f]/gi, '').match(/../g) || []).map(h => parseInt(h, 16));
+      const hue = Math.round(((bytes[0] << 8 | bytes[1]) / 65536) * 360);
+      const cells = [];
+      const half = Math.ceil(IDENTICON_GRID / 2);
+      for (let y = 0; y < IDENTICON_GRID; y++) {
+        for (let x = 0; x < half; x++) {
+          const byte = bytes[(2 + y * half + x) % bytes.length];
+          if (byte % 2 === 0) continue;
+          cells.push(`<rect x="${x}" y="${y}" width="1" height="1"/>`);
+          const mirror = IDENTICON_GRID - 1 - x;
+          if (mirror !== x) cells.push(`<rect x="${mirror}" y="${y}" width="1" height="1"/>`);
+        }
+      }
+      identicons.set(fingerprint,
+        `<svg class="identicon" viewBox="-0.5 -0.5 6 6" width="SIZE" height="SIZE" aria-hidden="true">` +
+        `<rect x="-0.5" y="-0.5" width="6" height="6" rx="1" fill="hsl(${hue}, 35%, 14%)"/>` +
+        `<g fill="hsl(${hue}, 80%, 60%)">${cells.join('')}</g></svg>`);
+    }
+    return identicons.get(fingerprint).replace(/SIZE/g, String(Number(size) || 18));
+  }
+
+  return {
+    init,
+    getPublicKeyJwk,
+    getFingerprint,
+    isPersistent,
+    sign,
+    checkContact,
+    trustContact,
+    setContactVerified,
+    listContacts,
+    forgetContact,
+    identicon
+  };
+})();
+
+window.MorphIdentity = MorphIdentity;
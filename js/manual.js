@@ -0,0 +1,174 @@
+// MorphStorm Manual Pairing
+// A signaling transport with no server behind it, for when the signaling
+// server is asleep or blocked. Two people swap an invite code and an answer
+// code by hand (copy/paste, or as QR codes). Each code is one session
+// description with its ICE candidates already gathered, compressed and
+// base64url-encoded, so a single round trip sets up the link. Everything
+// after that — key exchange, ratchet, chat — runs over the data channel
+// exactly as it does with the server.
+//
+// The inviter picks the room ID and both peer IDs, since there's nobody else
+// to hand them out. A pairing is always a two-person DM room.
+
+const MorphManual = (() => {
+  const CODE_PREFIX = 'MS1.';
+  const CODE_VERSION = 1;
+  const MAX_CODE_LENGTH = 16000;
+  const MAX_SDP_LENGTH = 20000;
+
+  let session = null; // { peerId, remoteId, roomId, name, role: 'inviter' | 'joiner' }
+  const handlers = new Map();
+
+  function on(type, callback) {
+    if (!handlers.has(type)) handlers.set(type, []);
+    handlers.get(type).push(callback);
+  }
+
+  function emit(type, data) {
+    const cbs = handlers.get(type) || [];
+    cbs.forEach(cb => cb(data));
+  }
+
+  // ── Transport (used by MorphRTC in place of MorphSignaling) ──
+  const transport = {
+    trickle: false, // candidates must travel inside the code
+    getPeerId: () => session?.peerId || null,
+    sendSignal
+  };
+
+  // Only the first offer and its answer can be carried by hand. ICE restarts
+  // and renegotiation (voice calls) would need another round of codes.
+  function sendSignal(targetPeerId, signal) {
+    if (!session || targetPeerId !== session.remoteId) return;
+    if ((signal.type !== 'offer' && signal.type !== 'answer') || signal.restart || signal.renegotiate) {
+      console.warn(`[PAIR] Can't send ${signal.restart ? 'ICE restart' : signal.renegotiate ? 'renegotiation' : signal.type} without a signaling server`);
+      return;
+    }
+
+    const kind = signal.type === 'offer' ? 'invite' : 'answer';
+    pack({
+      v: CODE_VERSION,
+      kind,
+      room: session.roomId,
+      from: { id: session.peerId, name: session.name },
+      to: session.remoteId,
+      sdp: signal.sdp.sdp
+    })
+      .then(code => {
+        console.log(`[PAIR] ${kind} code ready (${code.length} chars)`);
+        emit('code', { kind, code });
+      })
+      .catch(err => console.error('[PAIR] Could not build code:', err));
+  }
+
+  // ── Sessions ────────────────────────────────────────
+  // Start pairing as the inviter. The caller connects to remoteId; the
+  // invite code arrives as a 'code' event once ICE gathering is done.
+  function createInvite(name) {
+    session = {
+      peerId: crypto.randomUUID(),
+      remoteId: crypto.randomUUID(),
+      roomId: crypto.randomUUID(),
+      name,
+      role: 'inviter'
+    };
+    return { ...session };
+  }
+
+  // Join from a decoded invite. The caller feeds invite.description to
+  // MorphRTC.handleSignal; the answer code follows as a 'code' event.
+  function acceptInvite(invite, name) {
+    if (invite.kind !== 'invite') throw new Error('That is an answer code — paste it on the inviting side');
+    session = {
+      peerId: invite.to,
+      remoteId: invite.from.id,
+      roomId: invite.room,
+      name,
+      role: 'joiner'
+    };
+    return { ...session };
+  }
+
+  // Check a decoded answer belongs to our pending invite
+  function acceptAnswer(answer) {
+    if (answer.kind !== 'answer') throw new Error('That is an invite code — paste it on the joining side');
+    if (!session || session.role !== 'inviter') throw new Error('Create an invite first');
+    if (answer.room !== session.roomId || answer.to !== session.remoteId || answer.from.id !== session.remoteId) {
+      throw new Error('That answer is for a different invite');
+    }
+  }
+
+  function getSession() {
+    return session ? { ...session } : null;
+  }
+
+  function close() {
+    session = null;
+  }
+
+  // ── Codes ───────────────────────────────────────────
+  async function pack(payload) {
+    const stream = new Blob([JSON.stringify(payload)]).stream()
+      .pipeThrough(new CompressionStream('deflate-raw'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    return CODE_PREFIX + toBase64Url(bytes);
+  }
+
+  // Decode a pasted or scanned code. Codes come from whoever sent them, so
+  // every field is checked before anything reaches MorphRTC.
+  async function readCode(text) {
+    const code = String(text).replace(/\s+/g, '');
+    if (!code.startsWith(CODE_PREFIX) || code.length > MAX_CODE_LENGTH) {
+      throw new Error('Not a MorphStorm pairing code');
+    }
+
+    let payload;
+    try {
+      const stream = new Blob([fromBase64Url(code.slice(CODE_PREFIX.length))]).stream()
+        .pipeThrough(new DecompressionStream('deflate-raw'));
+      payload = JSON.parse(await new Response(stream).text());
+    } catch {
+      throw new Error('Pairing code is damaged or incomplete');
+    }
+
+    const id = value => typeof value === 'string' && /^[\w-]{1,64}$/.test(value);
+    if (payload?.v !== CODE_VERSION) throw new Error('Pairing code is from an unsupported version');
+    if (!['invite', 'answer'].includes(payload.kind) || !id(payload.room) || !id(payload.to) ||
+        !id(payload.from?.id) || typeof payload.sdp !== 'string' || payload.sdp.length > MAX_SDP_LENGTH) {
+      throw new Error('Pairing code is damaged or incomplete');
+    }
+    const name = typeof payload.from.name === 'string' ? payload.from.name.trim().slice(0, 20) : '';
+
+    return {
+      kind: payload.kind,
+      room: payload.room,
+      from: { id: payload.from.id, name: name || 'Peer' },
+      to: payload.to,
+      description: { type: payload.kind === 'invite' ? 'offer' : 'answer', sdp: payload.sdp }
+    };
+  }
+
+  function toBase64Url(bytes) {
+    let binary = '';
+    for (const b of bytes) binary += String.fromCharCode(b);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+  }
+
+  return {
+    on,
+    transport,
+    createInvite,
+    acceptInvite,
+    acceptAnswer,
+    readCode,
+    getSession,
+    close
+  };
+})();
+
+window.MorphManual = MorphManual;
@@ -0,0 +1,204 @@
+// MorphStorm Markdown
+// A small, safe subset of Markdown for message bodies: bold, italics, inline
+// code, fenced code blocks, lists, quotes and auto-linked URLs. Output is
+// built node by node from an allowlist of tags — user text only ever lands in
+// text nodes, never in innerHTML, so there is nothing to escape or sanitize
+// after the fact.
+
+const MorphMarkdown = (() => {
+  const ALLOWED_TAGS = new Set([
+    'p', 'br', 'strong', 'em', 'code', 'pre', 'blockquote',
+    'ul', 'ol', 'li', 'a', 'div', 'span', 'button'
+  ]);
+  const LINK_PROTOCOLS = new Set(['http:', 'https:']);
+  const MAX_QUOTE_DEPTH = 3;
+  const MAX_INLINE_DEPTH = 4;
+
+  const FENCE = /^\s*```\s*([\w+#.-]*)\s*$/;
+  const QUOTE = /^\s*>\s?/;
+  const BULLET = /^\s*[-*+]\s+/;
+  const NUMBERED = /^\s*(\d{1,9})[.)]\s+/;
+
+  // Order matters: ** before *, __ before _
+  const INLINE = new RegExp([
+    '`([^`\\n]+)`',                                   // 1 inline code
+    '\\*\\*(\\S(?:[^*]*?\\S)?)\\*\\*',                // 2 bold
+    '(?<!\\w)__(\\S(?:[^_]*?\\S)?)__(?!\\w)',         // 3 bold
+    '\\*(\\S(?:[^*]*?\\S)?)\\*',                      // 4 italic
+    '(?<!\\w)_(\\S(?:[^_]*?\\S)?)_(?!\\w)',           // 5 italic (not snake_case)
+    '(https?:\\/\\/[^\\s<>"]+)'                       // 6 URL
+  ].join('|'), 'g');
+
+  // The only way an element gets made
+  function el(tag, className) {
+    if (!ALLOWED_TAGS.has(tag)) throw new Error(`Tag not allowed: ${tag}`);
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    return node;
+  }
+
+  // ── Blocks ──────────────────────────────────────────
+  function render(text) {
+    const fragment = document.createDocumentFragment();
+    renderBlocks(fragment, String(text).replace(/\r\n?/g, '\n').split('\n'), 0);
+    return fragment;
+  }
+
+  function renderBlocks(parent, lines, quoteDepth) {
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      const fence = line.match(FENCE);
+      if (fence) {
+        const body = [];
+        i++;
+        while (i < lines.length && !/^\s*```\s*$/.test(lines[i])) body.push(lines[i++]);
+        i++; // closing fence (or end of message)
+        parent.appendChild(codeBlock(body.join('\n'), fence[1]));
+        continue;
+      }
+
+      if (QUOTE.test(line) && quoteDepth < MAX_QUOTE_DEPTH) {
+        const inner = [];
+        while (i < lines.length && QUOTE.test(lines[i])) inner.push(lines[i++].replace(QUOTE, ''));
+        const quote = el('blockquote');
+        renderBlocks(quote, inner, quoteDepth + 1);
+        parent.appendChild(quote);
+        continue;
+      }
+
+      if (BULLET.test(line) || NUMBERED.test(line)) {
+        const ordered = !BULLET.test(line);
+        const marker = ordered ? NUMBERED : BULLET;
+        const list = el(ordered ? 'ol' : 'ul');
+        if (ordered) {
+          const start = Number(line.match(NUMBERED)[1]);
+          if (start !== 1) list.setAttribute('start', String(start));
+        }
+        while (i < lines.length && marker.test(lines[i])) {
+          const item = el('li');
+          renderInline(item, lines[i++].replace(marker, ''), 0);
+          list.appendChild(item);
+        }
+        parent.appendChild(list);
+        continue;
+      }
+
+      // Paragraph: runs until a blank line or another kind of block
+      const para = el('p');
+      let first = true;
+      while (i < lines.length && lines[i].trim() && !startsBlock(lines[i], quoteDepth)) {
+        if (!first) para.appendChild(el('br'));
+        renderInline(para, lines[i++], 0);
+        first = false;
+      }
+      parent.appendChild(para);
+    }
+  }
+
+  function startsBlock(line, quoteDepth) {
+    return FENCE.test(line) || BULLET.test(line) || NUMBERED.test(line) ||
+      (QUOTE.test(line) && quoteDepth < MAX_QUOTE_DEPTH);
+  }
+
+  function codeBlock(code, lang) {
+    const block = el('div', 'md-code');
+    const header = el('div', 'md-code-header');
+    const label = el('span', 'md-code-lang');
+    label.textContent = lang || 'code';
+    const copy = el('button', 'md-code-copy');
+    copy.type = 'button';
+    copy.dataset.action = 'copy-code';
+    copy.textContent = 'Copy';
+    header.append(label, copy);
+
+    const pre = el('pre');
+    const codeEl = el('code');
+    codeEl.textContent = code;
+    pre.appendChild(codeEl);
+    block.append(header, pre);
+    return block;
+  }
+
+  // ── Inline ──────────────────────────────────────────
+  function renderInline(parent, text, depth) {
+    if (depth >= MAX_INLINE_DEPTH) {
+      parent.appendChild(document.createTextNode(text));
+      return;
+    }
+
+    let last = 0;
+    for (const match of text.matchAll(INLINE)) {
+      let consumed = match[0];
+      let node;
+
+      if (match[1] !== undefined) {
+        node = el('code', 'md-inline-code');
+        node.textContent = match[1];
+      } else if (match[2] !== undefined || match[3] !== undefined) {
+        node = el('strong');
+        renderInline(node, match[2] ?? match[3], depth + 1);
+      } else if (match[4] !== undefined || match[5] !== undefined) {
+        node = el('em');
+        renderInline(node, match[4] ?? match[5], depth + 1);
+      } else {
+        consumed = trimUrl(match[6]);
+        node = link(consumed);
+      }
+
+      parent.appendChild(document.createTextNode(text.slice(last, match.index)));
+      parent.appendChild(node);
+      last = match.index + consumed.length;
+    }
+    parent.appendChild(document.createTextNode(text.slice(last)));
+  }
+
+  // Sentence punctuation after a URL isn't part of it; a closing paren only
+  // is when the URL opened one
+  function trimUrl(url) {
+    let end = url.length;
+    while (end > 0) {
+      const ch = url[end - 1];
+      if ('.,;:!?\'"'.includes(ch)) {
+        end--;
+      } else if (ch === ')' && count(url.slice(0, end), '(') < count(url.slice(0, end), ')')) {
+        end--;
+      } else {
+        break;
+      }
+    }
+    return url.slice(0, end);
+  }
+
+  function count(text, ch) {
+    return text.split(ch).length - 1;
+  }
+
+  function link(url) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch {}
+    if (!parsed || !LINK_PROTOCOLS.has(parsed.protocol)) {
+      return document.createTextNode(url);
+    }
+    const a = el('a', 'md-link');
+    a.href = parsed.href;
+    a.target = '_blank';
+    a.rel = 'noopener noreferrer';
+    a.textContent = url;
+    return a;
+  }
+
+  return {
+    render
+  };
+})();
+
+window.MorphMarkdown = MorphMarkdown;
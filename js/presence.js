@@ -0,0 +1,196 @@
+// MorphStorm Typing & Presence
+// Small encrypted control frames over the data channel: "typing" while the
+// composer is in use and "presence" (active / idle / away) from input activity
+// and the Page Visibility API. Both are throttled so peers never get flooded.
+
+const MorphPresence = (() => {
+  const TYPING_REFRESH = 3000;   // re-announce typing at most this often
+  const TYPING_IDLE = 4000;      // our typing stops after this long without input
+  const TYPING_TIMEOUT = 7000;   // peers' typing expires if the stop frame is lost
+  const IDLE_AFTER = 60000;      // no input for this long means idle
+  const PRESENCE_MIN_INTERVAL = 2000;
+  const STATUSES = ['active', 'idle', 'away'];
+
+  let typing = false;
+  let lastTypingSent = 0;
+  let typingStopTimer = null;
+
+  let presence = 'active';
+  let lastPresenceSent = 0;
+  let presenceTimer = null; // pending throttled presence frame
+  let idleTimer = null;
+  let lastActivity = 0;
+
+  const peerPresence = new Map(); // peerId -> status
+  const peerTyping = new Map();   // peerId -> { name, expiry timer }
+  const handlers = new Map();
+
+  function on(type, callback) {
+    if (!handlers.has(type)) handlers.set(type, []);
+    handlers.get(type).push(callback);
+  }
+
+  function emit(type, data) {
+    const cbs = handlers.get(type) || [];
+    cbs.forEach(cb => cb(data));
+  }
+
+  // ── Our typing state ────────────────────────────────
+  // Call on every composer keystroke
+  function noteTyping() {
+    const now = Date.now();
+    if (!typing || now - lastTypingSent >= TYPING_REFRESH) {
+      typing = true;
+      lastTypingSent = now;
+      MorphRTC.broadcast({ type: 'typing', typing: true });
+    }
+    clearTimeout(typingStopTimer);
+    typingStopTimer = setTimeout(stopTyping, TYPING_IDLE);
+  }
+
+  // Call when the message is sent or the composer is cleared
+  function stopTyping() {
+    clearTimeout(typingStopTimer);
+    if (!typing) return;
+    typing = false;
+    MorphRTC.broadcast({ type: 'typing', typing: false });
+  }
+
+  // ── Our presence ────────────────────────────────────
+  function currentStatus(idle = false) {
+    if (document.visibilityState === 'hidden') return 'away';
+    return idle ? 'idle' : 'active';
+  }
+
+  function setPresence(status) {
+    if (status === presence) return;
+    presence = status;
+    emit('presence', { peerId: 'self', status });
+    schedulePresence();
+  }
+
+  // Only the latest status goes out, at most once per PRESENCE_MIN_INTERVAL
+  function schedulePresence() {
+    if (presenceTimer) return;
+    const wait = Math.max(0, lastPresenceSent + PRESENCE_MIN_INTERVAL - Date.now());
+    presenceTimer = setTimeout(() => {
+      presenceTimer = null;
+      lastPresenceSent = Date.now();
+      MorphRTC.broadcast({ type: 'presence', status: presence });
+    }, wait);
+  }
+
+  function handleActivity() {
+    // mousemove fires constantly; once a second is plenty while active
+    const now = Date.now();
+    if (presence === 'active' && now - lastActivity < 1000) return;
+    lastActivity = now;
+
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => setPresence(currentStatus(true)), IDLE_AFTER);
+    setPresence(currentStatus());
+  }
+
+  function handleVisibility() {
+    if (document.visibilityState === 'hidden') {
+      stopTyping();
+      setPresence('away');
+    } else {
+      handleActivity();
+    }
+  }
+
+  // ── Peers ───────────────────────────────────────────
+  function handleTypingFrame(data) {
+    const entry = peerTyping.get(data.fromPeerId);
+    clearTimeout(entry?.timer);
+
+    if (data.typing === true) {
+      peerTyping.set(data.fromPeerId, {
+        name: data.fromName,
+        timer: setTimeout(() => clearTyping(data.fromPeerId), TYPING_TIMEOUT)
+      });
+      if (!entry) emitTyping();
+    } else if (entry) {
+      peerTyping.delete(data.fromPeerId);
+      emitTyping();
+    }
+  }
+
+  function clearTyping(peerId) {
+    const entry = peerTyping.get(peerId);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    peerTyping.delete(peerId);
+    emitTyping();
+  }
+
+  function emitTyping() {
+    emit('typing', { names: getTypingNames() });
+  }
+
+  function handlePresenceFrame(data) {
+    if (!STATUSES.includes(data.status)) return;
+    if (peerPresence.get(data.fromPeerId) === data.status) return;
+    peerPresence.set(data.fromPeerId, data.status);
+    emit('presence', { peerId: data.fromPeerId, status: data.status });
+  }
+
+  // ── Queries ─────────────────────────────────────────
+  // peerId 'self' gives our own status
+  function getPresence(peerId) {
+    if (peerId === 'self') return presence;
+    return peerPresence.get(peerId) || 'active';
+  }
+
+  function getTypingNames() {
+    return Array.from(peerTyping.values()).map(entry => entry.name);
+  }
+
+  // Forget peers (leaving a room)
+  function reset() {
+    stopTyping();
+    for (const entry of peerTyping.values()) clearTimeout(entry.timer);
+    peerTyping.clear();
+    peerPresence.clear();
+    emitTyping();
+  }
+
+  MorphRTC.on('message', (data) => {
+    if (data.type === 'typing') {
+      handleTypingFrame(data);
+    } else if (data.type === 'presence') {
+      handlePresenceFrame(data);
+    } else if (data.type === 'chat') {
+      // Their message landed, so they've stopped typing it
+      clearTyping(data.fromPeerId);
+    }
+  });
+
+  // Newcomers only hear about changes, so tell them where we stand
+  MorphRTC.on('peer-encrypted', ({ peerId }) => {
+    if (presence !== 'active') MorphRTC.sendToPeer(peerId, { type: 'presence', status: presence });
+  });
+
+  MorphRTC.on('peer-disconnected', ({ peerId }) => {
+    clearTyping(peerId);
+    peerPresence.delete(peerId);
+  });
+
+  document.addEventListener('visibilitychange', handleVisibility);
+  ['pointerdown', 'keydown', 'mousemove', 'touchstart'].forEach(type => {
+    window.addEventListener(type, handleActivity, { passive: true });
+  });
+  handleActivity();
+
+  return {
+    noteTyping,
+    stopTyping,
+    getPresence,
+    getTypingNames,
+    reset,
+    on
+  };
+})();
+
+window.MorphPresence = MorphPresence;
@@ -0,0 +1,370 @@
+// MorphStorm QR Codes
+// A small QR code generator (byte mode, versions 1–40, error correction
+// level L or M) for showing pairing codes on screen. Output is an SVG string
+// built from numbers only, so it is safe to drop into innerHTML.
+//
+// Follows ISO/IEC 18004: data + Reed–Solomon codewords are interleaved,
+// placed around the function patterns, and the mask with the lowest
+// penalty score wins.
+
+const MorphQR = (() => {
+  const QUIET_ZONE = 4;
+
+  // Indexed by version (index 0 unused)
+  const ECC_CODEWORDS_PER_BLOCK = {
+    L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28]
+  };
+  const NUM_ECC_BLOCKS = {
+    L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49]
+  };
+  const FORMAT_BITS = { L: 1, M: 0 };
+
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+  ];
+
+  function bit(value, i) {
+    return ((value >>> i) & 1) !== 0;
+  }
+
+  // ── Capacity ────────────────────────────────────────
+  function rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const numAlign = Math.floor(version / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  function dataCodewords(version, ecl) {
+    return Math.floor(rawDataModules(version) / 8) -
+      ECC_CODEWORDS_PER_BLOCK[ecl][version] * NUM_ECC_BLOCKS[ecl][version];
+  }
+
+  // Most bytes a version can hold in byte mode
+  function byteCapacity(version, ecl) {
+    const countBits = version < 10 ? 8 : 16;
+    return Math.floor((dataCodewords(version, ecl) * 8 - 4 - countBits) / 8);
+  }
+
+  // ── Reed–Solomon over GF(2^8), polynomial 0x11D ─────
+  function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  function rsDivisor(degree) {
+    const result = new Array(degree - 1).fill(0);
+    result.push(1);
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = gfMultiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = gfMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  function rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const b of data) {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+    }
+    return result;
+  }
+
+  // ── Codewords ───────────────────────────────────────
+  function encodeData(bytes, version, ecl) {
+    const bits = [];
+    const append = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    append(0b0100, 4); // byte mode
+    append(bytes.length, version < 10 ? 8 : 16);
+    for (const b of bytes) append(b, 8);
+
+    const capacityBits = dataCodewords(version, ecl) * 8;
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) append(pad, 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((acc, b) => (acc << 1) | b, 0));
+    }
+    return codewords;
+  }
+
+  // Split into blocks, add error correction to each, then interleave
+  function addErrorCorrection(data, version, ecl) {
+    const numBlocks = NUM_ECC_BLOCKS[ecl][version];
+    const eccLen = ECC_CODEWORDS_PER_BLOCK[ecl][version];
+    const rawCodewords = Math.floor(rawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+    const divisor = rsDivisor(eccLen);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+      const block = data.slice(k, k + shortBlockLen - eccLen + (i < numShortBlocks ? 0 : 1));
+      k += block.length;
+      const ecc = rsRemainder(block, divisor);
+      if (i < numShortBlocks) block.push(0); // placeholder, skipped below
+      blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        if (i !== shortBlockLen - eccLen || j >= numShortBlocks) result.push(block[i]);
+      });
+    }
+    return result;
+  }
+
+  // ── Module placement ────────────────────────────────
+  function alignmentPositions(version, size) {
+    if (version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+    return result;
+  }
+
+  function createGrid(version) {
+    const size = version * 4 + 17;
+    const grid = {
+      size,
+      modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+      isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+    };
+    const set = (x, y, dark) => {
+      grid.modules[y][x] = dark;
+      grid.isFunction[y][x] = true;
+    };
+
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || x >= size || y < 0 || y >= size) continue;
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          set(x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+
+    const align = alignmentPositions(version, size);
+    const last = align.length - 1;
+    align.forEach((cx, i) => {
+      align.forEach((cy, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    drawFormatBits(grid, 'L', 0); // reserves the area; redrawn once the mask is picked
+
+    if (version >= 7) {
+      let rem = version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+      const bits = version << 12 | rem;
+      for (let i = 0; i < 18; i++) {
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        set(a, b, bit(bits, i));
+        set(b, a, bit(bits, i));
+      }
+    }
+
+    return grid;
+  }
+
+  function formatBits(ecl, mask) {
+    const data = FORMAT_BITS[ecl] << 3 | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    return (data << 10 | rem) ^ 0x5412;
+  }
+
+  function drawFormatBits(grid, ecl, mask) {
+    const { size } = grid;
+    const bits = formatBits(ecl, mask);
+    const set = (x, y, dark) => {
+      grid.modules[y][x] = dark;
+      grid.isFunction[y][x] = true;
+    };
+
+    for (let i = 0; i <= 5; i++) set(8, i, bit(bits, i));
+    set(8, 7, bit(bits, 6));
+    set(8, 8, bit(bits, 7));
+    set(7, 8, bit(bits, 8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(bits, i));
+
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(bits, i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(bits, i));
+    set(8, size - 8, true); // the always-dark module
+  }
+
+  // Zigzag up and down two-column strips from the right edge
+  function drawCodewords(grid, codewords) {
+    const { size, modules, isFunction } = grid;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // skip the vertical timing pattern
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!isFunction[y][x] && i < codewords.length * 8) {
+            modules[y][x] = bit(codewords[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  function applyMask(grid, mask) {
+    const { size, modules, isFunction } = grid;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+
+  // ── Mask penalty (lower is easier to scan) ──────────
+  function penalty(modules) {
+    const size = modules.length;
+    let score = 0;
+    const finderLike = [
+      [true, false, true, true, true, false, true, false, false, false, false],
+      [false, false, false, false, true, false, true, true, true, false, true]
+    ];
+
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+
+    for (const line of lines) {
+      // Runs of five or more of the same colour
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+      // Patterns that look like a finder
+      for (let i = 0; i + 11 <= size; i++) {
+        for (const pattern of finderLike) {
+          if (pattern.every((dark, k) => line[i + k] === dark)) score += 40;
+        }
+      }
+    }
+
+    // 2×2 blocks of one colour
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+
+    // Balance of dark and light
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+
+  // ── Public API ──────────────────────────────────────
+  // Returns { version, size, modules: boolean[][] } (true = dark). Throws if
+  // the text doesn't fit in a version 40 code.
+  function encode(text, ecl = 'M') {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    let version = 1;
+    while (version <= 40 && byteCapacity(version, ecl) < bytes.length) version++;
+    if (version > 40) {
+      if (ecl !== 'L') return encode(text, 'L');
+      throw new Error('Too long for a QR code');
+    }
+
+    const grid = createGrid(version);
+    drawCodewords(grid, addErrorCorrection(encodeData(bytes, version, ecl), version, ecl));
+
+    let best = null;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+      applyMask(grid, mask);
+      drawFormatBits(grid, ecl, mask);
+      const score = penalty(grid.modules);
+      if (!best || score < best.score) best = { mask, score };
+      applyMask(grid, mask); // undo
+    }
+    applyMask(grid, best.mask);
+    drawFormatBits(grid, ecl, best.mask);
+
+    return { version, size: grid.size, modules: grid.modules };
+  }
+
+  function toSvg(text, { ecl = 'M', moduleSize = 4 } = {}) {
+    const { size, modules } = encode(text, ecl);
+    const full = size + QUIET_ZONE * 2;
+    const path = [];
+    modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) path.push(`M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z`);
+      });
+    });
+    const px = full * (Number(moduleSize) || 4);
+    return `<svg class="qr-code" viewBox="0 0 ${full} ${full}" width="${px}" height="${px}" ` +
+      'shape-rendering="crispEdges" aria-hidden="true">' +
+      `<rect width="${full}" height="${full}" fill="#fff"/>` +
+      `<path d="${path.join('')}" fill="#000"/></svg>`;
+  }
+
+  return {
+    encode,
+    toSvg,
+    byteCapacity
+  };
+})();
+
+window.MorphQR = MorphQR;
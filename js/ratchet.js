@@ -0,0 +1,227 @@
+// MorphStorm Double Ratchet
+// Signal-style Double Ratchet over ECDH P-256 for DM channels.
+// Every message gets a fresh message key; a new DH ratchet step happens each
+// time the conversation changes direction, so a leaked key can neither read
+// earlier traffic nor (once the next DH step lands) later traffic.
+
+const MorphRatchet = (() => {
+  const ALGO_ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+  const MAX_SKIP = 100;          // most message keys we'll derive ahead in one chain
+  const MAX_SKIPPED_KEYS = 200;  // total cached keys for out-of-order messages
+  const ROOT_INFO = new TextEncoder().encode('MorphStorm-DR-Root');
+  const MESSAGE_INFO = new TextEncoder().encode('MorphStorm-DR-Message');
+
+  // Per-state promise chains so concurrent sends/receives can't interleave
+  const locks = new WeakMap();
+
+  function serialize(state, fn) {
+    const prev = locks.get(state) || Promise.resolve();
+    const next = prev.then(fn, fn);
+    locks.set(state, next.catch(() => {}));
+    return next;
+  }
+
+  // ── Encoding helpers ────────────────────────────────
+  function toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+  }
+
+  function fromBase64(str) {
+    return Uint8Array.from(atob(str), c => c.charCodeAt(0));
+  }
+
+  function concatBytes(...parts) {
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.byteLength, 0));
+    let offset = 0;
+    for (const p of parts) {
+      out.set(new Uint8Array(p), offset);
+      offset += p.byteLength;
+    }
+    return out;
+  }
+
+  // ── Primitives ──────────────────────────────────────
+  async function generateDH() {
+    const keyPair = await crypto.subtle.generateKey(ALGO_ECDH, true, ['deriveBits']);
+    const pub = toBase64(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+    return { keyPair, pub };
+  }
+
+  async function dh(privateKey, publicKeyBase64) {
+    const publicKey = await crypto.subtle.importKey(
+      'raw', fromBase64(publicKeyBase64), ALGO_ECDH, false, []
+    );
+    return crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+  }
+
+  async function hkdf(ikm, salt, info, bits) {
+    const key = await crypto.subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+    return crypto.subtle.deriveBits({ name: 'HKDF', hash: 'SHA-256', salt, info }, key, bits);
+  }
+
+  // Root KDF: (rootKey, dhOutput) -> [newRootKey, chainKey]
+  async function kdfRoot(rootKey, dhOut) {
+    const out = await hkdf(dhOut, rootKey, ROOT_INFO, 512);
+    return [out.slice(0, 32), out.slice(32, 64)];
+  }
+
+  // Chain KDF: chainKey -> [nextChainKey, messageKey]
+  async function kdfChain(chainKey) {
+    const key = await crypto.subtle.importKey(
+      'raw', chainKey, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+    );
+    const messageKey = await crypto.subtle.sign('HMAC', key, new Uint8Array([0x01]));
+    const nextChainKey = await crypto.subtle.sign('HMAC', key, new Uint8Array([0x02]));
+    return [nextChainKey, messageKey];
+  }
+
+  // Expand a message key into an AES-GCM key + IV (unique per message key)
+  async function messageCipher(messageKey) {
+    const out = new Uint8Array(await hkdf(messageKey, new Uint8Array(32), MESSAGE_INFO, 352));
+    const key = await crypto.subtle.importKey(
+      'raw', out.slice(0, 32), { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']
+    );
+    return { key, iv: out.slice(32, 44) };
+  }
+
+  // Header is authenticated along with the caller's associated data
+  function associatedData(ad, header) {
+    return new TextEncoder().encode(`${ad}|${header.dh}|${header.pn}|${header.n}`);
+  }
+
+  // ── Setup ───────────────────────────────────────────
+  // The side that initiated the connection ("Alice") knows the responder's
+  // public key from the key exchange and can start sending straight away.
+  async function initSender(sharedSecret, remotePublicKey) {
+    const remotePub = toBase64(await crypto.subtle.exportKey('raw', remotePublicKey));
+    const DHs = await generateDH();
+    const [RK, CKs] = await kdfRoot(sharedSecret, await dh(DHs.keyPair.privateKey, remotePub));
+    return {
+      DHs, DHr: remotePub, RK, CKs, CKr: null,
+      Ns: 0, Nr: 0, PN: 0, skipped: new Map()
+    };
+  }
+
+  // The responder ("Bob") reuses its key-exchange key pair as the first
+  // ratchet key and can't send until the first message from Alice arrives.
+  async function initReceiver(sharedSecret, keyPair) {
+    const pub = toBase64(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+    return {
+      DHs: { keyPair, pub }, DHr: null, RK: sharedSecret, CKs: null, CKr: null,
+      Ns: 0, Nr: 0, PN: 0, skipped: new Map()
+    };
+  }
+
+  function canSend(state) {
+    return !!state && !!state.CKs;
+  }
+
+  // ── Encrypt ─────────────────────────────────────────
+  // Returns: { header: { dh, pn, n }, ciphertext (base64) }
+  function encrypt(state, plaintext, ad = '') {
+    return serialize(state, async () => {
+      if (!state.CKs) throw new Error('Ratchet has no sending chain yet');
+
+      const [nextChainKey, messageKey] = await kdfChain(state.CKs);
+      const header = { dh: state.DHs.pub, pn: state.PN, n: state.Ns };
+      const { key, iv } = await messageCipher(messageKey);
+
+      const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: associatedData(ad, header) },
+        key,
+        new TextEncoder().encode(plaintext)
+      );
+
+      state.CKs = nextChainKey;
+      state.Ns++;
+      return { header, ciphertext: toBase64(ciphertext) };
+    });
+  }
+
+  // ── Decrypt ─────────────────────────────────────────
+  async function decryptWith(messageKey, header, ciphertext, ad) {
+    const { key, iv } = await messageCipher(messageKey);
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv, additionalData: associatedData(ad, header) },
+      key,
+      fromBase64(ciphertext)
+    );
+    return new TextDecoder().decode(plaintext);
+  }
+
+  function storeSkippedKey(s, id, messageKey) {
+    s.skipped.set(id, messageKey);
+    // Oldest entries go first (Map keeps insertion order)
+    while (s.skipped.size > MAX_SKIPPED_KEYS) {
+      s.skipped.delete(s.skipped.keys().next().value);
+    }
+  }
+
+  async function skipMessageKeys(s, until) {
+    if (!s.CKr) return;
+    if (until - s.Nr > MAX_SKIP) throw new Error('Too many skipped messages');
+    while (s.Nr < until) {
+      const [nextChainKey, messageKey] = await kdfChain(s.CKr);
+      storeSkippedKey(s, `${s.DHr}:${s.Nr}`, messageKey);
+      s.CKr = nextChainKey;
+      s.Nr++;
+    }
+  }
+
+  async function dhRatchet(s, header) {
+    s.PN = s.Ns;
+    s.Ns = 0;
+    s.Nr = 0;
+    s.DHr = header.dh;
+    [s.RK, s.CKr] = await kdfRoot(s.RK, await dh(s.DHs.keyPair.privateKey, s.DHr));
+    s.DHs = await generateDH();
+    [s.RK, s.CKs] = await kdfRoot(s.RK, await dh(s.DHs.keyPair.privateKey, s.DHr));
+  }
+
+  // Work happens on a copy and is only committed once the message
+  // authenticates, so forged or corrupted frames can't desync the ratchet.
+  function decrypt(state, message, ad = '') {
+    return serialize(state, async () => {
+      const h = message.header || {};
+      if (typeof h.dh !== 'string' || !Number.isInteger(h.n) || !Number.isInteger(h.pn) ||
+          h.n < 0 || h.pn < 0) {
+        throw new Error('Malformed ratchet header');
+      }
+      const header = { dh: h.dh, pn: h.pn, n: h.n };
+
+      // Out-of-order message whose key we already derived
+      const skippedId = `${header.dh}:${header.n}`;
+      if (state.skipped.has(skippedId)) {
+        const plaintext = await decryptWith(state.skipped.get(skippedId), header, message.ciphertext, ad);
+        state.skipped.delete(skippedId);
+        return plaintext;
+      }
+
+      const s = { ...state, skipped: new Map(state.skipped) };
+      if (header.dh !== s.DHr) {
+        await skipMessageKeys(s, header.pn);
+        await dhRatchet(s, header);
+      }
+      await skipMessageKeys(s, header.n);
+      if (header.n < s.Nr) throw new Error('Message key already used');
+
+      const [nextChainKey, messageKey] = await kdfChain(s.CKr);
+      s.CKr = nextChainKey;
+      s.Nr++;
+
+      const plaintext = await decryptWith(messageKey, header, message.ciphertext, ad);
+      Object.assign(state, s);
+      return plaintext;
+    });
+  }
+
+  return {
+    initSender,
+    initReceiver,
+    canSend,
+    encrypt,
+    decrypt
+  };
+})();
+
+window.MorphRatchet = MorphRatchet;
@@ -1,12 +1,65 @@
 // MorphStorm RTC Mesh Manager
-// Manages WebRTC peer connections in a mesh topology with per-pair encryption
+// Manages WebRTC peer connections in a mesh topology with per-pair encryption.
+// Broadcasts use sender keys: each member encrypts once with its own group
+// key, which is handed to every peer over their pairwise encrypted channel.
+// DM rooms run a Double Ratchet (MorphRatchet) per peer instead.
+// Every encrypted frame carries a per-direction sequence number and is bound
+// to (room, sender, receiver), so replayed, reflected or misdirected frames
+// fail to open and are reported as security warnings.
+// Each link's ECDH key is signed by the sender's long-term identity key
+// (MorphIdentity); safety numbers and fingerprints come from identity keys,
+// so they stay the same across reconnects and sessions.
+// Signals travel over a pluggable transport: MorphSignaling by default, or
+// MorphManual's copy/paste pairing when there's no server to reach.
+// Group rooms above MorphConfig.FULL_MESH_PEERS become a partial mesh: each
+// member links to a few neighbours and reaches the rest through relays (see
+// "Overlay" below). Relayed frames stay end-to-end encrypted.
 
 const MorphRTC = (() => {
-  // Map of peerId -> { connection, dataChannel, sharedKey, keyPair, name, state }
+  // Map of peerId -> { connection, dataChannel, localKey, sharedKey, ratchet, sendSeq, recvWindow, publicKeyJwk, identityJwk, contact, safetyNumber, verification, name, state }
   const peers = new Map();
   const handlers = new Map();
-  let myKeyPair = null;
-  let myPublicKeyJwk = null;
+  // Bulk senders (file transfer) pause above HIGH and resume below LOW, so
+  // chat frames never sit behind more than a few chunks in the send buffer
+  const BUFFER_HIGH_WATER = 256 * 1024;
+  const BUFFER_LOW_WATER = 64 * 1024;
+  // 'disconnected' is often a blip (Wi-Fi/cellular handoff): wait a little,
+  // then restart ICE, and only give up on the peer after RECONNECT_TIMEOUT
+  const ICE_RESTART_GRACE = 4000;
+  const ICE_RESTART_RETRY = 8000;
+  const RECONNECT_TIMEOUT = 45000;
+  // Transports that can't trickle candidates wait this long for gathering
+  const ICE_GATHER_TIMEOUT = 8000;
+  // Overlay: hop limit for relayed frames, how many relay IDs we remember
+  // for de-duplication, and how often members re-announce themselves
+  const RELAY_TTL = 6;
+  const RELAY_SEEN_LIMIT = 4096;
+  const ANNOUNCE_INTERVAL = 20000;
+  const ANNOUNCE_DEBOUNCE = 1500;
+  const ANNOUNCE_EXPIRY = 65000;
+  // Frames may arrive out of order by up to this many sequence numbers
+  const REPLAY_WINDOW = 128;
+  // At most one security warning per peer in this interval; the rest are counted
+  const WARNING_INTERVAL = 10000;
+  let roomContext = { roomId: null, roomType: 'group' };
+  let myGroupKey = null; // Promise<{ keyId, key, exported }> — our sender key
+  let localStream = null; // outgoing call audio (MorphVoice), added to every link
+  // Where signals go: { getPeerId(), sendSignal(peerId, signal), trickle? }
+  let transport = MorphSignaling;
+  // Identity fingerprints the host removed from this room: refused even if
+  // the server lets them back in
+  const bannedIdentities = new Set();
+  let localName = ''; // our display name, as announced to relayed peers
+  let overlayKey = null; // Promise<{ publicKeyJwk, keyPair }> — relayed peers key against this
+  let announceSeq = 0;
+  let announceTimer = null;
+  let announceSoon = null;
+  const relaySeen = new Map(); // "origin|id" of relay frames already handled, oldest first
+  const relayPending = new Set(); // relayed peers being set up from their announcement
+  // Room members by peer ID, as the signaling server lists them. Only they
+  // can be reached through relays, so nobody can announce a phantom member
+  // or claim a newcomer's ID under their own key.
+  const roster = new Set();
 
   function on(type, callback) {
     if (!handlers.has(type)) handlers.set(type, []);
@@ -18,32 +71,334 @@ const MorphRTC = (() => {
     cbs.forEach(cb => cb(data));
   }
 
-  // Initialize our ECDH key pair (call once at startup)
+  // Initialize our sender key (call once at startup). ECDH key pairs are
+  // generated per peer, so no two links share key material.
   async function init() {
-    const result = await MorphCrypto.initKeyExchange();
-    myKeyPair = result.keyPair;
-    myPublicKeyJwk = result.publicKeyJwk;
+    rotateGroupKey();
+    overlayKey = MorphCrypto.initKeyExchange();
+    await myGroupKey;
     console.log('[RTC] Crypto initialized');
   }
 
-  // Create a new peer connection (we are the initiator/offerer)
-  async function connectToPeer(peerId, peerName) {
-    console.log(`[RTC] Initiating connection to ${peerName} (${peerId})`);
+  // ── Sender keys ─────────────────────────────────────
+  async function createGroupKey() {
+    const key = await MorphCrypto.generateGroupKey();
+    return {
+      keyId: MorphCrypto.randomId(),
+      key,
+      exported: await MorphCrypto.exportGroupKey(key),
+      seq: 0
+    };
+  }
 
-    const config = { iceServers: MorphConfig.ICE_SERVERS };
-    const pc = new RTCPeerConnection(config);
-    const dc = pc.createDataChannel('morphstorm', { ordered: true });
+  // Replace our sender key and hand the new one to every encrypted peer.
+  // Broadcasts await myGroupKey, so nothing is sent under a half-distributed key.
+  function rotateGroupKey() {
+    myGroupKey = createGroupKey().then(async (groupKey) => {
+      const deliveries = [];
+      for (const [peerId, peer] of peers) {
+        if (peer.sharedKey) deliveries.push(sendSenderKey(peerId, groupKey));
+      }
+      await Promise.all(deliveries);
+      console.log(`[RTC] Sender key rotated (${groupKey.keyId})`);
+      return groupKey;
+    });
+    return myGroupKey;
+  }
+
+  async function sendSenderKey(peerId, groupKey) {
+    const sent = await sendToPeer(peerId, {
+      type: 'sender-key',
+      keyId: groupKey.keyId,
+      key: groupKey.exported
+    });
+    const peer = peers.get(peerId);
+    if (sent && peer) peer.senderKeyDelivered = groupKey.keyId;
+  }
+
+  // Peer handed us their sender key over the pairwise channel
+  async function handleSenderKey(peerId, message) {
+    const peer = peers.get(peerId);
+    if (!peer || typeof message.keyId !== 'string' || typeof message.key !== 'string') return;
+    try {
+      peer.senderKey = {
+        keyId: message.keyId,
+        key: await MorphCrypto.importGroupKey(message.key),
+        // A re-sent key (after a link rebuild) keeps its window, so frames
+        // seen under it can't be replayed again
+        window: peer.senderKey?.keyId === message.keyId ? peer.senderKey.window : createReplayWindow()
+      };
+      console.log(`[RTC] Received sender key from ${peer.name} (${message.keyId})`);
+    } catch (err) {
+      console.error(`[RTC] Bad sender key from ${peer.name}:`, err);
+    }
+  }
+
+  // Tell the mesh which room it is serving (call on create/join)
+  function setRoomContext({ roomId, roomType }) {
+    roomContext = { roomId, roomType: roomType || 'group' };
+  }
+
+  function isDM() {
+    return roomContext.roomType === 'dm';
+  }
+
+  // ── Roster ──────────────────────────────────────────
+  // Fed by the app from room-joined / peer-joined / peer-left
+  function setRoster(peerIds) {
+    roster.clear();
+    peerIds.forEach(id => roster.add(id));
+  }
+
+  function addToRoster(peerId) {
+    roster.add(peerId);
+  }
+
+  function removeFromRoster(peerId) {
+    roster.delete(peerId);
+  }
+
+  function setLocalName(name) {
+    if (name === localName) return;
+    localName = name;
+    scheduleAnnounce();
+  }
+
+  // ── Frame context & replay window ───────────────────
+  // Authenticated alongside every frame; receiverId '*' marks group frames
+  function frameContext(senderId, receiverId) {
+    return `v${MorphCrypto.FRAME_VERSION}|${roomContext.roomId}|${senderId}|${receiverId}`;
+  }
+
+  function myId() {
+    return transport.getPeerId();
+  }
+
+  // ── Signaling transport ─────────────────────────────
+  // Swap where offers, answers and candidates go (null restores the server)
+  function setTransport(next) {
+    transport = next || MorphSignaling;
+  }
+
+  function trickles() {
+    return transport.trickle !== false;
+  }
+
+  // Send our current local description. Without trickle, wait for ICE
+  // gathering so every candidate rides inside the SDP itself.
+  async function sendDescription(peerId, pc, extra = {}) {
+    if (!trickles()) await iceGatheringComplete(pc);
+    transport.sendSignal(peerId, {
+      type: pc.localDescription.type,
+      sdp: pc.localDescription,
+      ...extra
+    });
+  }
+
+  function iceGatheringComplete(pc) {
+    if (pc.iceGatheringState === 'complete') return Promise.resolve();
+    return new Promise(resolve => {
+      const timer = setTimeout(done, ICE_GATHER_TIMEOUT);
+      function done() {
+        clearTimeout(timer);
+        pc.removeEventListener('icegatheringstatechange', check);
+        resolve();
+      }
+      function check() {
+        if (pc.iceGatheringState === 'complete') done();
+      }
+      pc.addEventListener('icegatheringstatechange', check);
+    });
+  }
+
+  function createReplayWindow() {
+    return { highest: 0, seen: new Set() };
+  }
+
+  // Returns why a sequence number is unacceptable, or null if it's fresh
+  function replayCheck(win, seq) {
+    if (seq < 1) return 'Invalid sequence number';
+    if (seq > win.highest) return null;
+    if (win.highest - seq >= REPLAY_WINDOW) return `Frame ${seq} is too old (latest ${win.highest})`;
+    if (win.seen.has(seq)) return `Replayed frame ${seq}`;
+    return null;
+  }
 
-    const peerState = {
+  // Only called once a frame has authenticated, so forgeries can't move the window
+  function recordSeq(win, seq) {
+    win.seen.add(seq);
+    if (seq > win.highest) {
+      win.highest = seq;
+      for (const old of win.seen) {
+        if (win.highest - old >= REPLAY_WINDOW) win.seen.delete(old);
+      }
+    }
+  }
+
+  function securityWarning(peerId, reason) {
+    const peer = peers.get(peerId);
+    if (!peer) return;
+    console.warn(`[RTC] ⚠️ Rejected frame from ${peer.name}: ${reason}`);
+
+    const now = Date.now();
+    if (now - peer.lastWarningAt < WARNING_INTERVAL) {
+      peer.suppressedWarnings++;
+      return;
+    }
+    emit('security-warning', {
+      peerId,
+      name: peer.name,
+      reason,
+      suppressed: peer.suppressedWarnings
+    });
+    peer.lastWarningAt = now;
+    peer.suppressedWarnings = 0;
+  }
+
+  // Check, open and record a sequenced frame. Any of keys may open it
+  // (the previous key stays valid briefly after a re-key).
+  // Returns the plaintext, or null after reporting why it was rejected.
+  async function openSequenced(peerId, win, keys, data, context) {
+    let frame;
+    try {
+      frame = MorphCrypto.parseFrame(data);
+    } catch (err) {
+      securityWarning(peerId, err.message);
+      return null;
+    }
+
+    const problem = replayCheck(win, frame.seq);
+    if (problem) {
+      securityWarning(peerId, problem);
+      return null;
+    }
+
+    for (const key of keys) {
+      try {
+        const plaintext = await MorphCrypto.openFrame(key, frame, context);
+        recordSeq(win, frame.seq);
+        return plaintext;
+      } catch {
+        // try the next key
+      }
+    }
+    securityWarning(peerId, 'Frame failed authentication (tampered or not addressed to us)');
+    return null;
+  }
+
+  function createPeerState(pc, name, isInitiator) {
+    return {
+      ...createLinkState(pc),
+      publicKeyJwk: null,
+      identityJwk: null,
+      contact: null, // 'new' | 'known' | 'changed' (MorphIdentity contact book)
+      fingerprint: null,
+      safetyNumber: null,
+      verification: 'unverified',
+      name,
+      state: 'connecting',
+      stateBeforeReconnect: null,
+      isInitiator,
+      pendingMessages: [],
+      iceRestartTimer: null,
+      reconnectDeadline: null,
+      lastWarningAt: 0,
+      suppressedWarnings: 0
+    };
+  }
+
+  // Everything tied to one RTCPeerConnection. A rebuilt connection gets a
+  // fresh set while the peer keeps its name, place and verification history.
+  function createLinkState(pc) {
+    return {
       connection: pc,
-      dataChannel: dc,
+      dataChannel: null,
+      // Our ephemeral ECDH key pair for this link only
+      localKey: MorphCrypto.initKeyExchange(),
       sharedKey: null,
-      name: peerName,
-      state: 'connecting',
-      isInitiator: true,
-      pendingMessages: []
+      previousSharedKey: null,
+      rekeyPending: null,
+      ratchet: null,
+      senderKey: null,
+      senderKeyDelivered: null,
+      // Renegotiation (call audio) only starts once the first offer/answer
+      // is done; makingOffer feeds the glare check in handleSignal
+      negotiated: false,
+      makingOffer: false,
+      // Reached through other members instead of a link of our own
+      relayed: false,
+      // Pairwise sequence numbers: ours outgoing, window for theirs
+      sendSeq: 0,
+      recvWindow: createReplayWindow(),
+      inbox: Promise.resolve(),
+      // When each step of setting up this link happened (for diagnostics)
+      timing: { started: Date.now(), channelOpen: null, keySent: null, keyReceived: null, encrypted: null }
     };
-    peers.set(peerId, peerState);
+  }
+
+  // Detach and close a connection we're replacing, so its dying events
+  // don't tear down the peer entry
+  function retireConnection(peer) {
+    const pc = peer.connection;
+    const dc = peer.dataChannel;
+    if (!pc) return; // relayed peers have no connection of their own
+    pc.onicecandidate = null;
+    pc.oniceconnectionstatechange = null;
+    pc.ondatachannel = null;
+    pc.ontrack = null;
+    pc.onnegotiationneeded = null;
+    if (dc) {
+      dc.onopen = null;
+      dc.onmessage = null;
+      dc.onclose = null;
+    }
+    try { pc.close(); } catch {}
+  }
+
+  function rtcConfig() {
+    return { iceServers: MorphConfig.ICE_SERVERS, iceTransportPolicy: MorphConfig.ICE_TRANSPORT_POLICY };
+  }
+
+  // Pick who a joiner links to directly, given the room-joined peer list:
+  // everyone in a small room, a few random neighbours in a big one.
+  // Returns how many links were started.
+  function joinMesh(existing) {
+    const fullMesh = isDM() || existing.length + 1 <= MorphConfig.FULL_MESH_PEERS;
+    const targets = fullMesh ? existing : shuffle(existing).slice(0, MorphConfig.OVERLAY_NEIGHBOURS);
+    for (const peer of targets) connectToPeer(peer.id, peer.name);
+    return targets.length;
+  }
+
+  function shuffle(list) {
+    const copy = list.slice();
+    for (let i = copy.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+  }
+
+  // Create a new peer connection (we are the initiator/offerer)
+  async function connectToPeer(peerId, peerName) {
+    console.log(`[RTC] Initiating connection to ${peerName} (${peerId})`);
+
+    const pc = new RTCPeerConnection(rtcConfig());
+    let peerState = peers.get(peerId);
+    if (peerState?.relayed) {
+      // Promote a relayed peer to a direct link; it keeps its place
+      Object.assign(peerState, createLinkState(pc), { isInitiator: true, state: 'connecting' });
+    } else {
+      peerState = createPeerState(pc, peerName, true);
+      peers.set(peerId, peerState);
+    }
+
+    await startOffer(peerId, peerState);
+  }
+
+  async function startOffer(peerId, peer) {
+    const pc = peer.connection;
+    const dc = pc.createDataChannel('morphstorm', { ordered: true });
+    peer.dataChannel = dc;
 
     setupPeerConnection(peerId, pc);
     setupDataChannel(peerId, dc);
@@ -52,30 +407,44 @@ const MorphRTC = (() => {
     const offer = await pc.createOffer();
     await pc.setLocalDescription(offer);
 
-    MorphSignaling.sendSignal(peerId, {
-      type: 'offer',
-      sdp: pc.localDescription
-    });
+    await sendDescription(peerId, pc);
   }
 
   // Handle incoming signal from a peer
   async function handleSignal(fromPeerId, fromPeerName, signal) {
     if (signal.type === 'offer') {
+      const existing = peers.get(fromPeerId);
+
+      if (existing && !existing.relayed && (signal.restart || signal.renegotiate)) {
+        // ICE restart or track change on a connection we already have
+        console.log(`[RTC] Received ${signal.restart ? 'ICE restart' : 'renegotiation'} from ${fromPeerName}`);
+        await answerOnExisting(fromPeerId, existing, signal);
+        return;
+      }
+
+      // Both sides opened a link at once (overlay repair): the lower peer
+      // ID keeps its own offer, the other answers it
+      if (existing?.isInitiator && !existing.negotiated &&
+          existing.connection?.signalingState === 'have-local-offer' && myId() < fromPeerId) {
+        console.log(`[RTC] Ignoring crossing offer from ${fromPeerName}`);
+        return;
+      }
+
       console.log(`[RTC] Received offer from ${fromPeerName}`);
 
-      const config = { iceServers: MorphConfig.ICE_SERVERS };
-      const pc = new RTCPeerConnection(config);
-
-      const peerState = {
-        connection: pc,
-        dataChannel: null,
-        sharedKey: null,
-        name: fromPeerName,
-        state: 'connecting',
-        isInitiator: false,
-        pendingMessages: []
-      };
-      peers.set(fromPeerId, peerState);
+      const pc = new RTCPeerConnection(rtcConfig());
+      let peerState;
+      if (existing) {
+        // Peer rebuilt a dead connection (or is upgrading a relayed one) —
+        // keep their place in the room
+        retireConnection(existing);
+        peerState = Object.assign(existing, createLinkState(pc));
+        peerState.isInitiator = false;
+        peerState.stateBeforeReconnect = 'connecting';
+      } else {
+        peerState = createPeerState(pc, fromPeerName, false);
+        peers.set(fromPeerId, peerState);
+      }
 
       setupPeerConnection(fromPeerId, pc);
 
@@ -90,15 +459,13 @@ const MorphRTC = (() => {
       const answer = await pc.createAnswer();
       await pc.setLocalDescription(answer);
 
-      MorphSignaling.sendSignal(fromPeerId, {
-        type: 'answer',
-        sdp: pc.localDescription
-      });
+      await sendDescription(fromPeerId, pc);
 
     } else if (signal.type === 'answer') {
       console.log(`[RTC] Received answer from ${fromPeerName}`);
       const peer = peers.get(fromPeerId);
-      if (peer) {
+      // A stable connection means our offer was rolled back in a glare
+      if (peer && peer.connection?.signalingState === 'have-local-offer') {
         await peer.connection.setRemoteDescription(
           new RTCSessionDescription(signal.sdp)
         );
@@ -106,7 +473,7 @@ const MorphRTC = (() => {
 
     } else if (signal.type === 'ice-candidate') {
       const peer = peers.get(fromPeerId);
-      if (peer && signal.candidate) {
+      if (peer?.connection && signal.candidate) {
         try {
           await peer.connection.addIceCandidate(
             new RTCIceCandidate(signal.candidate)
@@ -117,33 +484,186 @@ const MorphRTC = (() => {
       }
 
     } else if (signal.type === 'key-exchange') {
-      // Peer sent their public key
-      const peer = peers.get(fromPeerId);
-      if (peer && signal.publicKey) {
-        try {
-          peer.sharedKey = await MorphCrypto.completeKeyExchange(
-            myKeyPair, signal.publicKey
-          );
-          peer.state = 'encrypted';
-          console.log(`[RTC] 🔐 Encrypted channel with ${peer.name}`);
-          emit('peer-encrypted', { peerId: fromPeerId, name: peer.name });
-
-          // Send any pending messages
-          for (const msg of peer.pendingMessages) {
-            await sendToPeer(fromPeerId, msg);
-          }
-          peer.pendingMessages = [];
-        } catch (err) {
-          console.error('[RTC] Key exchange failed:', err);
-        }
+      // Keys are only accepted over the data channel, never via the server
+      console.warn(`[RTC] Ignoring key-exchange relayed by signaling from ${fromPeerName}`);
+    }
+  }
+
+  // Offers on a live connection may cross ours ("glare"). The original
+  // responder is the polite side: it rolls its own offer back and answers.
+  // The initiator ignores the colliding offer and waits for its answer.
+  async function answerOnExisting(peerId, peer, signal) {
+    const pc = peer.connection;
+    const collision = peer.makingOffer || pc.signalingState !== 'stable';
+    if (collision && peer.isInitiator) {
+      console.log(`[RTC] Ignoring colliding offer from ${peer.name}`);
+      return;
+    }
+    try {
+      await pc.setRemoteDescription(new RTCSessionDescription(signal.sdp));
+      await pc.setLocalDescription(await pc.createAnswer());
+      await sendDescription(peerId, pc);
+    } catch (err) {
+      console.warn(`[RTC] Could not answer renegotiation (${peerId}):`, err);
+    }
+  }
+
+  // ── Call audio ──────────────────────────────────────
+  // Set (or clear with null) the local stream sent to every peer. Text chat is
+  // untouched: tracks come and go through renegotiation on the same links.
+  function setLocalStream(stream) {
+    localStream = stream;
+    for (const peer of peers.values()) syncTracks(peer);
+  }
+
+  // Peers flagged as a mismatch are cut off, so they never get our audio
+  function syncTracks(peer) {
+    if (!peer.negotiated) return; // picked up once the link is up
+    const pc = peer.connection;
+    const wanted = localStream && peer.verification !== 'mismatch' ? localStream.getTracks() : [];
+    const senders = pc.getSenders().filter(sender => sender.track);
+
+    for (const sender of senders) {
+      if (!wanted.includes(sender.track)) pc.removeTrack(sender);
+    }
+    for (const track of wanted) {
+      if (!senders.some(sender => sender.track === track)) pc.addTrack(track, localStream);
+    }
+  }
+
+  async function renegotiate(peerId) {
+    const peer = peers.get(peerId);
+    if (!peer || !peer.negotiated || peer.state === 'reconnecting') return;
+    const pc = peer.connection;
+    if (pc.signalingState !== 'stable') return;
+
+    try {
+      peer.makingOffer = true;
+      await pc.setLocalDescription(await pc.createOffer());
+      await sendDescription(peerId, pc, { renegotiate: true });
+    } catch (err) {
+      console.warn(`[RTC] Renegotiation failed (${peerId}):`, err);
+    } finally {
+      peer.makingOffer = false;
+    }
+  }
+
+  // What an identity key signs: this link's ECDH key, bound to the room and
+  // both ends so a signed exchange can't be replayed onto another link
+  function keyExchangeStatement(senderId, receiverId, publicKeyJwk) {
+    return `MorphStorm-kx-v1|${roomContext.roomId}|${senderId}|${receiverId}|${publicKeyJwk.x}|${publicKeyJwk.y}`;
+  }
+
+  async function sendKeyExchange(peerId, peer, dc) {
+    const { publicKeyJwk } = await peer.localKey;
+    dc.send(JSON.stringify({
+      _morph: 'key-exchange',
+      publicKey: publicKeyJwk,
+      identity: MorphIdentity.getPublicKeyJwk(),
+      signature: await MorphIdentity.sign(keyExchangeStatement(myId(), peerId, publicKeyJwk))
+    }));
+  }
+
+  // Peer sent their public key over the data channel
+  async function handleKeyExchange(peerId, exchange) {
+    const peer = peers.get(peerId);
+    if (!peer) return;
+
+    const { publicKey: publicKeyJwk, identity: identityJwk, signature } = exchange;
+    if (!MorphCrypto.isValidPublicKeyJwk(publicKeyJwk) || !MorphCrypto.isValidPublicKeyJwk(identityJwk)) {
+      console.warn(`[RTC] Rejected malformed public key from ${peer.name}`);
+      return;
+    }
+    const statement = keyExchangeStatement(peerId, myId(), publicKeyJwk);
+    if (typeof signature !== 'string' || !await MorphCrypto.verifyStatement(identityJwk, statement, signature)) {
+      securityWarning(peerId, 'Key exchange not signed by the identity key it claims');
+      return;
+    }
+    peer.timing.keyReceived = Date.now();
+
+    try {
+      const identity = MorphCrypto.canonicalPublicKeyJwk(identityJwk);
+      if (bannedIdentities.has(await MorphCrypto.fingerprint(identity))) {
+        console.warn(`[RTC] 🚫 Refusing ${peer.name}: removed from this room by the host`);
+        emit('peer-banned', { peerId, name: peer.name });
+        handlePeerDisconnect(peerId);
+        return;
+      }
+      const keyChanged = !!peer.identityJwk &&
+        JSON.stringify(peer.identityJwk) !== JSON.stringify(identity);
+
+      const localKey = await peer.localKey;
+      if (isDM()) {
+        // Ratchet from the ECDH secret; no long-lived message key exists
+        const secret = await MorphCrypto.deriveSharedSecret(localKey.keyPair.privateKey, publicKeyJwk);
+        peer.ratchet = peer.isInitiator
+          ? await MorphRatchet.initSender(secret, await MorphCrypto.importPublicKey(publicKeyJwk))
+          : await MorphRatchet.initReceiver(secret, localKey.keyPair);
+      } else {
+        peer.sharedKey = await MorphCrypto.completeKeyExchange(localKey.keyPair, publicKeyJwk);
+      }
+      peer.publicKeyJwk = publicKeyJwk;
+      peer.identityJwk = identity;
+      peer.fingerprint = await MorphCrypto.fingerprint(identity);
+      peer.safetyNumber = await MorphCrypto.computeSafetyNumber(MorphIdentity.getPublicKeyJwk(), identity);
+      peer.state = 'encrypted';
+      peer.timing.encrypted = Date.now();
+
+      if (keyChanged && peer.verification !== 'mismatch') {
+        // A new key means any earlier comparison no longer applies.
+        // A flagged peer stays flagged, even across reconnects.
+        peer.verification = 'unverified';
+        emit('peer-key-changed', { peerId, name: peer.name });
+      }
+      await checkContact(peerId);
+
+      console.log(`[RTC] 🔐 Encrypted channel with ${peer.name}`);
+
+      if (peer.ratchet) {
+        // The responder can't send until the initiator's first ratchet
+        // message arrives, so the initiator opens with an empty hello
+        if (peer.isInitiator) await sendToPeer(peerId, { type: 'ratchet-hello' });
+      } else {
+        // Our sender key goes first so group frames that follow can be read
+        await sendSenderKey(peerId, await myGroupKey);
+        startAnnouncing();
       }
+
+      emit('peer-encrypted', { peerId, name: peer.name });
+      await flushPending(peerId);
+    } catch (err) {
+      console.error('[RTC] Key exchange failed:', err);
+    }
+  }
+
+  // Send any messages queued while encryption wasn't ready
+  async function flushPending(peerId) {
+    const peer = peers.get(peerId);
+    if (!peer || !canEncryptFor(peer)) return;
+    const pending = peer.pendingMessages;
+    peer.pendingMessages = [];
+    for (const msg of pending) {
+      await sendToPeer(peerId, msg);
     }
   }
 
   function setupPeerConnection(peerId, pc) {
+    pc.onnegotiationneeded = () => renegotiate(peerId);
+
+    pc.ontrack = (event) => {
+      const peer = peers.get(peerId);
+      if (!peer || peer.connection !== pc) return;
+      emit('remote-track', {
+        peerId,
+        name: peer.name,
+        track: event.track,
+        stream: event.streams[0] || new MediaStream([event.track])
+      });
+    };
+
     pc.onicecandidate = (event) => {
-      if (event.candidate) {
-        MorphSignaling.sendSignal(peerId, {
+      if (event.candidate && trickles()) {
+        transport.sendSignal(peerId, {
           type: 'ice-candidate',
           candidate: event.candidate
         });
@@ -154,123 +674,720 @@ const MorphRTC = (() => {
       const state = pc.iceConnectionState;
       console.log(`[RTC] ICE state (${peerId}): ${state}`);
 
-      if (state === 'disconnected' || state === 'failed' || state === 'closed') {
+      const peer = peers.get(peerId);
+      if (!peer || peer.connection !== pc) return;
+
+      if (state === 'connected' || state === 'completed') {
+        if (peer.state === 'reconnecting') handleReconnected(peerId);
+      } else if (state === 'disconnected') {
+        markReconnecting(peerId);
+        clearTimeout(peer.iceRestartTimer);
+        peer.iceRestartTimer = setTimeout(() => restartIce(peerId), ICE_RESTART_GRACE);
+      } else if (state === 'failed') {
+        markReconnecting(peerId);
+        restartIce(peerId);
+      } else if (state === 'closed') {
         handlePeerDisconnect(peerId);
       }
     };
   }
 
+  // ── Reconnection ────────────────────────────────────
+  function markReconnecting(peerId) {
+    const peer = peers.get(peerId);
+    if (!peer || peer.state === 'reconnecting') return;
+
+    peer.stateBeforeReconnect = peer.state;
+    peer.state = 'reconnecting';
+    peer.reconnectDeadline = setTimeout(() => {
+      console.log(`[RTC] Giving up on ${peer.name}`);
+      handlePeerDisconnect(peerId);
+    }, RECONNECT_TIMEOUT);
+    emit('peer-reconnecting', { peerId, name: peer.name });
+  }
+
+  // Only the original initiator sends restart offers, so both sides never
+  // offer at once. The responder just answers whatever arrives.
+  async function restartIce(peerId) {
+    const peer = peers.get(peerId);
+    if (!peer || peer.state !== 'reconnecting' || !peer.isInitiator) return;
+
+    const pc = peer.connection;
+    clearTimeout(peer.iceRestartTimer);
+    // Keep retrying while the peer is away — signaling may be down too
+    peer.iceRestartTimer = setTimeout(() => restartIce(peerId), ICE_RESTART_RETRY);
+
+    if (pc.signalingState !== 'stable') return;
+    try {
+      console.log(`[RTC] Restarting ICE with ${peer.name}`);
+      peer.makingOffer = true;
+      await pc.setLocalDescription(await pc.createOffer({ iceRestart: true }));
+      await sendDescription(peerId, pc, { restart: true });
+    } catch (err) {
+      console.warn(`[RTC] ICE restart failed (${peerId}):`, err);
+    } finally {
+      peer.makingOffer = false;
+    }
+  }
+
+  // The data channel itself died: start a brand-new connection to the same
+  // peer. Keys are renegotiated from scratch, so the safety number changes.
+  async function rebuildConnection(peerId) {
+    const peer = peers.get(peerId);
+    if (!peer) return;
+
+    console.log(`[RTC] Rebuilding connection to ${peer.name}`);
+    retireConnection(peer);
+    Object.assign(peer, createLinkState(new RTCPeerConnection(rtcConfig())));
+    peer.stateBeforeReconnect = 'connecting';
+    try {
+      await startOffer(peerId, peer);
+    } catch (err) {
+      console.error(`[RTC] Rebuild failed (${peerId}):`, err);
+    }
+  }
+
+  function handleReconnected(peerId) {
+    const peer = peers.get(peerId);
+    if (!peer) return;
+
+    clearTimeout(peer.iceRestartTimer);
+    clearTimeout(peer.reconnectDeadline);
+    peer.state = peer.stateBeforeReconnect || 'open';
+    console.log(`[RTC] Reconnected to ${peer.name}`);
+    emit('peer-reconnected', { peerId, name: peer.name });
+
+    // The ratchet re-keys itself with its next DH step
+    if (peer.isInitiator && peer.sharedKey) startRekey(peerId);
+  }
+
+  // After an ICE restart the channel survived, but we still move to fresh
+  // keys. The exchange rides the existing encrypted channel, so the new key
+  // inherits the link's authenticated identity and the safety number stays.
+  async function startRekey(peerId) {
+    const peer = peers.get(peerId);
+    if (!peer || !peer.sharedKey) return;
+    peer.rekeyPending = await MorphCrypto.initKeyExchange();
+    await sendToPeer(peerId, { type: 'rekey', publicKey: peer.rekeyPending.publicKeyJwk });
+  }
+
+  async function handleRekey(peerId, message) {
+    const peer = peers.get(peerId);
+    if (!peer || !peer.sharedKey || !MorphCrypto.isValidPublicKeyJwk(message.publicKey)) return;
+
+    if (message.type === 'rekey' && !peer.isInitiator) {
+      const fresh = await MorphCrypto.initKeyExchange();
+      const newKey = await MorphCrypto.completeKeyExchange(fresh.keyPair, message.publicKey);
+      // The ack must still go out under the old key
+      await sendToPeer(peerId, { type: 'rekey-ack', publicKey: fresh.publicKeyJwk });
+      switchSharedKey(peer, newKey);
+    } else if (message.type === 'rekey-ack' && peer.isInitiator && peer.rekeyPending) {
+      const newKey = await MorphCrypto.completeKeyExchange(peer.rekeyPending.keyPair, message.publicKey);
+      peer.rekeyPending = null;
+      switchSharedKey(peer, newKey);
+    }
+  }
+
+  // Frames already in flight under the old key can still be read
+  function switchSharedKey(peer, newKey) {
+    peer.previousSharedKey = peer.sharedKey;
+    peer.sharedKey = newKey;
+    console.log(`[RTC] 🔁 Re-keyed channel with ${peer.name}`);
+  }
+
   function setupDataChannel(peerId, dc) {
-    dc.onopen = () => {
+    dc.onopen = async () => {
       console.log(`[RTC] DataChannel OPEN with ${peerId}`);
       const peer = peers.get(peerId);
-      if (peer) peer.state = 'open';
+      if (!peer) return;
+      peer.state = 'open';
+      peer.timing.channelOpen = Date.now();
 
-      // Initiate key exchange — send our public key
-      dc.send(JSON.stringify({
-        _morph: 'key-exchange',
-        publicKey: myPublicKeyJwk
-      }));
+      // First negotiation is done; send call audio if we're in a call
+      peer.negotiated = true;
+      syncTracks(peer);
 
-      emit('peer-connected', { peerId, name: peer?.name });
+      // Initiate key exchange — send our signed public key for this link
+      await sendKeyExchange(peerId, peer, dc);
+      peer.timing.keySent = Date.now();
+
+      emit('peer-connected', { peerId, name: peer.name });
     };
 
-    dc.onmessage = async (event) => {
+    // Frames are handled strictly one at a time, in arrival order, so the
+    // key exchange completes before anything encrypted behind it is read
+    dc.onmessage = (event) => {
       const peer = peers.get(peerId);
       if (!peer) return;
+      peer.inbox = peer.inbox.then(() => handleDataMessage(peerId, event.data));
+    };
+
+    dc.onclose = () => {
+      const peer = peers.get(peerId);
+      if (!peer || peer.dataChannel !== dc) return;
+      console.log(`[RTC] DataChannel CLOSED with ${peerId}`);
+
+      // Keep the peer's place while a fresh connection is negotiated
+      markReconnecting(peerId);
+      if (peer.isInitiator) rebuildConnection(peerId);
+    };
+
+    dc.onerror = (err) => {
+      console.error(`[RTC] DataChannel error (${peerId}):`, err);
+    };
+  }
 
+  async function handleDataMessage(peerId, raw) {
+    const peer = peers.get(peerId);
+    if (!peer) return;
+
+    try {
+      // Check if this is a control message (key exchange)
+      let parsed;
       try {
-        // Check if this is a control message (key exchange)
-        const raw = event.data;
-        let parsed;
-        try {
-          parsed = JSON.parse(raw);
-        } catch {
-          parsed = null;
-        }
+        parsed = JSON.parse(raw);
+      } catch {
+        parsed = null;
+      }
 
-        if (parsed && parsed._morph === 'key-exchange') {
-          // Handle key exchange over data channel
-          await handleSignal(peerId, peer.name, {
-            type: 'key-exchange',
-            publicKey: parsed.publicKey
-          });
+      if (parsed && parsed._morph === 'key-exchange') {
+        // Only over the peer's own link; relayed peers key from announcements
+        if (!peer.relayed) await handleKeyExchange(peerId, parsed);
+        return;
+      }
+
+      if (parsed && parsed._morph === 'relay') {
+        if (!peer.relayed) await handleRelay(peerId, parsed);
+        return;
+      }
+
+      // Flagged peers are cut off until the user says otherwise
+      if (peer.verification === 'mismatch') return;
+
+      let decrypted;
+      if (parsed && parsed._morph === 'group') {
+        // Broadcast encrypted once under the sender's group key
+        if (!peer.senderKey || peer.senderKey.keyId !== parsed.keyId) {
+          console.warn(`[RTC] Group frame from ${peer.name} under unknown key ${parsed.keyId}`);
           return;
         }
-
-        // Regular encrypted message
+        decrypted = await openSequenced(peerId, peer.senderKey.window, [peer.senderKey.key],
+          parsed.data, frameContext(peerId, '*'));
+      } else if (parsed && parsed._morph === 'dr') {
+        // DM frame under the Double Ratchet
+        if (!peer.ratchet) {
+          console.warn('[RTC] Ratchet message received but no ratchet yet');
+          return;
+        }
+        try {
+          decrypted = await MorphRatchet.decrypt(peer.ratchet, parsed, frameContext(peerId, myId()));
+        } catch (err) {
+          // Replays hit an already-used message key; misdirected frames fail auth
+          securityWarning(peerId, `DM frame rejected: ${err.message}`);
+          return;
+        }
+      } else {
+        // Pairwise encrypted message
         if (!peer.sharedKey) {
           console.warn('[RTC] Message received but no shared key yet');
           return;
         }
+        const keys = [peer.sharedKey, peer.previousSharedKey].filter(Boolean);
+        decrypted = await openSequenced(peerId, peer.recvWindow, keys, raw, frameContext(peerId, myId()));
+      }
+      if (decrypted === null) return;
 
-        const decrypted = await MorphCrypto.decrypt(peer.sharedKey, raw);
-        const message = JSON.parse(decrypted);
+      const message = JSON.parse(decrypted);
 
-        emit('message', {
-          fromPeerId: peerId,
-          fromName: peer.name,
-          ...message
-        });
+      if (message.type === 'sender-key') {
+        await handleSenderKey(peerId, message);
+        return;
+      }
 
-      } catch (err) {
-        console.error('[RTC] Message decode error:', err);
+      if (message.type === 'sender-key-request') {
+        // A relayed peer heard of us after we first sent it — send again
+        if (peer.relayed) await sendSenderKey(peerId, await myGroupKey);
+        return;
       }
-    };
 
-    dc.onclose = () => {
-      console.log(`[RTC] DataChannel CLOSED with ${peerId}`);
-      handlePeerDisconnect(peerId);
-    };
+      if (message.type === 'rekey' || message.type === 'rekey-ack') {
+        await handleRekey(peerId, message);
+        return;
+      }
 
-    dc.onerror = (err) => {
-      console.error(`[RTC] DataChannel error (${peerId}):`, err);
-    };
+      if (message.type === 'ratchet-hello') {
+        // Responder now has a sending chain
+        await flushPending(peerId);
+        return;
+      }
+
+      // Sender identity comes from the channel, never from the payload;
+      // `direct` is false for frames everyone in the room could read
+      emit('message', {
+        ...message,
+        fromPeerId: peerId,
+        fromName: peer.name,
+        direct: parsed?._morph !== 'group'
+      });
+
+    } catch (err) {
+      console.error('[RTC] Message decode error:', err);
+    }
   }
 
-  function handlePeerDisconnect(peerId) {
+  function handlePeerDisconnect(peerId, { rotate = true } = {}) {
     const peer = peers.get(peerId);
     if (peer) {
-      try { peer.connection.close(); } catch {}
+      clearTimeout(peer.iceRestartTimer);
+      clearTimeout(peer.reconnectDeadline);
       peers.delete(peerId);
+      try { peer.connection.close(); } catch {}
       emit('peer-disconnected', { peerId, name: peer.name });
+
+      // The departed peer holds our current sender key — replace it
+      if (rotate && peers.size > 0) {
+        rotateGroupKey();
+        if (!peer.relayed) scheduleAnnounce();
+        maintainOverlay();
+      }
+    }
+  }
+
+  // ── Overlay (partial mesh) ──────────────────────────
+  // Members we have no link with are reached by flooding relay envelopes
+  // through our neighbours: { _morph: 'relay', id, origin, target, ttl,
+  // frame | announce, signature? }. Every member forwards each envelope
+  // once (de-duplicated on origin + id) until its TTL runs out.
+  //
+  // Members find each other through signed announcements carrying their
+  // name, neighbours and a per-room ECDH key. Any two members derive a
+  // pairwise key from those, so relays only ever see ciphertext. Sender
+  // keys then travel pairwise as usual; relayed broadcasts are also signed
+  // by the sender's identity key, since every member holds the sender key.
+
+  function relayStatement(originId, id, frame) {
+    return `MorphStorm-relay-v1|${roomContext.roomId}|${originId}|${id}|${frame}`;
+  }
+
+  function announceStatement(originId, a) {
+    return `MorphStorm-ov-v1|${roomContext.roomId}|${originId}|${a.seq}|${a.name}|` +
+      `${a.neighbours.join(',')}|${a.publicKey.x}|${a.publicKey.y}`;
+  }
+
+  function rememberRelay(key) {
+    relaySeen.set(key, true);
+    if (relaySeen.size > RELAY_SEEN_LIMIT) relaySeen.delete(relaySeen.keys().next().value);
+  }
+
+  // A direct neighbour we can put frames on right now
+  function isOpenLink(peer) {
+    return !peer.relayed && peer.state !== 'reconnecting' &&
+      peer.dataChannel?.readyState === 'open' && peer.verification !== 'mismatch';
+  }
+
+  // Send a new envelope from us. Returns whether any neighbour took it.
+  function relayOut(fields) {
+    const envelope = { _morph: 'relay', id: MorphCrypto.randomId(), origin: myId(), ttl: RELAY_TTL, ...fields };
+    rememberRelay(`${envelope.origin}|${envelope.id}`);
+    return forwardRelay(JSON.stringify(envelope), null);
+  }
+
+  function forwardRelay(raw, exceptPeerId) {
+    let sent = false;
+    for (const [peerId, peer] of peers) {
+      if (peerId === exceptPeerId || !isOpenLink(peer)) continue;
+      try {
+        peer.dataChannel.send(raw);
+        sent = true;
+      } catch (err) {
+        console.error(`[RTC] Relay send error to ${peerId}:`, err);
+      }
     }
+    return sent;
   }
 
-  // Send encrypted message to a specific peer
-  async function sendToPeer(peerId, messageObj) {
+  function isValidRelay(env) {
+    const id = value => typeof value === 'string' && value.length > 0 && value.length <= 64;
+    return id(env.id) && id(env.origin) && (env.target === '*' || id(env.target)) &&
+      Number.isInteger(env.ttl) && env.ttl >= 1 && env.ttl <= RELAY_TTL &&
+      (typeof env.frame === 'string' || (!!env.announce && typeof env.announce === 'object'));
+  }
+
+  async function handleRelay(hopPeerId, env) {
+    if (!isValidRelay(env) || env.origin === myId()) return;
+    const seenKey = `${env.origin}|${env.id}`;
+    if (relaySeen.has(seenKey)) return;
+    rememberRelay(seenKey);
+
+    // Pass it on before doing any crypto, so we don't hold up the overlay
+    if (env.ttl > 1 && env.target !== myId()) {
+      forwardRelay(JSON.stringify({ ...env, ttl: env.ttl - 1 }), hopPeerId);
+    }
+
+    if (env.announce) {
+      await handleAnnounce(env.origin, env.announce, RELAY_TTL - env.ttl + 1);
+      return;
+    }
+    if (env.target !== '*' && env.target !== myId()) return;
+
+    const origin = peers.get(env.origin);
+    if (!origin) return; // not announced yet, so we couldn't read it anyway
+
+    let inner;
+    try {
+      inner = JSON.parse(env.frame);
+    } catch {
+      inner = null;
+    }
+    if (inner?._morph === 'key-exchange' || inner?._morph === 'relay') return;
+
+    if (env.target === '*' && hopPeerId !== env.origin) {
+      const signed = origin.identityJwk && typeof env.signature === 'string' &&
+        await MorphCrypto.verifyStatement(origin.identityJwk, relayStatement(env.origin, env.id, env.frame), env.signature);
+      if (!signed) {
+        securityWarning(env.origin, 'Relayed broadcast not signed by its sender');
+        return;
+      }
+    }
+
+    // Queued behind the origin's other frames, not awaited: waiting on
+    // another peer's inbox from this one could deadlock
+    origin.inbox = origin.inbox.then(() => handleDataMessage(env.origin, env.frame));
+  }
+
+  // ── Announcements ───────────────────────────────────
+  function startAnnouncing() {
+    if (isDM()) return;
+    if (!announceTimer) announceTimer = setInterval(announceTick, ANNOUNCE_INTERVAL);
+    scheduleAnnounce();
+  }
+
+  function scheduleAnnounce() {
+    if (!announceTimer || announceSoon) return;
+    announceSoon = setTimeout(() => {
+      announceSoon = null;
+      announce().catch(err => console.error('[RTC] Announce failed:', err));
+    }, ANNOUNCE_DEBOUNCE);
+  }
+
+  function announceTick() {
+    // Relayed peers that stopped announcing have left the overlay
+    const cutoff = Date.now() - ANNOUNCE_EXPIRY;
+    for (const [peerId, peer] of peers) {
+      if (peer.relayed && peer.lastAnnounceAt < cutoff) {
+        console.log(`[RTC] Lost relayed peer ${peer.name}`);
+        handlePeerDisconnect(peerId);
+      }
+    }
+    announce().catch(err => console.error('[RTC] Announce failed:', err));
+  }
+
+  async function announce() {
+    const neighbours = Array.from(peers.entries())
+      .filter(([, peer]) => !peer.relayed && peer.sharedKey)
+      .map(([peerId]) => peerId);
+    if (neighbours.length === 0 || !roomContext.roomId) return;
+
+    const { publicKeyJwk } = await overlayKey;
+    const a = {
+      seq: ++announceSeq,
+      name: localName,
+      neighbours,
+      publicKey: publicKeyJwk,
+      identity: MorphIdentity.getPublicKeyJwk()
+    };
+    a.signature = await MorphIdentity.sign(announceStatement(myId(), a));
+    relayOut({ target: '*', announce: a });
+  }
+
+  function isValidAnnounce(a) {
+    return Number.isInteger(a.seq) && a.seq > 0 &&
+      typeof a.name === 'string' && a.name.length > 0 && a.name.length <= 20 &&
+      Array.isArray(a.neighbours) && a.neighbours.length <= MorphConfig.MAX_GROUP_PEERS &&
+      a.neighbours.every(id => typeof id === 'string' && id.length <= 64) &&
+      MorphCrypto.isValidPublicKeyJwk(a.publicKey) && MorphCrypto.isValidPublicKeyJwk(a.identity) &&
+      typeof a.signature === 'string';
+  }
+
+  async function handleAnnounce(originId, a, hops) {
+    const existing = peers.get(originId);
+    // Direct neighbours are keyed over their own link
+    if ((existing && !existing.relayed) || relayPending.has(originId) || !isValidAnnounce(a)) return;
+    if (existing && a.seq <= existing.announceSeq) return;
+    if (!roster.has(originId)) {
+      console.warn(`[RTC] Dropped an announcement for ${originId}: not a member of this room`);
+      return;
+    }
+
+    if (!await MorphCrypto.verifyStatement(a.identity, announceStatement(originId, a), a.signature)) {
+      console.warn(`[RTC] Dropped an unsigned announcement for ${originId}`);
+      return;
+    }
+    const identity = MorphCrypto.canonicalPublicKeyJwk(a.identity);
+    const fingerprint = await MorphCrypto.fingerprint(identity);
+    if (bannedIdentities.has(fingerprint)) return;
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        securityWarning(originId, 'Announcement signed by a different identity key');
+        return;
+      }
+      Object.assign(existing, { announceSeq: a.seq, lastAnnounceAt: Date.now(), hops, neighbours: a.neighbours });
+      if (existing.name !== a.name) renamePeer(originId, a.name);
+      emit('peer-relayed', { peerId: originId, name: a.name, updated: true });
+      return;
+    }
+
+    relayPending.add(originId);
+    try {
+      const peer = {
+        ...createPeerState(null, a.name, false),
+        relayed: true,
+        state: 'encrypted',
+        hops,
+        neighbours: a.neighbours,
+        announceSeq: a.seq,
+        lastAnnounceAt: Date.now(),
+        sharedKey: await MorphCrypto.completeKeyExchange((await overlayKey).keyPair, a.publicKey),
+        publicKeyJwk: a.publicKey,
+        identityJwk: identity,
+        fingerprint,
+        safetyNumber: await MorphCrypto.computeSafetyNumber(MorphIdentity.getPublicKeyJwk(), identity)
+      };
+      peer.timing.encrypted = Date.now();
+      // A direct link may have appeared while we were deriving keys
+      if (peers.has(originId)) return;
+      peers.set(originId, peer);
+      console.log(`[RTC] 📡 Reaching ${peer.name} through relays (${hops} hop(s))`);
+
+      await checkContact(originId);
+      emit('peer-relayed', { peerId: originId, name: peer.name, updated: false });
+      // Anything they sent before hearing our announcement was dropped, so
+      // ask for their sender key as well as sending ours
+      await sendSenderKey(originId, await myGroupKey);
+      await sendToPeer(originId, { type: 'sender-key-request' });
+      await flushPending(originId);
+      // Let the newcomer hear about us without waiting for the next round
+      scheduleAnnounce();
+    } catch (err) {
+      console.error(`[RTC] Could not set up relayed peer ${originId}:`, err);
+    } finally {
+      relayPending.delete(originId);
+    }
+  }
+
+  // Keep a few direct links in a big room, and go back to a full mesh once
+  // the room is small enough again
+  function maintainOverlay() {
+    if (isDM() || !roomContext.roomId) return;
+    const relayed = Array.from(peers.entries()).filter(([, peer]) => peer.relayed);
+    if (relayed.length === 0) return;
+
+    const direct = peers.size - relayed.length;
+    const wanted = peers.size + 1 <= MorphConfig.FULL_MESH_PEERS
+      ? relayed.length
+      : MorphConfig.OVERLAY_NEIGHBOURS - direct;
+    for (const [peerId, peer] of shuffle(relayed).slice(0, Math.max(0, wanted))) {
+      connectToPeer(peerId, peer.name).catch(err => console.error(`[RTC] Could not link to ${peer.name}:`, err));
+    }
+  }
+
+  // Send encrypted message to a specific peer. Resolves to true once it's on
+  // the wire, 'queued' if it's waiting for the key exchange, false if it
+  // couldn't be sent. Callers with their own retry queue (MorphDelivery)
+  // pass { queue: false } and get false instead of 'queued'.
+  async function sendToPeer(peerId, messageObj, { queue = true } = {}) {
     const peer = peers.get(peerId);
     if (!peer) return false;
 
-    if (!peer.sharedKey) {
+    if (peer.verification === 'mismatch') {
+      console.warn(`[RTC] Refusing to send to flagged peer ${peerId}`);
+      return false;
+    }
+
+    if (!canEncryptFor(peer)) {
+      if (!queue) return false;
       // Queue message until encryption is ready
       peer.pendingMessages.push(messageObj);
-      return true;
+      return 'queued';
     }
 
-    if (!peer.dataChannel || peer.dataChannel.readyState !== 'open') {
+    if (!isReachable(peer)) {
       console.warn(`[RTC] Channel not open for ${peerId}`);
       return false;
     }
 
     try {
       const plaintext = JSON.stringify(messageObj);
-      const encrypted = await MorphCrypto.encrypt(peer.sharedKey, plaintext);
-      peer.dataChannel.send(encrypted);
-      return true;
+      return transmit(peerId, peer, await sealForPeer(peerId, peer, plaintext));
     } catch (err) {
       console.error(`[RTC] Send error to ${peerId}:`, err);
       return false;
     }
   }
 
-  // Broadcast message to all connected peers
-  async function broadcast(messageObj) {
-    const results = [];
-    for (const [peerId] of peers) {
-      results.push(await sendToPeer(peerId, messageObj));
+  function isReachable(peer) {
+    if (!peer.relayed) return peer.state !== 'reconnecting' && peer.dataChannel?.readyState === 'open';
+    for (const other of peers.values()) {
+      if (isOpenLink(other)) return true;
+    }
+    return false;
+  }
+
+  // Put a frame on the wire: down the peer's own channel, or as a relay
+  // envelope through our neighbours when we have no link to them
+  function transmit(peerId, peer, frame) {
+    if (peer.relayed) return relayOut({ target: peerId, frame });
+    peer.dataChannel.send(frame);
+    return true;
+  }
+
+  function canEncryptFor(peer) {
+    return peer.ratchet ? MorphRatchet.canSend(peer.ratchet) : !!peer.sharedKey;
+  }
+
+  // Encrypt a plaintext for one peer's channel
+  async function sealForPeer(peerId, peer, plaintext) {
+    const context = frameContext(myId(), peerId);
+    if (peer.ratchet) {
+      const { header, ciphertext } = await MorphRatchet.encrypt(peer.ratchet, plaintext, context);
+      return JSON.stringify({ _morph: 'dr', header, ciphertext });
+    }
+    return MorphCrypto.sealFrame(peer.sharedKey, plaintext, ++peer.sendSeq, context);
+  }
+
+  // Broadcast message to all connected peers: encrypt once under our
+  // sender key, then fan the same frame out to every channel in parallel.
+  // DM rooms go through each peer's ratchet instead.
+  // options are passed on to sendToPeer for pairwise copies.
+  // Returns: { [peerId]: sent }
+  async function broadcast(messageObj, options = {}) {
+    const peerIds = Array.from(peers.keys());
+    let results;
+
+    if (isDM()) {
+      results = await Promise.all(peerIds.map(peerId => sendToPeer(peerId, messageObj, options)));
+    } else {
+      const groupKey = await myGroupKey;
+      const ciphertext = await MorphCrypto.sealFrame(groupKey.key, JSON.stringify(messageObj),
+        ++groupKey.seq, frameContext(myId(), '*'));
+      const frame = JSON.stringify({ _morph: 'group', keyId: groupKey.keyId, data: ciphertext });
+
+      if (peerIds.some(peerId => peers.get(peerId)?.relayed)) {
+        // Partial mesh: one signed flood reaches direct and relayed peers alike
+        const id = MorphCrypto.randomId();
+        const signature = await MorphIdentity.sign(relayStatement(myId(), id, frame));
+        const flooded = relayOut({ id, target: '*', frame, signature });
+        results = await Promise.all(peerIds.map(peerId => {
+          const peer = peers.get(peerId);
+          if (!peer) return false;
+          if (peer.senderKeyDelivered !== groupKey.keyId) return sendToPeer(peerId, messageObj, options);
+          return peer.verification !== 'mismatch' && flooded;
+        }));
+      } else {
+        results = await Promise.all(peerIds.map(peerId =>
+          sendGroupFrame(peerId, frame, groupKey.keyId, messageObj, options)
+        ));
+      }
+    }
+
+    return Object.fromEntries(peerIds.map((peerId, i) => [peerId, results[i]]));
+  }
+
+  async function sendGroupFrame(peerId, frame, keyId, messageObj, options) {
+    const peer = peers.get(peerId);
+    if (!peer) return false;
+
+    // Peers that don't hold this sender key yet get a pairwise copy
+    // (queued until their key exchange completes)
+    if (peer.senderKeyDelivered !== keyId) {
+      return sendToPeer(peerId, messageObj, options);
+    }
+
+    if (peer.verification === 'mismatch') return false;
+
+    if (!isReachable(peer)) {
+      console.warn(`[RTC] Channel not open for ${peerId}`);
+      return false;
+    }
+
+    try {
+      return transmit(peerId, peer, frame);
+    } catch (err) {
+      console.error(`[RTC] Send error to ${peerId}:`, err);
+      return false;
+    }
+  }
+
+  // Record the outcome of an out-of-band safety number comparison
+  // status: 'verified' | 'mismatch' | 'unverified'
+  function setPeerVerification(peerId, status) {
+    const peer = peers.get(peerId);
+    if (!peer || !peer.safetyNumber) return false;
+    peer.verification = status;
+    // Takes our audio off a flagged link (or puts it back); removing a track
+    // fires negotiationneeded, which renegotiates
+    syncTracks(peer);
+    // Remembered in the contact book for next time (unless the key changed)
+    if (peer.contact !== 'changed') {
+      MorphIdentity.setContactVerified(peer.name, peer.identityJwk, status === 'verified')
+        .catch(err => console.error('[RTC] Could not save verification:', err));
+    }
+    emit('peer-verification', { peerId, name: peer.name, status });
+    return true;
+  }
+
+  // The peer changed their display name (announced by the server). The new
+  // name gets its own contact-book check.
+  function renamePeer(peerId, name) {
+    const peer = peers.get(peerId);
+    if (!peer) return false;
+    peer.name = name;
+    if (peer.identityJwk) checkContact(peerId);
+    return true;
+  }
+
+  // ── Contacts (trust on first use) ───────────────────
+  async function checkContact(peerId) {
+    const peer = peers.get(peerId);
+    if (!peer?.identityJwk) return;
+    try {
+      const result = await MorphIdentity.checkContact(peer.name, peer.identityJwk);
+      peer.contact = result.status;
+      if (result.status === 'changed') {
+        if (peer.verification === 'verified') peer.verification = 'unverified';
+        emit('peer-identity-changed', {
+          peerId,
+          name: peer.name,
+          fingerprint: result.fingerprint,
+          previousFingerprint: result.previousFingerprint
+        });
+      } else if (result.verified && peer.verification === 'unverified') {
+        // Compared on an earlier visit, and the key hasn't changed since
+        peer.verification = 'verified';
+        emit('peer-verification', { peerId, name: peer.name, status: 'verified', remembered: true });
+      }
+    } catch (err) {
+      console.error('[RTC] Contact check failed:', err);
+    }
+  }
+
+  // The user accepted a known name's new identity key
+  async function trustPeerIdentity(peerId) {
+    const peer = peers.get(peerId);
+    if (!peer?.identityJwk || peer.contact !== 'changed') return false;
+    await MorphIdentity.trustContact(peer.name, peer.identityJwk);
+    peer.contact = 'known';
+    return true;
+  }
+
+  // Refuse an identity for the rest of this room, dropping any live link
+  function banIdentity(fingerprint) {
+    if (!fingerprint) return;
+    bannedIdentities.add(fingerprint);
+    for (const [peerId, peer] of peers) {
+      if (peer.fingerprint === fingerprint) handlePeerDisconnect(peerId);
     }
-    return results;
   }
 
   // Disconnect from a specific peer
@@ -281,9 +1398,20 @@ const MorphRTC = (() => {
   // Disconnect from all peers
   function disconnectAll() {
     for (const [peerId] of peers) {
-      handlePeerDisconnect(peerId);
+      handlePeerDisconnect(peerId, { rotate: false });
     }
     peers.clear();
+    bannedIdentities.clear();
+    // Fresh sender and overlay keys for whatever room comes next
+    rotateGroupKey();
+    overlayKey = MorphCrypto.initKeyExchange();
+    clearInterval(announceTimer);
+    clearTimeout(announceSoon);
+    announceTimer = null;
+    announceSoon = null;
+    announceSeq = 0;
+    relaySeen.clear();
+    roster.clear();
   }
 
   function getPeerList() {
@@ -291,7 +1419,15 @@ const MorphRTC = (() => {
       id,
       name: p.name,
       state: p.state,
-      encrypted: !!p.sharedKey
+      encrypted: !!(p.sharedKey || p.ratchet),
+      relayed: p.relayed,
+      hops: p.relayed ? p.hops : 0,
+      // Neighbours a relayed peer announced, by name where we know them
+      via: p.relayed ? p.neighbours.map(id => id === myId() ? null : peers.get(id)?.name).filter(Boolean) : [],
+      fingerprint: p.fingerprint,
+      contact: p.contact,
+      safetyNumber: p.safetyNumber,
+      verification: p.verification
     }));
   }
 
@@ -299,22 +1435,155 @@ const MorphRTC = (() => {
     return peers.size;
   }
 
+  // The channels a peer's frames leave on: its own, or every neighbour's
+  // for a relayed peer
+  function channelsFor(peer) {
+    if (!peer) return [];
+    if (!peer.relayed) return peer.dataChannel ? [peer.dataChannel] : [];
+    return Array.from(peers.values()).filter(isOpenLink).map(p => p.dataChannel);
+  }
+
+  function getBufferedAmount(peerId) {
+    return Math.max(0, ...channelsFor(peers.get(peerId)).map(dc => dc.bufferedAmount));
+  }
+
+  // Resolves true once the peer's send buffer has drained below the low
+  // watermark, or false if the channel is gone. Relayed peers wait on the
+  // fullest neighbour channel.
+  function waitForDrain(peerId) {
+    const open = channelsFor(peers.get(peerId)).filter(dc => dc.readyState === 'open');
+    if (open.length === 0) return Promise.resolve(false);
+    const dc = open.reduce((a, b) => (b.bufferedAmount > a.bufferedAmount ? b : a));
+    if (dc.bufferedAmount <= BUFFER_HIGH_WATER) return Promise.resolve(true);
+
+    return new Promise((resolve) => {
+      const done = (ok) => {
+        dc.removeEventListener('bufferedamountlow', onLow);
+        dc.removeEventListener('close', onClose);
+        resolve(ok);
+      };
+      const onLow = () => done(true);
+      const onClose = () => done(false);
+      dc.bufferedAmountLowThreshold = BUFFER_LOW_WATER;
+      dc.addEventListener('bufferedamountlow', onLow);
+      dc.addEventListener('close', onClose);
+    });
+  }
+
+  // ── Diagnostics ─────────────────────────────────────
+  // A snapshot of one peer's link from getStats(), for the diagnostics
+  // panel. Addresses are as the browser reports them; reports that leave
+  // this device go through MorphDiagnostics.redact.
+  async function getDiagnostics(peerId) {
+    const peer = peers.get(peerId);
+    if (!peer) return null;
+    const pc = peer.connection;
+    const dc = peer.dataChannel;
+
+    const diag = {
+      peerId,
+      name: peer.name,
+      state: peer.state,
+      relayed: peer.relayed,
+      hops: peer.relayed ? peer.hops : 0,
+      encryption: peer.ratchet ? 'ratchet' : peer.sharedKey ? 'pairwise' : null,
+      connectionState: pc?.connectionState || null,
+      iceConnectionState: pc?.iceConnectionState || null,
+      iceGatheringState: pc?.iceGatheringState || null,
+      signalingState: pc?.signalingState || null,
+      dataChannel: dc ? { state: dc.readyState, bufferedAmount: dc.bufferedAmount } : null,
+      timing: { ...peer.timing },
+      rtt: null,
+      bytesSent: null,
+      bytesReceived: null,
+      pair: null,
+      turn: null
+    };
+    if (!pc) return diag;
+
+    const stats = await pc.getStats();
+    let pair = null;
+    stats.forEach(report => {
+      if (report.type === 'transport' && report.selectedCandidatePairId) {
+        pair = stats.get(report.selectedCandidatePairId) || pair;
+      }
+    });
+    // Firefox has no transport stats; it flags the pair itself
+    if (!pair) {
+      stats.forEach(report => {
+        if (report.type === 'candidate-pair' && (report.selected || (report.nominated && report.state === 'succeeded'))) {
+          pair = pair || report;
+        }
+      });
+    }
+    if (!pair) return diag;
+
+    diag.rtt = Number.isFinite(pair.currentRoundTripTime) ? Math.round(pair.currentRoundTripTime * 1000) : null;
+    diag.bytesSent = pair.bytesSent ?? null;
+    diag.bytesReceived = pair.bytesReceived ?? null;
+    diag.pair = {
+      state: pair.state,
+      local: describeCandidate(stats.get(pair.localCandidateId)),
+      remote: describeCandidate(stats.get(pair.remoteCandidateId))
+    };
+    diag.turn = turnInUse(diag.pair.local);
+    return diag;
+  }
+
+  function describeCandidate(c) {
+    if (!c) return null;
+    return {
+      type: c.candidateType,
+      protocol: c.protocol || null,
+      address: c.address || c.ip || null,
+      port: c.port ?? null,
+      relayProtocol: c.relayProtocol || null,
+      url: c.url || null
+    };
+  }
+
+  // Whether our side of the link goes through a TURN relay, and whether it
+  // is one of ours from MorphConfig.ICE_SERVERS
+  function turnInUse(local) {
+    const configured = MorphConfig.ICE_SERVERS
+      .flatMap(server => [].concat(server.urls))
+      .filter(url => /^turns?:/.test(url));
+    if (local?.type !== 'relay') return { inUse: false, configured: configured.length };
+    return { inUse: true, configured: configured.length, url: configured.includes(local.url) ? local.url : null };
+  }
+
   function isPeerConnected(peerId) {
     const peer = peers.get(peerId);
+    if (peer?.relayed) return isReachable(peer);
     return peer && peer.dataChannel && peer.dataChannel.readyState === 'open';
   }
 
   return {
     init,
+    setRoomContext,
+    setLocalStream,
+    joinMesh,
     connectToPeer,
     handleSignal,
+    setLocalName,
+    setRoster,
+    addToRoster,
+    removeFromRoster,
+    setTransport,
     sendToPeer,
     broadcast,
+    setPeerVerification,
+    trustPeerIdentity,
+    banIdentity,
+    renamePeer,
     disconnectPeer,
     disconnectAll,
     getPeerList,
     getPeerCount,
     isPeerConnected,
+    getBufferedAmount,
+    getDiagnostics,
+    waitForDrain,
     on
   };
 })();
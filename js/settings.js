@@ -0,0 +1,307 @@
+// MorphStorm Runtime Settings
+// Lets a deployment point at its own signaling server and STUN/TURN relays
+// without editing js/config.js. Values come from, in order of precedence:
+//   1. the page URL, for this visit only:
+//      ?signaling=wss://…  &ice=<JSON array of RTCIceServer>  &relay=1
+//   2. settings saved on this device (localStorage)
+//   3. the defaults in MorphConfig
+// A link can only tighten privacy on its own: ?relay=1 applies straight away
+// (?relay=0 is ignored), but ?signaling= and ?ice= point us at someone else's
+// servers, so they wait until the user accepts them (acceptUrlOverrides).
+// Whatever wins is written onto MorphConfig as soon as this file loads, so
+// everything that reads MorphConfig (signaling, RTC) picks it up. Load it
+// straight after config.js.
+//
+// "Relay only" sets iceTransportPolicy to 'relay': peers only ever see the
+// TURN server's address, never ours.
+
+const MorphSettings = (() => {
+  const STORAGE_KEY = 'morphstorm-settings';
+  const MAX_ICE_SERVERS = 10;
+  const SIGNALING_TIMEOUT = 5000;
+  const GATHER_TIMEOUT = 8000;
+
+  const DEFAULTS = {
+    signalingUrl: MorphConfig.SIGNALING_URL,
+    iceServers: MorphConfig.ICE_SERVERS,
+    relayOnly: false
+  };
+
+  let saved = null;       // what's in localStorage (validated), or null
+  let fromUrl = {};       // overrides from the query string, this visit only
+  let pending = {};       // ?signaling= / ?ice= awaiting the user's OK
+  let effective = null;   // what MorphConfig holds now
+
+  // ── Validation ──────────────────────────────────────
+  // Each throws with a message fit for the settings form
+  function validateSignalingUrl(value) {
+    let url;
+    try {
+      url = new URL(String(value).trim());
+    } catch {
+      throw new Error('Signaling URL is not a valid URL');
+    }
+    if (url.protocol !== 'ws:' && url.protocol !== 'wss:') {
+      throw new Error('Signaling URL must start with ws:// or wss://');
+    }
+    const local = url.hostname === 'localhost' || url.hostname === '127.0.0.1';
+    if (url.protocol === 'ws:' && location.protocol === 'https:' && !local) {
+      throw new Error('This page is served over https, so the signaling server needs wss://');
+    }
+    return url.href.replace(/\/$/, '');
+  }
+
+  function validateIceServers(value) {
+    if (!Array.isArray(value) || value.length === 0) throw new Error('Add at least one ICE server');
+    if (value.length > MAX_ICE_SERVERS) throw new Error(`At most ${MAX_ICE_SERVERS} ICE servers`);
+
+    return value.map((server, i) => {
+      const label = `ICE server ${i + 1}`;
+      if (!server || typeof server !== 'object') throw new Error(`${label} must be an object`);
+      const urls = [].concat(server.urls);
+      if (urls.length === 0 || !urls.every(u => typeof u === 'string' && /^(stun|stuns|turn|turns):\S+$/.test(u))) {
+        throw new Error(`${label}: urls must be stun:, stuns:, turn: or turns: URLs`);
+      }
+      const clean = { urls: Array.isArray(server.urls) ? urls : urls[0] };
+      if (urls.some(isTurnUrl)) {
+        if (typeof server.username !== 'string' || typeof server.credential !== 'string' ||
+            !server.username || !server.credential) {
+          throw new Error(`${label}: TURN needs a username and credential`);
+        }
+        clean.username = server.username;
+        clean.credential = server.credential;
+      }
+      return clean;
+    });
+  }
+
+  function isTurnUrl(url) {
+    return /^turns?:/.test(url);
+  }
+
+  // settings: { signalingUrl, iceServers, relayOnly }. Returns a cleaned copy.
+  function validate(settings) {
+    const iceServers = validateIceServers(settings.iceServers);
+    const relayOnly = settings.relayOnly === true;
+    if (relayOnly && !iceServers.some(s => [].concat(s.urls).some(isTurnUrl))) {
+      throw new Error('Relay-only needs at least one TURN server');
+    }
+    return { signalingUrl: validateSignalingUrl(settings.signalingUrl), iceServers, relayOnly };
+  }
+
+  // ── Loading & applying ──────────────────────────────
+  function loadSaved() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      return raw ? validate({ ...DEFAULTS, ...JSON.parse(raw) }) : null;
+    } catch (err) {
+      console.warn('[SETTINGS] Ignoring saved settings:', err.message);
+      return null;
+    }
+  }
+
+  // Bad overrides are dropped one by one, so a typo in ?ice= doesn't also
+  // throw away a good ?signaling=
+  function readUrlOverrides() {
+    const params = new URLSearchParams(location.search);
+    const overrides = {};
+    try {
+      if (params.has('signaling')) overrides.signalingUrl = validateSignalingUrl(params.get('signaling'));
+    } catch (err) {
+      console.warn('[SETTINGS] Ignoring ?signaling=:', err.message);
+    }
+    try {
+      if (params.has('ice')) overrides.iceServers = validateIceServers(JSON.parse(params.get('ice')));
+    } catch (err) {
+      console.warn('[SETTINGS] Ignoring ?ice=:', err.message);
+    }
+    if (params.get('relay') === '1') overrides.relayOnly = true;
+
+    // TURN credentials shouldn't linger in the address bar or history
+    if (['signaling', 'ice', 'relay'].some(key => params.has(key))) {
+      ['signaling', 'ice', 'relay'].forEach(key => params.delete(key));
+      const query = params.toString();
+      history.replaceState(null, '', location.pathname + (query ? `?${query}` : '') + location.hash);
+    }
+    return overrides;
+  }
+
+  function apply() {
+    let next = { ...DEFAULTS, ...(saved || {}), ...fromUrl };
+    try {
+      next = validate(next);
+    } catch (err) {
+      // e.g. ?relay=1 with no TURN server: fall back to what was saved
+      console.warn('[SETTINGS] URL overrides rejected:', err.message);
+      fromUrl = {};
+      next = saved || { ...DEFAULTS };
+    }
+    effective = next;
+    MorphConfig.SIGNALING_URL = next.signalingUrl;
+    MorphConfig.ICE_SERVERS = next.iceServers;
+    MorphConfig.ICE_TRANSPORT_POLICY = next.relayOnly ? 'relay' : 'all';
+  }
+
+  function get() {
+    return structuredClone(effective);
+  }
+
+  function getDefaults() {
+    return structuredClone(DEFAULTS);
+  }
+
+  // Which settings the page URL is overriding right now
+  function getUrlOverrides() {
+    return Object.keys(fromUrl);
+  }
+
+  // Servers the page URL asks for but the user hasn't accepted yet:
+  // { signalingUrl?, iceServers? }
+  function getPendingOverrides() {
+    return structuredClone(pending);
+  }
+
+  function acceptUrlOverrides() {
+    fromUrl = { ...fromUrl, ...pending };
+    pending = {};
+    apply();
+    console.log(`[SETTINGS] URL overrides accepted: ${getUrlOverrides().join(', ') || 'none'}`);
+    return get();
+  }
+
+  function discardUrlOverrides() {
+    pending = {};
+    console.log('[SETTINGS] URL overrides ignored');
+  }
+
+  // Validate, persist and apply. Saving replaces any URL overrides.
+  function save(settings) {
+    const clean = validate(settings);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(clean));
+    saved = clean;
+    fromUrl = {};
+    pending = {};
+    apply();
+    console.log('[SETTINGS] Saved');
+    return get();
+  }
+
+  function reset() {
+    localStorage.removeItem(STORAGE_KEY);
+    saved = null;
+    fromUrl = {};
+    pending = {};
+    apply();
+    console.log('[SETTINGS] Back to defaults');
+    return get();
+  }
+
+  // ── Connectivity test ───────────────────────────────
+  // Checks the signaling server answers and gathers candidates against each
+  // ICE URL on its own. onResult gets each result as it comes in:
+  //   { kind: 'signaling', url, ok, ms?, error? }
+  //   { kind: 'ice', url, ok, types: [...], ms?, error? }
+  // A STUN URL passes with a srflx candidate, a TURN URL with a relay one.
+  async function test(settings, onResult) {
+    const clean = validate(settings);
+    onResult(await testSignaling(clean.signalingUrl));
+    for (const server of clean.iceServers) {
+      for (const url of [].concat(server.urls)) {
+        onResult(await testIceUrl({ ...server, urls: url }));
+      }
+    }
+  }
+
+  function testSignaling(url) {
+    const started = performance.now();
+    return new Promise((resolve) => {
+      let ws;
+      const finish = (result) => {
+        clearTimeout(timer);
+        try { ws?.close(); } catch {}
+        resolve({ kind: 'signaling', url, ...result });
+      };
+      const timer = setTimeout(() => finish({ ok: false, error: 'No answer within 5 s' }), SIGNALING_TIMEOUT);
+      try {
+        ws = new WebSocket(url);
+      } catch (err) {
+        finish({ ok: false, error: err.message });
+        return;
+      }
+      ws.onopen = () => finish({ ok: true, ms: Math.round(performance.now() - started) });
+      ws.onerror = () => finish({ ok: false, error: 'Could not connect' });
+    });
+  }
+
+  async function testIceUrl(server) {
+    const url = server.urls;
+    const wanted = isTurnUrl(url) ? 'relay' : 'srflx';
+    const started = performance.now();
+    const pc = new RTCPeerConnection({ iceServers: [server] });
+    const types = new Set();
+    let firstWanted = null;
+    let error = null;
+
+    try {
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, GATHER_TIMEOUT);
+        pc.onicecandidate = (event) => {
+          if (!event.candidate) {
+            clearTimeout(timer);
+            resolve();
+            return;
+          }
+          const type = event.candidate.type || event.candidate.candidate.match(/ typ (\w+)/)?.[1];
+          if (!type) return;
+          types.add(type);
+          if (type === wanted && firstWanted === null) firstWanted = Math.round(performance.now() - started);
+        };
+        // Bad TURN credentials and unreachable servers land here
+        pc.onicecandidateerror = (event) => {
+          error = `${event.errorCode || ''} ${event.errorText || 'ICE server error'}`.trim();
+        };
+        pc.createDataChannel('test');
+        pc.createOffer().then(offer => pc.setLocalDescription(offer)).catch((err) => {
+          error = err.message;
+          clearTimeout(timer);
+          resolve();
+        });
+      });
+    } finally {
+      pc.close();
+    }
+
+    const ok = types.has(wanted);
+    return {
+      kind: 'ice',
+      url,
+      ok,
+      types: Array.from(types),
+      ms: ok ? firstWanted : undefined,
+      error: ok ? undefined : (error || `No ${wanted} candidate`)
+    };
+  }
+
+  saved = loadSaved();
+  const { relayOnly, ...servers } = readUrlOverrides();
+  fromUrl = relayOnly ? { relayOnly } : {};
+  pending = servers;
+  apply();
+  if (getUrlOverrides().length > 0) console.log(`[SETTINGS] URL overrides: ${getUrlOverrides().join(', ')}`);
+  if (Object.keys(pending).length > 0) console.log(`[SETTINGS] URL overrides awaiting confirmation: ${Object.keys(pending).join(', ')}`);
+
+  return {
+    get,
+    getDefaults,
+    getUrlOverrides,
+    getPendingOverrides,
+    acceptUrlOverrides,
+    discardUrlOverrides,
+    validate,
+    save,
+    reset,
+    test
+  };
+})();
+
+window.MorphSettings = MorphSettings;
@@ -4,10 +4,14 @@
 const MorphSignaling = (() => {
   let ws = null;
   let myPeerId = null;
+  let resumeToken = null; // lets the server hand our old peer ID back
   let reconnectTimer = null;
   let reconnectAttempts = 0;
-  const MAX_RECONNECT = 5;
-  const RECONNECT_DELAY = 3000;
+  let manualClose = false;
+  const MAX_RECONNECT = 10;
+  const BACKOFF_BASE = 1000;
+  const BACKOFF_MAX = 30000;
+  const CONNECT_TIMEOUT = 10000;
 
   const handlers = new Map();
 
@@ -21,27 +25,69 @@ const MorphSignaling = (() => {
     cbs.forEach(cb => cb(data));
   }
 
+  // Resolves with our peer ID once the server has welcomed (or resumed) us.
+  // Every attempt settles exactly once and never leaves its timer behind.
   function connect() {
     return new Promise((resolve, reject) => {
       const url = MorphConfig.SIGNALING_URL;
-      console.log(`[SIG] Connecting to ${url}...`);
-      emit('status', { state: 'connecting' });
+      const resuming = !!resumeToken;
+      console.log(`[SIG] Connecting to ${url}${resuming ? ' (resuming session)' : ''}...`);
+      emit('status', { state: resuming ? 'reconnecting' : 'connecting' });
+
+      clearTimeout(reconnectTimer);
+      manualClose = false;
+
+      // Never leave a previous socket dangling behind the new one
+      if (ws) {
+        const old = ws;
+        ws = null;
+        old.close();
+      }
 
+      let socket;
       try {
-        ws = new WebSocket(url);
+        socket = new WebSocket(url);
       } catch (err) {
         emit('status', { state: 'error', error: err.message });
         reject(err);
         return;
       }
+      ws = socket;
 
-      ws.onopen = () => {
-        console.log('[SIG] Connected');
+      let settled = false;
+      let provisional = null; // fresh welcome held back while a resume is pending
+
+      const timeout = setTimeout(() => {
+        fail(new Error('Connection timeout'));
+        // Closing triggers onclose, which schedules the next attempt
+        socket.close();
+      }, CONNECT_TIMEOUT);
+
+      function succeed(peerId) {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
         reconnectAttempts = 0;
         emit('status', { state: 'connected' });
+        resolve(peerId);
+      }
+
+      function fail(err) {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+        reject(err);
+      }
+
+      socket.onopen = () => {
+        console.log('[SIG] Connected');
+        if (resuming) {
+          emit('status', { state: 'resyncing' });
+          socket.send(JSON.stringify({ type: 'resume', peerId: myPeerId, token: resumeToken }));
+        }
       };
 
-      ws.onmessage = (event) => {
+      socket.onmessage = (event) => {
         let msg;
         try {
           msg = JSON.parse(event.data);
@@ -50,44 +96,73 @@ const MorphSignaling = (() => {
         }
 
         if (msg.type === 'welcome') {
+          if (resuming) {
+            provisional = msg;
+            return;
+          }
           myPeerId = msg.peerId;
+          resumeToken = msg.resumeToken || null;
           console.log(`[SIG] My peer ID: ${myPeerId}`);
           emit('ready', { peerId: myPeerId });
-          resolve(myPeerId);
+          succeed(myPeerId);
+          return;
+        }
+
+        if (msg.type === 'resumed') {
+          myPeerId = msg.peerId;
+          resumeToken = msg.resumeToken || null;
+          console.log(`[SIG] Session resumed as ${myPeerId}`);
+          emit('resumed', { peerId: myPeerId, roomId: msg.roomId || null, kicked: msg.kicked || null });
+          succeed(myPeerId);
+          return;
+        }
+
+        if (msg.type === 'resume-failed') {
+          // Server forgot us — carry on with the fresh identity it offered.
+          // The lost session goes with a rejoin, so the room knows us.
+          const previous = { peerId: myPeerId, token: resumeToken };
+          myPeerId = provisional?.peerId || null;
+          resumeToken = provisional?.resumeToken || null;
+          console.log(`[SIG] Session expired, new peer ID: ${myPeerId}`);
+          emit('session-lost', { peerId: myPeerId, previous });
+          emit('ready', { peerId: myPeerId });
+          succeed(myPeerId);
           return;
         }
 
         emit(msg.type, msg);
       };
 
-      ws.onclose = () => {
+      socket.onclose = () => {
+        fail(new Error('Connection closed'));
+        if (ws !== socket) return;
         console.log('[SIG] Disconnected');
         emit('status', { state: 'disconnected' });
-        attemptReconnect();
+        // Only sessions that got as far as a peer ID reconnect on their own;
+        // a failed first connect is retried from the login screen
+        if (!manualClose && myPeerId) attemptReconnect();
       };
 
-      ws.onerror = (err) => {
+      socket.onerror = (err) => {
         console.error('[SIG] Error:', err);
         emit('status', { state: 'error', error: 'Connection failed' });
       };
-
-      // Timeout
-      setTimeout(() => {
-        if (!myPeerId) {
-          reject(new Error('Connection timeout'));
-        }
-      }, 10000);
     });
   }
 
+  // Exponential backoff with jitter, so a server restart isn't greeted by
+  // every client reconnecting in lockstep
   function attemptReconnect() {
     if (reconnectAttempts >= MAX_RECONNECT) {
       emit('status', { state: 'failed', error: 'Max reconnection attempts reached' });
       return;
     }
+    const ceiling = Math.min(BACKOFF_MAX, BACKOFF_BASE * 2 ** reconnectAttempts);
+    const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
     reconnectAttempts++;
-    console.log(`[SIG] Reconnecting (${reconnectAttempts}/${MAX_RECONNECT})...`);
-    reconnectTimer = setTimeout(() => connect().catch(() => {}), RECONNECT_DELAY);
+    console.log(`[SIG] Reconnecting in ${delay}ms (${reconnectAttempts}/${MAX_RECONNECT})...`);
+    emit('status', { state: 'reconnecting', attempt: reconnectAttempts, delay });
+    reconnectTimer = setTimeout(() => connect().catch(() => {}), delay);
   }
 
   function send(msg) {
@@ -98,16 +173,40 @@ const MorphSignaling = (() => {
     }
   }
 
-  function createRoom(name, roomName, roomType = 'group') {
-    send({ type: 'create-room', name, roomName, roomType });
+  // backfill: recent messages members offer late joiners (0 = off)
+  function createRoom(name, roomName, roomType = 'group', backfill = 0) {
+    send({ type: 'create-room', name, roomName, roomType, backfill });
+  }
+
+  // previous: { peerId, token } from 'session-lost', when rejoining
+  function joinRoom(name, pin, previous = null) {
+    send({ type: 'join-room', name, pin, previous });
+  }
+
+  // handoverTo: peer to make host, if we're the host
+  function leaveRoom(handoverTo = null) {
+    send({ type: 'leave-room', handoverTo });
+  }
+
+  // ── Moderation (the server checks we're the host) ──
+  function kickPeer(peerId) {
+    send({ type: 'kick-peer', peerId });
+  }
+
+  function setRoomLocked(locked) {
+    send({ type: 'lock-room', locked });
+  }
+
+  function rotatePin() {
+    send({ type: 'rotate-pin' });
   }
 
-  function joinRoom(name, pin) {
-    send({ type: 'join-room', name, pin });
+  function transferHost(peerId) {
+    send({ type: 'transfer-host', peerId });
   }
 
-  function leaveRoom() {
-    send({ type: 'leave-room' });
+  function setName(name) {
+    send({ type: 'set-name', name });
   }
 
   function sendSignal(targetPeerId, signal) {
@@ -116,7 +215,10 @@ const MorphSignaling = (() => {
 
   function disconnect() {
     clearTimeout(reconnectTimer);
-    reconnectAttempts = MAX_RECONNECT; // prevent auto-reconnect
+    manualClose = true; // prevent auto-reconnect
+    reconnectAttempts = 0;
+    resumeToken = null;
+    myPeerId = null;
     if (ws) ws.close();
   }
 
@@ -132,6 +234,11 @@ const MorphSignaling = (() => {
     createRoom,
     joinRoom,
     leaveRoom,
+    kickPeer,
+    setRoomLocked,
+    rotatePin,
+    transferHost,
+    setName,
     sendSignal,
     getPeerId
   };
@@ -0,0 +1,232 @@
+// MorphStorm Transcripts
+// Export a room's conversation (Markdown, JSON, or a passphrase-encrypted
+// bundle) and read exported JSON / bundles back in for the read-only viewer.
+// Pure data in, data out — the app owns the UI and downloads.
+
+const MorphTranscript = (() => {
+  const FORMAT = 'morphstorm-transcript';
+  const BUNDLE_FORMAT = 'morphstorm-bundle';
+  const VERSION = 1;
+  const BUNDLE_ITERATIONS = 600000;
+  const MAX_IMPORT_MESSAGES = 20000;
+
+  // ── Building ────────────────────────────────────────
+  // room: { name, type }, participants: [{ name, fingerprint, safetyNumber, verification }]
+  function build({ room, participants, messages, exportedBy }) {
+    return {
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: new Date().toISOString(),
+      exportedBy,
+      room: { name: room.name, type: room.type },
+      participants: participants.map(p => ({
+        name: p.name,
+        fingerprint: p.fingerprint || null,
+        safetyNumber: p.safetyNumber ? p.safetyNumber.digits : null,
+        verification: p.verification || 'unverified'
+      })),
+      messages: messages.map(exportMessage).filter(Boolean)
+    };
+  }
+
+  function exportMessage(m) {
+    const time = new Date(m.time).toISOString();
+    if (m.type === 'system') return { type: 'system', text: m.text, time };
+    if (m.type === 'file') return { type: 'file', from: m.from, name: m.name || 'file', size: m.size || 0, time };
+    if (m.type !== 'chat') return null;
+    return {
+      type: 'chat',
+      id: m.id,
+      from: m.from,
+      isSelf: !!m.isSelf,
+      text: m.deleted ? '' : m.text,
+      time,
+      edited: !!m.edited,
+      deleted: !!m.deleted,
+      emote: !!m.emote,
+      whisperTo: m.whisper ? m.whisper.toName : null,
+      reactions: Object.fromEntries(
+        Object.entries(m.reactions || {}).map(([emoji, who]) => [emoji, Object.values(who)])
+      )
+    };
+  }
+
+  // ── Formats ─────────────────────────────────────────
+  function toJSON(transcript) {
+    return JSON.stringify(transcript, null, 2);
+  }
+
+  function toMarkdown(t) {
+    const lines = [
+      `# ${mdEscape(t.room.name)} (${t.room.type === 'dm' ? 'DM' : 'group'})`,
+      '',
+      `Exported ${t.exportedAt} by ${mdEscape(t.exportedBy)} from MorphStorm.`,
+      '',
+      '## Participants',
+      '',
+      '| Name | Key fingerprint | Safety number | Verified |',
+      '| --- | --- | --- | --- |',
+      ...t.participants.map(p =>
+        `| ${mdEscape(p.name)} | ${p.fingerprint ? `\`${p.fingerprint}\`` : '—'} | ` +
+        `${p.safetyNumber ? `\`${p.safetyNumber}\`` : '—'} | ${p.verification} |`
+      ),
+      '',
+      '## Messages',
+      ''
+    ];
+
+    for (const m of t.messages) {
+      if (m.type === 'system') {
+        lines.push(`> _${m.time} — ${mdEscape(m.text)}_`, '');
+      } else if (m.type === 'file') {
+        lines.push(`**${mdEscape(m.from)}** · ${m.time} · 📎 ${mdEscape(m.name)} (${m.size} bytes)`, '');
+      } else {
+        const marks = [
+          m.whisperTo ? `_(whisper to ${mdEscape(m.whisperTo)})_` : '',
+          m.edited && !m.deleted ? '_(edited)_' : '',
+          m.deleted ? '_(deleted)_' : ''
+        ]
+          .filter(Boolean).join(' ');
+        lines.push(`**${mdEscape(m.from)}** · ${m.time}${marks ? ' ' + marks : ''}`);
+        if (m.emote && !m.deleted) {
+          lines.push('', `_\\* ${mdEscape(m.from)} ${mdEscape(m.text)}_`);
+        } else if (!m.deleted) {
+          lines.push('', ...m.text.split('\n').map(l => `    ${l}`));
+        }
+        const reactions = Object.entries(m.reactions)
+          .map(([emoji, names]) => `${emoji} ${names.map(mdEscape).join(', ')}`);
+        if (reactions.length > 0) lines.push('', reactions.join(' · '));
+        lines.push('');
+      }
+    }
+    return lines.join('\n');
+  }
+
+  function mdEscape(text) {
+    return String(text).replace(/([\\`*_[\]|<>#])/g, '\\$1');
+  }
+
+  // Encrypted bundle: the JSON transcript sealed under a PBKDF2 key
+  async function toBundle(transcript, passphrase) {
+    if (!passphrase) throw new Error('Passphrase required');
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await MorphCrypto.deriveKeyFromPassphrase(passphrase, salt, BUNDLE_ITERATIONS);
+    return JSON.stringify({
+      format: BUNDLE_FORMAT,
+      version: VERSION,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: BUNDLE_ITERATIONS, salt: btoa(String.fromCharCode(...salt)) },
+      data: await MorphCrypto.sealFrame(key, JSON.stringify(transcript), 1, BUNDLE_FORMAT)
+    });
+  }
+
+  // ── Import ──────────────────────────────────────────
+  function isBundle(text) {
+    try {
+      return JSON.parse(text).format === BUNDLE_FORMAT;
+    } catch {
+      return false;
+    }
+  }
+
+  // Parse an exported JSON transcript or (with its passphrase) a bundle.
+  // Everything is re-validated: imported files are untrusted input.
+  async function parse(text, passphrase = '') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('Not a MorphStorm transcript');
+    }
+
+    if (data?.format === BUNDLE_FORMAT) {
+      if (!passphrase) throw new Error('Passphrase required');
+      const iterations = Number(data.kdf?.iterations);
+      if (!Number.isInteger(iterations) || iterations < 100000 || iterations > 10000000) {
+        throw new Error('Unsupported bundle');
+      }
+      const salt = Uint8Array.from(atob(String(data.kdf.salt)), c => c.charCodeAt(0));
+      const key = await MorphCrypto.deriveKeyFromPassphrase(passphrase, salt, iterations);
+      try {
+        data = JSON.parse(await MorphCrypto.openFrame(key, MorphCrypto.parseFrame(data.data), BUNDLE_FORMAT));
+      } catch {
+        throw new Error('Wrong passphrase or damaged bundle');
+      }
+    }
+
+    if (data?.format !== FORMAT || !Array.isArray(data.messages)) {
+      throw new Error('Not a MorphStorm transcript');
+    }
+    return sanitize(data);
+  }
+
+  function str(value, max = 10000) {
+    return typeof value === 'string' ? value.slice(0, max) : '';
+  }
+
+  function sanitize(data) {
+    const participants = Array.isArray(data.participants) ? data.participants : [];
+    return {
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: str(data.exportedAt, 40),
+      exportedBy: str(data.exportedBy, 40),
+      room: { name: str(data.room?.name, 60) || 'Untitled', type: data.room?.type === 'dm' ? 'dm' : 'group' },
+      participants: participants.slice(0, 100).map(p => ({
+        name: str(p?.name, 40),
+        fingerprint: str(p?.fingerprint, 80) || null,
+        safetyNumber: str(p?.safetyNumber, 80) || null,
+        verification: ['verified', 'mismatch'].includes(p?.verification) ? p.verification : 'unverified'
+      })),
+      messages: data.messages.slice(0, MAX_IMPORT_MESSAGES).map(sanitizeMessage).filter(Boolean)
+    };
+  }
+
+  function sanitizeMessage(m) {
+    if (!m || typeof m !== 'object') return null;
+    const time = Date.parse(m.time);
+    if (!Number.isFinite(time)) return null;
+
+    if (m.type === 'system') return { type: 'system', text: str(m.text), time: new Date(time).toISOString() };
+    if (m.type === 'file') {
+      return {
+        type: 'file',
+        from: str(m.from, 40),
+        name: str(m.name, 120),
+        size: Number.isFinite(m.size) ? m.size : 0,
+        time: new Date(time).toISOString()
+      };
+    }
+    if (m.type !== 'chat') return null;
+
+    const reactions = {};
+    if (m.reactions && typeof m.reactions === 'object') {
+      for (const [emoji, names] of Object.entries(m.reactions).slice(0, 20)) {
+        if (emoji.length <= 16 && Array.isArray(names)) reactions[emoji] = names.slice(0, 100).map(n => str(n, 40));
+      }
+    }
+    return {
+      type: 'chat',
+      id: str(m.id, 64),
+      from: str(m.from, 40),
+      isSelf: m.isSelf === true,
+      text: str(m.text),
+      time: new Date(time).toISOString(),
+      edited: m.edited === true,
+      deleted: m.deleted === true,
+      emote: m.emote === true,
+      whisperTo: str(m.whisperTo, 40) || null,
+      reactions
+    };
+  }
+
+  return {
+    build,
+    toJSON,
+    toMarkdown,
+    toBundle,
+    isBundle,
+    parse
+  };
+})();
+
+window.MorphTranscript = MorphTranscript;
@@ -0,0 +1,314 @@
+// MorphStorm File Transfer
+// Chunked, encrypted file sharing over each peer's data channel.
+// Chunks travel through MorphRTC.sendToPeer (so they are encrypted like chat),
+// pace themselves on the channel's bufferedAmount, and every file carries a
+// SHA-256 hash the receiver checks before offering the download.
+
+const MorphTransfer = (() => {
+  // Only these types are previewed inline; everything else is a download
+  const PREVIEW_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+  const MAX_NAME_LENGTH = 120;
+  // Senders pick fileIds; they end up in the DOM, so keep them plain
+  const FILE_ID_PATTERN = /^[\w-]{1,64}$/;
+
+  // transferId -> transfer. Outgoing ids are the fileId; incoming ids are
+  // `${peerId}:${fileId}` since each sender picks its own fileIds.
+  const transfers = new Map();
+  const handlers = new Map();
+
+  function on(type, callback) {
+    if (!handlers.has(type)) handlers.set(type, []);
+    handlers.get(type).push(callback);
+  }
+
+  function emit(type, data) {
+    const cbs = handlers.get(type) || [];
+    cbs.forEach(cb => cb(data));
+  }
+
+  // ── Helpers ─────────────────────────────────────────
+  async function sha256Hex(buffer) {
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', buffer));
+    return Array.from(hash).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  }
+
+  function fromBase64(str) {
+    return Uint8Array.from(atob(str), c => c.charCodeAt(0));
+  }
+
+  // No path separators, quotes or control characters
+  function cleanFileName(name) {
+    const cleaned = String(name || 'file').replace(/[\\/"'`\u0000-\u001f\u007f-\u009f]/g, '_').trim();
+    return cleaned.slice(0, MAX_NAME_LENGTH) || 'file';
+  }
+
+  // Public view of a transfer for the UI
+  function snapshot(t) {
+    return {
+      id: t.id,
+      direction: t.direction,
+      peerId: t.peerId || null,
+      from: t.from,
+      name: t.name,
+      size: t.size,
+      mime: t.mime,
+      progress: t.progress,
+      state: t.state,
+      url: t.url || null,
+      previewable: !!t.url && PREVIEW_TYPES.includes(t.mime),
+      error: t.error || null
+    };
+  }
+
+  function update(t) {
+    emit('update', snapshot(t));
+  }
+
+  // ── Sending ─────────────────────────────────────────
+  async function sendFile(file, fromName) {
+    if (file.size > MorphConfig.MAX_FILE_SIZE) {
+      throw new Error(`File too large (max ${Math.round(MorphConfig.MAX_FILE_SIZE / 1048576)} MB)`);
+    }
+
+    const targets = MorphRTC.getPeerList().filter(p => p.encrypted && p.verification !== 'mismatch');
+    if (targets.length === 0) throw new Error('No encrypted peers to send to');
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const chunkSize = MorphConfig.FILE_CHUNK_SIZE;
+    const t = {
+      id: MorphCrypto.randomId(),
+      direction: 'out',
+      from: fromName,
+      name: cleanFileName(file.name),
+      size: bytes.length,
+      mime: file.type || 'application/octet-stream',
+      chunks: Math.max(1, Math.ceil(bytes.length / chunkSize)),
+      hash: await sha256Hex(bytes),
+      progress: 0,
+      state: 'sending',
+      peers: new Map(targets.map(p => [p.id, { sent: 0, cancelled: false }]))
+    };
+    transfers.set(t.id, t);
+
+    // Our own copy is available straight away
+    t.url = URL.createObjectURL(new Blob([bytes], {
+      type: PREVIEW_TYPES.includes(t.mime) ? t.mime : 'application/octet-stream'
+    }));
+    update(t);
+
+    const results = await Promise.all(targets.map(p => streamToPeer(t, p.id, bytes)));
+
+    if (t.state === 'sending') {
+      t.state = results.some(Boolean) ? 'complete' : 'failed';
+      if (t.state === 'failed') t.error = 'No peer received the file';
+      t.progress = 1;
+      update(t);
+    }
+    return t.id;
+  }
+
+  async function streamToPeer(t, peerId, bytes) {
+    const chunkSize = MorphConfig.FILE_CHUNK_SIZE;
+    const progress = t.peers.get(peerId);
+
+    const offered = await MorphRTC.sendToPeer(peerId, {
+      type: 'file-offer',
+      fileId: t.id,
+      name: t.name,
+      size: t.size,
+      mime: t.mime,
+      chunks: t.chunks,
+      hash: t.hash
+    });
+    if (!offered) return false;
+
+    for (let index = 0; index < t.chunks; index++) {
+      if (progress.cancelled || t.state === 'cancelled') return false;
+
+      // Backpressure: let chat frames through instead of flooding the buffer
+      if (!(await MorphRTC.waitForDrain(peerId))) return false;
+
+      const chunk = bytes.subarray(index * chunkSize, (index + 1) * chunkSize);
+      const sent = await MorphRTC.sendToPeer(peerId, {
+        type: 'file-chunk',
+        fileId: t.id,
+        index,
+        data: toBase64(chunk)
+      });
+      if (!sent) return false;
+
+      progress.sent = index + 1;
+      recomputeOutgoingProgress(t);
+    }
+
+    return MorphRTC.sendToPeer(peerId, { type: 'file-end', fileId: t.id });
+  }
+
+  function recomputeOutgoingProgress(t) {
+    let sent = 0;
+    for (const p of t.peers.values()) sent += p.sent;
+    const progress = sent / (t.chunks * t.peers.size);
+    // Avoid re-rendering the card for every single chunk
+    if (progress - t.progress >= 0.01 || progress === 1) {
+      t.progress = progress;
+      update(t);
+    }
+  }
+
+  // ── Receiving ───────────────────────────────────────
+  function handleOffer(data) {
+    const chunks = Number(data.chunks);
+    const size = Number(data.size);
+    if (typeof data.fileId !== 'string' || !FILE_ID_PATTERN.test(data.fileId) ||
+        !Number.isInteger(chunks) || chunks < 1 ||
+        !Number.isInteger(size) || size < 0 || typeof data.hash !== 'string') {
+      return;
+    }
+    if (size > MorphConfig.MAX_FILE_SIZE) {
+      MorphRTC.sendToPeer(data.fromPeerId, { type: 'file-cancel', fileId: data.fileId });
+      return;
+    }
+
+    const t = {
+      id: `${data.fromPeerId}:${data.fileId}`,
+      fileId: data.fileId,
+      direction: 'in',
+      peerId: data.fromPeerId,
+      from: data.fromName,
+      name: cleanFileName(data.name),
+      size,
+      mime: typeof data.mime === 'string' ? data.mime.slice(0, 100) : 'application/octet-stream',
+      chunks,
+      hash: data.hash,
+      received: new Array(chunks),
+      receivedCount: 0,
+      progress: 0,
+      state: 'receiving'
+    };
+    transfers.set(t.id, t);
+    update(t);
+  }
+
+  function handleChunk(data) {
+    const t = transfers.get(`${data.fromPeerId}:${data.fileId}`);
+    if (!t || t.state !== 'receiving') return;
+
+    const index = Number(data.index);
+    if (!Number.isInteger(index) || index < 0 || index >= t.chunks || t.received[index]) return;
+
+    t.received[index] = fromBase64(data.data);
+    t.receivedCount++;
+
+    const progress = t.receivedCount / t.chunks;
+    if (progress - t.progress >= 0.01 || progress === 1) {
+      t.progress = progress;
+      update(t);
+    }
+  }
+
+  async function handleEnd(data) {
+    const t = transfers.get(`${data.fromPeerId}:${data.fileId}`);
+    if (!t || t.state !== 'receiving') return;
+
+    if (t.receivedCount !== t.chunks) {
+      return fail(t, 'Transfer ended with missing chunks');
+    }
+
+    const blob = new Blob(t.received);
+    t.received = null;
+    if (blob.size !== t.size) return fail(t, 'Size mismatch');
+
+    const hash = await sha256Hex(await blob.arrayBuffer());
+    if (hash !== t.hash) return fail(t, 'Integrity check failed — file discarded');
+
+    // Untrusted types are served as opaque bytes so the browser never renders them
+    const type = PREVIEW_TYPES.includes(t.mime) ? t.mime : 'application/octet-stream';
+    t.url = URL.createObjectURL(new Blob([blob], { type }));
+    t.state = 'complete';
+    t.progress = 1;
+    update(t);
+  }
+
+  function handleCancel(data) {
+    // Receiver declined one of our outgoing files
+    const outgoing = transfers.get(data.fileId);
+    if (outgoing && outgoing.direction === 'out') {
+      const progress = outgoing.peers.get(data.fromPeerId);
+      if (progress) progress.cancelled = true;
+      return;
+    }
+
+    // Sender aborted a file we were receiving
+    const incoming = transfers.get(`${data.fromPeerId}:${data.fileId}`);
+    if (incoming && incoming.state === 'receiving') {
+      incoming.state = 'cancelled';
+      incoming.received = null;
+      update(incoming);
+    }
+  }
+
+  function fail(t, reason) {
+    t.state = 'failed';
+    t.error = reason;
+    t.received = null;
+    update(t);
+  }
+
+  // ── Control ─────────────────────────────────────────
+  function cancel(transferId) {
+    const t = transfers.get(transferId);
+    if (!t || (t.state !== 'sending' && t.state !== 'receiving')) return;
+
+    if (t.direction === 'out') {
+      for (const peerId of t.peers.keys()) {
+        MorphRTC.sendToPeer(peerId, { type: 'file-cancel', fileId: t.id });
+      }
+    } else {
+      MorphRTC.sendToPeer(t.peerId, { type: 'file-cancel', fileId: t.fileId });
+      t.received = null;
+    }
+    t.state = 'cancelled';
+    update(t);
+  }
+
+  // Drop everything (leaving a room)
+  function reset() {
+    for (const t of transfers.values()) {
+      if (t.url) URL.revokeObjectURL(t.url);
+      if (t.peers) t.peers.forEach(p => { p.cancelled = true; });
+    }
+    transfers.clear();
+  }
+
+  MorphRTC.on('message', (data) => {
+    switch (data.type) {
+      case 'file-offer': handleOffer(data); break;
+      case 'file-chunk': handleChunk(data); break;
+      case 'file-end': handleEnd(data); break;
+      case 'file-cancel': handleCancel(data); break;
+    }
+  });
+
+  MorphRTC.on('peer-disconnected', ({ peerId }) => {
+    for (const t of transfers.values()) {
+      if (t.direction === 'in' && t.peerId === peerId && t.state === 'receiving') {
+        fail(t, 'Sender disconnected');
+      } else if (t.direction === 'out' && t.peers.has(peerId)) {
+        t.peers.get(peerId).cancelled = true;
+      }
+    }
+  });
+
+  return {
+    sendFile,
+    cancel,
+    reset,
+    on
+  };
+})();
+
+window.MorphTransfer = MorphTransfer;
@@ -0,0 +1,289 @@
+// MorphStorm Voice Calls
+// Opt-in audio over the existing mesh. Joining hands our microphone stream to
+// MorphRTC, which adds it to every peer connection by renegotiating; leaving
+// takes it back out and the data channels (text chat) are never touched.
+// Call membership and mute state are announced over the encrypted channel.
+
+const MorphVoice = (() => {
+  const SPEAKING_THRESHOLD = 0.02; // RMS level that counts as speech
+  const SPEAKING_HOLD = 400;       // ms of quiet before the indicator drops
+  const METER_INTERVAL = 100;
+
+  let localStream = null;
+  let ownsStream = false; // we opened the microphone, so we stop it
+  let inCall = false;
+  let muted = false;
+  let audioCtx = null;
+  let meterTimer = null;
+
+  const remotes = new Map();    // peerId -> { stream, audio }
+  const callState = new Map();  // peerId -> { inCall, muted } as they announced it
+  const volumes = new Map();    // peerId -> 0..1, kept across stream changes
+  const meters = new Map();     // 'self' | peerId -> { source, analyser, data, lastVoice, speaking }
+  const handlers = new Map();
+
+  function on(type, callback) {
+    if (!handlers.has(type)) handlers.set(type, []);
+    handlers.get(type).push(callback);
+  }
+
+  function emit(type, data) {
+    const cbs = handlers.get(type) || [];
+    cbs.forEach(cb => cb(data));
+  }
+
+  function audioContext() {
+    if (!audioCtx) audioCtx = new AudioContext();
+    if (audioCtx.state === 'suspended') audioCtx.resume();
+    return audioCtx;
+  }
+
+  // A tone instead of a microphone — lets headless browsers run calls
+  // without real devices. Pass it to join({ stream }).
+  function createSyntheticStream({ frequency = 440, gain = 0.1 } = {}) {
+    const ctx = audioContext();
+    const osc = ctx.createOscillator();
+    const level = ctx.createGain();
+    const dest = ctx.createMediaStreamDestination();
+    osc.frequency.value = frequency;
+    level.gain.value = gain;
+    osc.connect(level).connect(dest);
+    osc.start();
+    dest.stream.getTracks().forEach(track => {
+      track.addEventListener('ended', () => osc.stop());
+    });
+    return dest.stream;
+  }
+
+  // ── Joining & leaving ───────────────────────────────
+  async function join({ stream = null } = {}) {
+    if (inCall) return;
+
+    if (stream) {
+      localStream = stream;
+      ownsStream = false;
+    } else {
+      localStream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: true, noiseSuppression: true }
+      });
+      ownsStream = true;
+    }
+
+    inCall = true;
+    muted = false;
+    MorphRTC.setLocalStream(localStream);
+    addMeter('self', localStream);
+    for (const peerId of remotes.keys()) startPlayback(peerId);
+
+    console.log('[VOICE] Joined call');
+    announce();
+    emit('state', getState());
+  }
+
+  function leave() {
+    if (!inCall) return;
+
+    MorphRTC.setLocalStream(null);
+    removeMeter('self');
+    if (ownsStream) localStream.getTracks().forEach(track => track.stop());
+    localStream = null;
+    for (const peerId of remotes.keys()) stopPlayback(peerId);
+
+    inCall = false;
+    muted = false;
+    console.log('[VOICE] Left call');
+    announce();
+    emit('state', getState());
+  }
+
+  function setMuted(value) {
+    if (!inCall) return;
+    muted = !!value;
+    localStream.getAudioTracks().forEach(track => { track.enabled = !muted; });
+    announce();
+    emit('state', getState());
+  }
+
+  function toggleMute() {
+    setMuted(!muted);
+  }
+
+  function setPeerVolume(peerId, volume) {
+    const v = Math.min(1, Math.max(0, Number(volume) || 0));
+    volumes.set(peerId, v);
+    const audio = remotes.get(peerId)?.audio;
+    if (audio) audio.volume = v;
+  }
+
+  // Forget the call entirely (leaving a room)
+  function reset() {
+    leave();
+    for (const peerId of Array.from(remotes.keys())) dropPeer(peerId);
+    callState.clear();
+    volumes.clear();
+  }
+
+  // ── Call state announcements ────────────────────────
+  function callStateMessage() {
+    return { type: 'call-state', inCall, muted };
+  }
+
+  function announce() {
+    MorphRTC.broadcast(callStateMessage());
+  }
+
+  function handleCallState(data) {
+    const prev = callState.get(data.fromPeerId);
+    const next = { inCall: data.inCall === true, muted: data.muted === true };
+    callState.set(data.fromPeerId, next);
+    if (!next.inCall) setSpeaking(data.fromPeerId, false);
+
+    emit('participant', {
+      peerId: data.fromPeerId,
+      name: data.fromName,
+      ...next,
+      joined: next.inCall && !prev?.inCall,
+      left: !next.inCall && !!prev?.inCall
+    });
+  }
+
+  // ── Remote audio ────────────────────────────────────
+  function handleRemoteTrack({ peerId, track, stream }) {
+    if (track.kind !== 'audio') return;
+
+    const existing = remotes.get(peerId);
+    if (existing && existing.stream !== stream) stopPlayback(peerId);
+    remotes.set(peerId, { stream, audio: existing?.stream === stream ? existing.audio : null });
+
+    // The peer left the call (track removed through renegotiation)
+    stream.onremovetrack = () => {
+      if (stream.getAudioTracks().length === 0) stopPlayback(peerId);
+    };
+
+    if (inCall) startPlayback(peerId);
+  }
+
+  function startPlayback(peerId) {
+    const remote = remotes.get(peerId);
+    if (!remote || remote.audio || remote.stream.getAudioTracks().length === 0) return;
+
+    const audio = new Audio();
+    audio.autoplay = true;
+    audio.srcObject = remote.stream;
+    audio.volume = volumes.has(peerId) ? volumes.get(peerId) : 1;
+    audio.play().catch(err => console.warn('[VOICE] Playback blocked:', err));
+    remote.audio = audio;
+    addMeter(peerId, remote.stream);
+  }
+
+  function stopPlayback(peerId) {
+    const remote = remotes.get(peerId);
+    if (!remote?.audio) return;
+    remote.audio.pause();
+    remote.audio.srcObject = null;
+    remote.audio = null;
+    removeMeter(peerId);
+  }
+
+  function dropPeer(peerId) {
+    stopPlayback(peerId);
+    remotes.delete(peerId);
+    callState.delete(peerId);
+  }
+
+  // ── Speaking indicators ─────────────────────────────
+  function addMeter(id, stream) {
+    removeMeter(id);
+    const ctx = audioContext();
+    const source = ctx.createMediaStreamSource(stream);
+    const analyser = ctx.createAnalyser();
+    analyser.fftSize = 512;
+    source.connect(analyser);
+    meters.set(id, {
+      source,
+      analyser,
+      data: new Float32Array(analyser.fftSize),
+      lastVoice: 0,
+      speaking: false
+    });
+    if (!meterTimer) meterTimer = setInterval(measure, METER_INTERVAL);
+  }
+
+  function removeMeter(id) {
+    const meter = meters.get(id);
+    if (!meter) return;
+    meter.source.disconnect();
+    meters.delete(id);
+    setSpeaking(id, false, meter);
+    if (meters.size === 0) {
+      clearInterval(meterTimer);
+      meterTimer = null;
+    }
+  }
+
+  function measure() {
+    const now = Date.now();
+    for (const [id, meter] of meters) {
+      meter.analyser.getFloatTimeDomainData(meter.data);
+      let sum = 0;
+      for (const sample of meter.data) sum += sample * sample;
+      const rms = Math.sqrt(sum / meter.data.length);
+
+      const silenced = id === 'self' ? muted : callState.get(id)?.muted;
+      if (rms > SPEAKING_THRESHOLD && !silenced) meter.lastVoice = now;
+      setSpeaking(id, now - meter.lastVoice < SPEAKING_HOLD);
+    }
+  }
+
+  function setSpeaking(id, speaking, meter = meters.get(id)) {
+    if (!meter || meter.speaking === speaking) return;
+    meter.speaking = speaking;
+    emit('speaking', { peerId: id, speaking });
+  }
+
+  // ── Queries ─────────────────────────────────────────
+  function getState() {
+    return { inCall, muted };
+  }
+
+  // peerId 'self' describes us
+  function getParticipant(peerId) {
+    if (peerId === 'self') {
+      return { inCall, muted, speaking: !!meters.get('self')?.speaking, volume: 1 };
+    }
+    const state = callState.get(peerId) || { inCall: false, muted: false };
+    return {
+      ...state,
+      speaking: !!meters.get(peerId)?.speaking,
+      volume: volumes.has(peerId) ? volumes.get(peerId) : 1
+    };
+  }
+
+  MorphRTC.on('remote-track', handleRemoteTrack);
+
+  MorphRTC.on('message', (data) => {
+    if (data.type === 'call-state') handleCallState(data);
+  });
+
+  // Newcomers learn that we're in the call
+  MorphRTC.on('peer-encrypted', ({ peerId }) => {
+    if (inCall) MorphRTC.sendToPeer(peerId, callStateMessage());
+  });
+
+  MorphRTC.on('peer-disconnected', ({ peerId }) => dropPeer(peerId));
+
+  return {
+    join,
+    leave,
+    setMuted,
+    toggleMute,
+    setPeerVolume,
+    createSyntheticStream,
+    getState,
+    getParticipant,
+    reset,
+    on
+  };
+})();
+
+window.MorphVoice = MorphVoice;
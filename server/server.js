@@ -0,0 +1,431 @@
+// MorphStorm Signaling Server
+// Room lifecycle + WebRTC signal relay. The server only ever sees names,
+// PINs and SDP/ICE blobs — chat traffic flows peer-to-peer and encrypted.
+//
+// Run locally:   cd server && npm install && npm start
+// Then point MorphConfig.SIGNALING_URL at 'ws://localhost:5000'.
+
+const http = require('http');
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+
+const PORT = Number(process.env.PORT) || 5000;
+const HOST = process.env.HOST || '0.0.0.0';
+
+// Keep in sync with js/config.js
+const MAX_GROUP_PEERS = 16;
+const MAX_DM_PEERS = 2;
+const MAX_BACKFILL = 100;
+const MAX_NAME_LENGTH = 20;
+const MAX_ROOM_NAME_LENGTH = 30;
+const MAX_PAYLOAD = 64 * 1024;
+const HEARTBEAT_INTERVAL = 30000;
+// A dropped client keeps its peer ID and room seat this long, so it can
+// resume with its token instead of rejoining as a stranger
+const RESUME_GRACE = 30000;
+// Members whose seat expired, remembered per room so they can come back
+// through a lock (see joinRoom)
+const MAX_DEPARTED = 64;
+const ROOM_TYPES = ['group', 'dm'];
+
+const peers = new Map(); // peerId -> { id, ws, name, roomId, alive, resumeToken, expiryTimer, kickedFrom }
+// roomId -> { id, name, type, pin, hostId, locked, backfill, members: Set<peerId>,
+//             kicked: Set<peerId>, departed: Map<peerId, resumeToken> }
+const rooms = new Map();
+const pins = new Map();  // pin -> roomId
+
+// ── Helpers ─────────────────────────────────────────
+function send(peer, msg) {
+  // Detached peers (waiting to resume) simply miss the message
+  if (peer.ws && peer.ws.readyState === WebSocket.OPEN) {
+    peer.ws.send(JSON.stringify(msg));
+  }
+}
+
+function sendError(peer, message) {
+  send(peer, { type: 'error', message });
+}
+
+function broadcastToRoom(room, msg, exceptPeerId = null) {
+  for (const memberId of room.members) {
+    if (memberId === exceptPeerId) continue;
+    const member = peers.get(memberId);
+    if (member) send(member, msg);
+  }
+}
+
+function cleanName(value, maxLength) {
+  if (typeof value !== 'string') return '';
+  return value.trim().slice(0, maxLength);
+}
+
+// 6-digit PIN, unique among live rooms
+function generatePin() {
+  let pin;
+  do {
+    pin = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  } while (pins.has(pin));
+  return pin;
+}
+
+function roomCapacity(room) {
+  return room.type === 'dm' ? MAX_DM_PEERS : MAX_GROUP_PEERS;
+}
+
+// ── Room lifecycle ──────────────────────────────────
+function createRoom(peer, msg) {
+  const name = cleanName(msg.name, MAX_NAME_LENGTH);
+  if (!name) return sendError(peer, 'Display name required');
+
+  const roomType = ROOM_TYPES.includes(msg.roomType) ? msg.roomType : 'group';
+  const roomName = cleanName(msg.roomName, MAX_ROOM_NAME_LENGTH) ||
+    (roomType === 'dm' ? 'DM' : 'MorphStorm Room');
+  // How many recent messages members offer late joiners (0 = off)
+  const backfill = Number.isInteger(msg.backfill) ? Math.min(Math.max(msg.backfill, 0), MAX_BACKFILL) : 0;
+
+  if (peer.roomId) leaveRoom(peer, { notifySelf: false });
+
+  const room = {
+    id: crypto.randomUUID(),
+    name: roomName,
+    type: roomType,
+    pin: generatePin(),
+    hostId: peer.id,
+    locked: false,
+    backfill,
+    members: new Set([peer.id]),
+    kicked: new Set(),
+    departed: new Map()
+  };
+  rooms.set(room.id, room);
+  pins.set(room.pin, room.id);
+
+  peer.name = name;
+  peer.roomId = room.id;
+
+  console.log(`[SIG] ${name} created ${roomType} room "${roomName}" (${room.pin})`);
+  send(peer, {
+    type: 'room-created',
+    roomId: room.id,
+    roomName: room.name,
+    roomType: room.type,
+    pin: room.pin,
+    hostId: room.hostId,
+    backfill: room.backfill
+  });
+}
+
+// msg.previous: { peerId, token } of the session a client lost, when it's
+// rejoining after its seat expired. It lets a member back into a locked
+// room, and keeps a kicked member out.
+function joinRoom(peer, msg) {
+  const name = cleanName(msg.name, MAX_NAME_LENGTH);
+  if (!name) return sendError(peer, 'Display name required');
+
+  const pin = typeof msg.pin === 'string' ? msg.pin.trim() : '';
+  if (!/^\d{6}$/.test(pin)) return sendError(peer, 'Invalid PIN');
+
+  const room = rooms.get(pins.get(pin));
+  if (!room) return sendError(peer, 'Room not found');
+  if (room.members.has(peer.id)) return sendError(peer, 'Already in this room');
+  const previousId = typeof msg.previous?.peerId === 'string' ? msg.previous.peerId : null;
+  if (room.kicked.has(peer.id) || room.kicked.has(previousId)) {
+    return sendError(peer, 'You were removed from this room');
+  }
+  const returning = room.departed.has(previousId) &&
+    tokensMatch(msg.previous.token, room.departed.get(previousId));
+  if (room.locked && !returning) return sendError(peer, 'Room is locked');
+  if (room.members.size >= roomCapacity(room)) return sendError(peer, 'Room is full');
+  room.departed.delete(previousId);
+
+  if (peer.roomId) leaveRoom(peer, { notifySelf: false });
+
+  const existing = Array.from(room.members)
+    .map(id => peers.get(id))
+    .filter(Boolean)
+    .map(p => ({ id: p.id, name: p.name }));
+
+  peer.name = name;
+  peer.roomId = room.id;
+  room.members.add(peer.id);
+
+  console.log(`[SIG] ${name} joined "${room.name}" (${room.members.size}/${roomCapacity(room)})`);
+  send(peer, {
+    type: 'room-joined',
+    roomId: room.id,
+    roomName: room.name,
+    roomType: room.type,
+    hostId: room.hostId,
+    locked: room.locked,
+    backfill: room.backfill,
+    peers: existing
+  });
+  broadcastToRoom(room, { type: 'peer-joined', peerId: peer.id, peerName: peer.name }, peer.id);
+}
+
+// handoverTo: the member a leaving host picked to take over (if any)
+function leaveRoom(peer, { notifySelf = true, reason = 'left', handoverTo = null } = {}) {
+  const room = rooms.get(peer.roomId);
+  peer.roomId = null;
+  if (!room) return;
+
+  room.members.delete(peer.id);
+  broadcastToRoom(room, { type: 'peer-left', peerId: peer.id, peerName: peer.name, reason });
+
+  if (room.members.size === 0) {
+    rooms.delete(room.id);
+    pins.delete(room.pin);
+    console.log(`[SIG] Room "${room.name}" closed`);
+  } else if (room.hostId === peer.id) {
+    // Picked successor, or else whoever has been here longest
+    const next = room.members.has(handoverTo) ? handoverTo : room.members.values().next().value;
+    setHost(room, next);
+  }
+
+  if (notifySelf) send(peer, { type: 'left-room', roomId: room.id });
+}
+
+// ── Moderation (host only) ──────────────────────────
+function hostRoom(peer) {
+  const room = rooms.get(peer.roomId);
+  if (!room) {
+    sendError(peer, 'Not in a room');
+    return null;
+  }
+  if (room.hostId !== peer.id) {
+    sendError(peer, 'Only the host can do that');
+    return null;
+  }
+  return room;
+}
+
+function setHost(room, peerId) {
+  room.hostId = peerId;
+  const host = peers.get(peerId);
+  console.log(`[SIG] ${host?.name || peerId} is now host of "${room.name}"`);
+  broadcastToRoom(room, { type: 'host-changed', hostId: peerId, hostName: host?.name || '' });
+}
+
+function kickPeer(peer, msg) {
+  const room = hostRoom(peer);
+  if (!room) return;
+  const target = peers.get(msg.peerId);
+  if (!target || target === peer || !room.members.has(target.id)) return sendError(peer, 'Peer not in room');
+
+  console.log(`[SIG] ${peer.name} removed ${target.name} from "${room.name}"`);
+  room.kicked.add(target.id);
+  // A detached target misses this; it's repeated when they resume
+  target.kickedFrom = { roomId: room.id, byName: peer.name };
+  send(target, { type: 'kicked', ...target.kickedFrom });
+  leaveRoom(target, { notifySelf: false, reason: 'kicked' });
+  // The kicked set only knows peer IDs, and a fresh socket gets a new one:
+  // the PIN they know has to stop working too
+  replacePin(room, peer);
+}
+
+function lockRoom(peer, msg) {
+  const room = hostRoom(peer);
+  if (!room) return;
+  room.locked = msg.locked === true;
+  broadcastToRoom(room, { type: 'room-locked', locked: room.locked, byName: peer.name });
+}
+
+function rotatePin(peer) {
+  const room = hostRoom(peer);
+  if (room) replacePin(room, peer);
+}
+
+// Old PIN stops working at once; members get the new one
+function replacePin(room, byPeer) {
+  pins.delete(room.pin);
+  room.pin = generatePin();
+  pins.set(room.pin, room.id);
+  broadcastToRoom(room, { type: 'pin-rotated', pin: room.pin, byName: byPeer.name });
+}
+
+function transferHost(peer, msg) {
+  const room = hostRoom(peer);
+  if (!room) return;
+  if (msg.peerId === peer.id || !room.members.has(msg.peerId)) return sendError(peer, 'Peer not in room');
+  setHost(room, msg.peerId);
+}
+
+// Display name change (/nick) while connected
+function setName(peer, msg) {
+  const name = cleanName(msg.name, MAX_NAME_LENGTH);
+  if (!name) return sendError(peer, 'Display name required');
+  if (name === peer.name) return;
+
+  const oldName = peer.name;
+  peer.name = name;
+  const notice = { type: 'peer-renamed', peerId: peer.id, peerName: name, oldName };
+  send(peer, notice);
+  const room = rooms.get(peer.roomId);
+  if (room) broadcastToRoom(room, notice, peer.id);
+}
+
+// ── Signal relay ────────────────────────────────────
+function relaySignal(peer, msg) {
+  const target = peers.get(msg.targetPeerId);
+  if (!target || !peer.roomId || target.roomId !== peer.roomId) {
+    return sendError(peer, 'Peer not in room');
+  }
+  if (!msg.signal || typeof msg.signal !== 'object') return;
+
+  send(target, {
+    type: 'signal',
+    fromPeerId: peer.id,
+    fromPeerName: peer.name,
+    signal: msg.signal
+  });
+}
+
+// ── Session resume ──────────────────────────────────
+function newResumeToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function tokensMatch(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+// Socket went away: hold the seat for RESUME_GRACE before really leaving.
+// The room remembers the lost session so its owner can rejoin it.
+function detachPeer(peer) {
+  peer.ws = null;
+  clearTimeout(peer.expiryTimer);
+  peer.expiryTimer = setTimeout(() => {
+    const room = rooms.get(peer.roomId);
+    if (room) {
+      room.departed.set(peer.id, peer.resumeToken);
+      if (room.departed.size > MAX_DEPARTED) room.departed.delete(room.departed.keys().next().value);
+    }
+    leaveRoom(peer, { notifySelf: false });
+    peers.delete(peer.id);
+  }, RESUME_GRACE);
+}
+
+// Returns the session this socket now speaks for
+function resumeSession(fresh, msg) {
+  const old = peers.get(msg.peerId);
+  if (!old || old === fresh || !tokensMatch(msg.token, old.resumeToken)) {
+    send(fresh, { type: 'resume-failed' });
+    return fresh;
+  }
+
+  // The session this socket has spoken for so far is discarded, seat and all
+  if (fresh.roomId) leaveRoom(fresh, { notifySelf: false });
+  peers.delete(fresh.id);
+
+  clearTimeout(old.expiryTimer);
+  if (old.ws && old.ws !== fresh.ws) old.ws.terminate();
+  old.ws = fresh.ws;
+  old.alive = true;
+  old.resumeToken = newResumeToken();
+
+  console.log(`[SIG] ${old.name || old.id} resumed their session`);
+  send(old, {
+    type: 'resumed',
+    peerId: old.id,
+    resumeToken: old.resumeToken,
+    roomId: old.roomId,
+    // Removed while away: the client must not rejoin on its own
+    kicked: old.kickedFrom || null
+  });
+  old.kickedFrom = null;
+  return old;
+}
+
+// ── Connection handling ─────────────────────────────
+const messageHandlers = {
+  'create-room': createRoom,
+  'join-room': joinRoom,
+  'leave-room': (peer, msg) => leaveRoom(peer, { handoverTo: msg.handoverTo }),
+  'set-name': setName,
+  'kick-peer': kickPeer,
+  'lock-room': lockRoom,
+  'rotate-pin': rotatePin,
+  'transfer-host': transferHost,
+  'signal': relaySignal
+};
+
+function handleConnection(ws) {
+  let peer = {
+    id: crypto.randomUUID(),
+    ws,
+    name: '',
+    roomId: null,
+    alive: true,
+    resumeToken: newResumeToken(),
+    expiryTimer: null
+  };
+  peers.set(peer.id, peer);
+  send(peer, { type: 'welcome', peerId: peer.id, resumeToken: peer.resumeToken });
+
+  ws.on('pong', () => { peer.alive = true; });
+
+  ws.on('message', (data) => {
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch {
+      return;
+    }
+    if (!msg || typeof msg.type !== 'string') return;
+
+    if (msg.type === 'resume') {
+      peer = resumeSession(peer, msg);
+      return;
+    }
+
+    const handler = messageHandlers[msg.type];
+    if (handler) {
+      handler(peer, msg);
+    } else {
+      sendError(peer, `Unknown message type: ${msg.type}`);
+    }
+  });
+
+  ws.on('close', () => {
+    // A resumed session may already belong to a newer socket
+    if (peer.ws !== ws) return;
+    if (peer.roomId) {
+      detachPeer(peer);
+    } else {
+      peers.delete(peer.id);
+    }
+  });
+
+  ws.on('error', (err) => {
+    console.error(`[SIG] Socket error (${peer.id}):`, err.message);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  // Plain HTTP is only used for health checks (e.g. Render)
+  res.writeHead(200, { 'Content-Type': 'text/plain' });
+  res.end(`MorphStorm signaling — ${peers.size} peer(s), ${rooms.size} room(s)\n`);
+});
+
+const wss = new WebSocketServer({ server, maxPayload: MAX_PAYLOAD });
+wss.on('connection', handleConnection);
+
+// Drop sockets that stopped answering pings so their rooms free up
+const heartbeat = setInterval(() => {
+  for (const peer of peers.values()) {
+    if (!peer.ws) continue;
+    if (!peer.alive) {
+      peer.ws.terminate();
+      continue;
+    }
+    peer.alive = false;
+    peer.ws.ping();
+  }
+}, HEARTBEAT_INTERVAL);
+
+wss.on('close', () => clearInterval(heartbeat));
+
+server.listen(PORT, HOST, () => {
+  console.log(`⚡ MorphStorm signaling on ws://localhost:${PORT}`);
+});
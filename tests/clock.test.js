@@ -0,0 +1,59 @@
+// Logical clocks: devices whose wall clocks disagree still agree on stamps
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const MINUTE = 60000;
+
+// A MorphClock on a device whose clock reads `skew` ms ahead of real time
+function device(skew) {
+  const RealDate = Date;
+  const context = {
+    console: { log() {}, warn() {}, error: console.error },
+    Date: class extends RealDate {
+      static now() { return RealDate.now() + skew; }
+    },
+    setInterval,
+    clearInterval,
+    setTimeout,
+    clearTimeout,
+    MorphRTC: { on() {}, getPeerList: () => [], sendToPeer: async () => true }
+  };
+  context.window = context;
+  vm.createContext(context);
+  const file = path.join(__dirname, '..', 'js', 'clock.js');
+  vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: 'clock.js' });
+  return vm.runInContext('MorphClock', context);
+}
+
+test('a stamp one receiver refuses is re-stamped into one every receiver takes', () => {
+  const sender = device(5 * MINUTE);
+  const accurate = device(0);
+  const fast = device(4.5 * MINUTE);
+
+  const first = sender.tick();
+  // The receivers disagree about the original stamp...
+  assert.strictEqual(accurate.isAcceptable(first), false);
+  assert.strictEqual(fast.isAcceptable(first), true);
+
+  // ...so the refusing one reports its time and the sender re-stamps
+  const theirNow = accurate.now();
+  assert.ok(sender.isAheadOf(first, theirNow));
+  assert.ok(sender.fallBackTo(theirNow));
+  const second = sender.tick();
+  assert.ok(second.wall < first.wall);
+  assert.strictEqual(accurate.isAcceptable(second), true);
+  assert.strictEqual(fast.isAcceptable(second), true);
+
+  // Later messages keep coming in acceptable
+  assert.strictEqual(accurate.isAcceptable(sender.tick()), true);
+});
+
+test('a peer can\'t set our clock back further than an hour', () => {
+  const clock = device(0);
+  const before = clock.tick();
+  assert.strictEqual(clock.fallBackTo(Date.now() - 2 * 60 * MINUTE), false);
+  assert.ok(clock.tick().wall >= before.wall);
+});
@@ -0,0 +1,34 @@
+// Delivery tracking: the outbox, acks and retries over a real (fake) mesh
+const test = require('node:test');
+const assert = require('node:assert');
+const { createNetwork, waitFor } = require('./harness');
+
+test('a message sent before the key exchange goes out once', async () => {
+  const net = createNetwork();
+  const alice = await net.createNode('alice', 'Alice', { modules: ['delivery.js'] });
+  const bob = await net.createNode('bob', 'Bob', { modules: ['delivery.js'] });
+  // Every copy that reaches Bob, before de-duplication; acked like app.js does
+  const received = [];
+  bob.rtc.on('message', (data) => {
+    if (data.type !== 'chat') return;
+    received.push(data.id);
+    bob.get('MorphDelivery').receive(data);
+  });
+  const statuses = [];
+  alice.get('MorphDelivery').on('status', ({ status }) => statuses.push(status));
+
+  try {
+    const linking = alice.rtc.connectToPeer('bob', 'Bob');
+    await waitFor(() => alice.rtc.getPeerList().length === 1, { message: 'Bob in Alice\'s peer list' });
+    assert.notStrictEqual(alice.rtc.getPeerList()[0].state, 'encrypted');
+    alice.get('MorphDelivery').send({ type: 'chat', id: 'm1', text: 'early' }, 'bob');
+    await linking;
+
+    await waitFor(() => statuses.includes('delivered'), { message: 'the delivery ack' });
+    await new Promise(resolve => setTimeout(resolve, 100)); // room for a duplicate
+    assert.deepStrictEqual(received, ['m1']);
+  } finally {
+    alice.rtc.disconnectAll();
+    bob.rtc.disconnectAll();
+  }
+});
@@ -0,0 +1,54 @@
+// Connection diagnostics: reports that leave the device carry no addresses
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const UA = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+function loadDiagnostics() {
+  const context = {
+    console: { log() {}, warn() {}, error: console.error },
+    navigator: { userAgent: UA },
+    MorphConfig: { VERSION: 'test', SIGNALING_URL: 'wss://signal.example', ICE_SERVERS: [{ urls: 'stun:stun.example:3478' }] },
+    MorphRTC: { on() {}, off() {} }
+  };
+  context.window = context;
+  vm.createContext(context);
+  const file = path.join(__dirname, '..', 'js', 'diagnostics.js');
+  vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: 'diagnostics.js' });
+  return vm.runInContext('MorphDiagnostics', context);
+}
+
+const diagnostics = loadDiagnostics();
+
+test('redact scrubs IPv4, IPv6 and mDNS names', () => {
+  const cases = [
+    ['host udp 192.168.1.20:50000', 'host udp [ip]:50000'],
+    ['srflx udp 2a02:810d::9a1', 'srflx udp [ip]'],
+    ['srflx udp [2a02:810d::9a1]:54321', 'srflx udp [[ip]]:54321'],
+    ['srflx udp 2a02:810d:4b3f:e500:1c2e:5bff:fe6e:9a1', 'srflx udp [ip]'],
+    ['srflx udp 2a02:810d:4b3f:e500:1c2e:5bff:fe6e:9a1:54321', 'srflx udp [ip]'],
+    ['srflx udp [2a02:810d:4b3f:e500:1c2e:5bff:fe6e:9a1]:54321', 'srflx udp [[ip]]:54321'],
+    ['host udp 0f3c5a2e-7b1d-4e8a-9c6f-2d4b8e1a7c3f.local:61000', 'host udp [mdns]:61000']
+  ];
+  for (const [input, expected] of cases) assert.strictEqual(diagnostics.redact(input), expected, input);
+  // Times aren't addresses
+  assert.strictEqual(diagnostics.redact('Generated at 12:30:45'), 'Generated at 12:30:45');
+});
+
+test('a report keeps the browser version and drops candidate addresses', () => {
+  const report = diagnostics.buildReport([{
+    name: 'Bob',
+    state: 'encrypted',
+    timing: {},
+    pair: {
+      local: { type: 'host', protocol: 'udp', address: '0f3c5a2e-7b1d-4e8a-9c6f-2d4b8e1a7c3f.local', port: 61000 },
+      remote: { type: 'srflx', protocol: 'udp', address: '2a02:810d:4b3f:e500:1c2e:5bff:fe6e:9a1', port: 54321 }
+    }
+  }]);
+  assert.ok(report.includes(`Browser: ${UA}`), 'user agent was altered');
+  assert.ok(!report.includes('2a02:810d'), 'IPv6 address leaked');
+  assert.ok(!report.includes('0f3c5a2e'), 'mDNS name leaked');
+});
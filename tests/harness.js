@@ -0,0 +1,251 @@
+// Headless harness: runs the browser modules in Node with an in-memory
+// WebRTC and Web Audio, so mesh behaviour can be checked without a browser,
+// network or microphone. Run the tests with:  node --test tests/
+//
+// Each node gets its own vm context (its own MorphRTC, MorphIdentity, …);
+// signals and data-channel frames between them are delivered in order on
+// the next macrotask, like a very fast network.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+// ── Fake WebRTC ───────────────────────────────────────
+function createNetwork() {
+  const connections = new Map(); // token -> FakePeerConnection
+  const nodes = new Map();       // peerId -> node
+  let nextToken = 0;
+
+  class FakeTrack {
+    constructor(kind = 'audio') {
+      this.kind = kind;
+      this.id = `track-${++nextToken}`;
+      this.enabled = true;
+      this.readyState = 'live';
+      this.listeners = [];
+    }
+    addEventListener(type, cb) { if (type === 'ended') this.listeners.push(cb); }
+    stop() {
+      this.readyState = 'ended';
+      this.listeners.forEach(cb => cb());
+    }
+  }
+
+  class FakeMediaStream {
+    constructor(tracks = []) { this.tracks = tracks; }
+    getTracks() { return this.tracks.slice(); }
+    getAudioTracks() { return this.tracks.filter(t => t.kind === 'audio'); }
+  }
+
+  class FakeChannel {
+    constructor(label) {
+      this.label = label;
+      this.readyState = 'connecting';
+      this.bufferedAmount = 0;
+      this.remote = null;
+    }
+    send(data) {
+      if (this.readyState !== 'open') throw new Error('Channel not open');
+      const remote = this.remote;
+      setTimeout(() => {
+        if (remote.readyState === 'open') remote.onmessage?.({ data });
+      }, 0);
+    }
+    addEventListener() {}
+    removeEventListener() {}
+    close() {
+      this.readyState = 'closed';
+      const remote = this.remote;
+      if (remote && remote.readyState === 'open') {
+        remote.readyState = 'closed';
+        setTimeout(() => remote.onclose?.(), 0);
+      }
+    }
+  }
+
+  class FakePeerConnection {
+    constructor(config) {
+      this.config = config;
+      this.token = `pc-${++nextToken}`;
+      this.signalingState = 'stable';
+      this.iceGatheringState = 'complete';
+      this.iceConnectionState = 'new';
+      this.connectionState = 'new';
+      this.localDescription = null;
+      this.remote = null;
+      this.channel = null;
+      this.senders = [];
+      this.negotiationQueued = false;
+      connections.set(this.token, this);
+    }
+    createDataChannel(label) {
+      this.channel = new FakeChannel(label);
+      return this.channel;
+    }
+    async createOffer() { return { type: 'offer', sdp: this.token }; }
+    async createAnswer() { return { type: 'answer', sdp: this.token }; }
+    async setLocalDescription(desc) {
+      this.localDescription = desc;
+      this.signalingState = desc.type === 'offer' ? 'have-local-offer' : 'stable';
+    }
+    async setRemoteDescription(desc) {
+      const remote = connections.get(desc.sdp);
+      if (!remote) throw new Error('Unknown remote description');
+      this.remote = remote;
+      this.signalingState = desc.type === 'offer' ? 'have-remote-offer' : 'stable';
+      if (desc.type === 'answer' && this.channel && !this.channel.remote) this.link(remote);
+    }
+    // The initiator's answer arrived: open the data channel on both ends
+    link(remote) {
+      const theirs = new FakeChannel(this.channel.label);
+      this.channel.remote = theirs;
+      theirs.remote = this.channel;
+      remote.ondatachannel?.({ channel: theirs });
+      setTimeout(() => {
+        for (const pc of [this, remote]) {
+          pc.iceConnectionState = 'connected';
+          pc.connectionState = 'connected';
+        }
+        this.channel.readyState = 'open';
+        theirs.readyState = 'open';
+        this.channel.onopen?.();
+        theirs.onopen?.();
+      }, 0);
+    }
+    addTrack(track) {
+      const sender = { track };
+      this.senders.push(sender);
+      this.queueNegotiation();
+      return sender;
+    }
+    removeTrack(sender) {
+      sender.track = null;
+      this.queueNegotiation();
+    }
+    queueNegotiation() {
+      if (this.negotiationQueued) return;
+      this.negotiationQueued = true;
+      queueMicrotask(() => {
+        this.negotiationQueued = false;
+        if (this.signalingState !== 'closed') this.onnegotiationneeded?.();
+      });
+    }
+    getSenders() { return this.senders.slice(); }
+    // Tracks currently being sent
+    sentTracks() { return this.senders.filter(s => s.track).map(s => s.track); }
+    async addIceCandidate() {}
+    async getStats() { return new Map(); }
+    addEventListener() {}
+    removeEventListener() {}
+    close() {
+      this.signalingState = 'closed';
+      this.channel?.close();
+    }
+  }
+
+  // ── Fake Web Audio (enough for MorphVoice) ──────────
+  class FakeAudioContext {
+    constructor() { this.state = 'running'; }
+    resume() { this.state = 'running'; }
+    createOscillator() {
+      return { frequency: { value: 0 }, connect: n => n, start() {}, stop() {} };
+    }
+    createGain() {
+      return { gain: { value: 1 }, connect: n => n };
+    }
+    createMediaStreamDestination() {
+      return { stream: new FakeMediaStream([new FakeTrack('audio')]) };
+    }
+    createMediaStreamSource() {
+      return { connect: n => n, disconnect() {} };
+    }
+    createAnalyser() {
+      return { fftSize: 2048, getFloatTimeDomainData(data) { data.fill(0); } };
+    }
+  }
+
+  // ── Nodes ───────────────────────────────────────────
+  // modules: extra js/ files to load after the core (e.g. ['voice.js'])
+  async function createNode(peerId, name, { modules = [], roomId = 'room', roomType = 'group' } = {}) {
+    const transport = {
+      getPeerId: () => peerId,
+      sendSignal(targetId, signal) {
+        const target = nodes.get(targetId);
+        if (!target) return;
+        setTimeout(() => {
+          target.rtc.handleSignal(peerId, name, JSON.parse(JSON.stringify(signal)))
+            .catch(err => console.error(`[harness] ${targetId} signal error:`, err));
+        }, 0);
+      }
+    };
+
+    const context = {
+      console: { log() {}, warn() {}, error: console.error },
+      crypto: globalThis.crypto,
+      TextEncoder,
+      TextDecoder,
+      atob,
+      btoa,
+      setTimeout,
+      clearTimeout,
+      setInterval,
+      clearInterval,
+      queueMicrotask,
+      structuredClone,
+      performance,
+      URL,
+      RTCPeerConnection: class extends FakePeerConnection {
+        constructor(config) {
+          super(config);
+          this.owner = peerId;
+        }
+      },
+      RTCSessionDescription: function (desc) { return { ...desc }; },
+      RTCIceCandidate: function (candidate) { return { ...candidate }; },
+      MediaStream: FakeMediaStream,
+      AudioContext: FakeAudioContext,
+      Audio: function () { return { play: async () => {}, pause() {} }; },
+      MorphSignaling: transport
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    for (const file of ['config.js', 'crypto.js', 'identity.js', 'ratchet.js', 'rtc.js', ...modules]) {
+      vm.runInContext(fs.readFileSync(path.join(JS_DIR, file), 'utf8'), context, { filename: file });
+    }
+    const get = global => vm.runInContext(global, context);
+
+    await get('MorphIdentity').init();
+    const rtc = get('MorphRTC');
+    await rtc.init();
+    rtc.setRoomContext({ roomId, roomType });
+    rtc.setLocalName(name);
+
+    const node = { peerId, name, context, get, rtc };
+    nodes.set(peerId, node);
+    return node;
+  }
+
+  // The live RTCPeerConnection a node holds for one of its peers
+  function connectionBetween(node, peerId) {
+    for (const pc of connections.values()) {
+      if (pc.owner === node.peerId && pc.remote?.owner === peerId && pc.signalingState !== 'closed') return pc;
+    }
+    return null;
+  }
+
+  return { createNode, connectionBetween, FakeTrack, FakeMediaStream, nodes };
+}
+
+// Poll until check() is truthy (or fail after timeout ms)
+async function waitFor(check, { timeout = 5000, message = 'condition' } = {}) {
+  const started = Date.now();
+  while (!(await check())) {
+    if (Date.now() - started > timeout) throw new Error(`Timed out waiting for ${message}`);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+module.exports = { createNetwork, waitFor };
@@ -0,0 +1,61 @@
+// Partial-mesh overlay: relayed members come from signed announcements, and
+// only for peer IDs on the signaling roster
+const test = require('node:test');
+const assert = require('node:assert');
+const { createNetwork, waitFor } = require('./harness');
+
+// Join members one by one, the way the app does on room-joined/peer-joined.
+// hidden: peer IDs left off `viewer`'s roster.
+async function bigRoom(count, { viewer = null, hidden = [] } = {}) {
+  const net = createNetwork();
+  const nodes = [];
+  for (let i = 0; i < count; i++) {
+    const node = await net.createNode(`p${i}`, `Peer${i}`);
+    const existing = nodes.map(n => ({ id: n.peerId, name: n.name }));
+    const roster = node.peerId === viewer ? existing.filter(p => !hidden.includes(p.id)) : existing;
+    node.rtc.setRoster(roster.map(p => p.id));
+    for (const other of nodes) {
+      if (!(other.peerId === viewer && hidden.includes(node.peerId))) other.rtc.addToRoster(node.peerId);
+    }
+    // Hidden members don't link to the viewer directly either
+    node.rtc.joinMesh(hidden.includes(node.peerId) ? existing.filter(p => p.id !== viewer) : existing);
+    nodes.push(node);
+  }
+  return { net, nodes };
+}
+
+function known(node) {
+  return node.rtc.getPeerList().filter(p => p.state === 'encrypted').map(p => p.id).sort();
+}
+
+function teardown(nodes) {
+  nodes.forEach(node => node.rtc.disconnectAll());
+}
+
+test('every member of a large room is reachable, directly or relayed', async () => {
+  const { nodes } = await bigRoom(7);
+  try {
+    await waitFor(() => nodes.every(n => known(n).length === nodes.length - 1),
+      { timeout: 15000, message: 'a fully reachable overlay' });
+    assert.ok(nodes.some(n => n.rtc.getPeerList().some(p => p.relayed)), 'expected some relayed peers');
+  } finally {
+    teardown(nodes);
+  }
+});
+
+test('announcements for peer IDs not on the roster are refused', async () => {
+  const { nodes } = await bigRoom(7, { viewer: 'p0', hidden: ['p6'] });
+  const [viewer] = nodes;
+  try {
+    // Everyone else learns everyone; the viewer learns all but p6
+    await waitFor(() => nodes.slice(1).every(n => known(n).length === nodes.length - 1),
+      { timeout: 15000, message: 'the rest of the overlay' });
+    const members = nodes.slice(1, -1).map(n => n.peerId);
+    await waitFor(() => members.every(id => known(viewer).includes(id)),
+      { timeout: 15000, message: 'the viewer\'s roster members' });
+    await new Promise(resolve => setTimeout(resolve, 2000)); // another announce round
+    assert.ok(!viewer.rtc.getPeerList().some(p => p.id === 'p6' && p.relayed), 'p6 was relayed to the viewer');
+  } finally {
+    teardown(nodes);
+  }
+});
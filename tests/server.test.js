@@ -0,0 +1,120 @@
+// Signaling server: runs server/server.js on a spare port and talks to it
+// over real WebSockets
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+const { waitFor } = require('./harness');
+
+const SERVER_DIR = path.join(__dirname, '..', 'server');
+const { WebSocket } = require(require.resolve('ws', { paths: [SERVER_DIR] }));
+
+function startServer() {
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: SERVER_DIR,
+    env: { ...process.env, PORT: String(port), HOST: '127.0.0.1' },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  let output = '';
+  child.stdout.on('data', (chunk) => { output += chunk; });
+  return {
+    port,
+    ready: waitFor(() => output.includes('signaling on'), { message: 'the server to listen' }),
+    stop: () => child.kill()
+  };
+}
+
+// A client that keeps every message it gets; next(type) waits for the next
+// unread one of that type
+async function connect(port) {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}`);
+  const inbox = [];
+  ws.on('message', data => inbox.push(JSON.parse(data)));
+  const client = {
+    ws,
+    send: msg => ws.send(JSON.stringify(msg)),
+    async next(type) {
+      let found;
+      await waitFor(() => {
+        const i = inbox.findIndex(msg => msg.type === type);
+        if (i >= 0) found = inbox.splice(i, 1)[0];
+        return found;
+      }, { message: `a "${type}" message` });
+      return found;
+    },
+    close: () => ws.close()
+  };
+  client.welcome = await client.next('welcome');
+  return client;
+}
+
+async function status(port) {
+  const res = await fetch(`http://127.0.0.1:${port}/`);
+  return res.text();
+}
+
+test('a kicked member can\'t come back on a fresh socket', async () => {
+  const server = startServer();
+  const clients = [];
+  try {
+    await server.ready;
+    const host = await connect(server.port);
+    const guest = await connect(server.port);
+    clients.push(host, guest);
+
+    host.send({ type: 'create-room', name: 'Host' });
+    const { pin } = await host.next('room-created');
+    guest.send({ type: 'join-room', name: 'Guest', pin });
+    await guest.next('room-joined');
+    await host.next('peer-joined');
+
+    host.send({ type: 'kick-peer', peerId: guest.welcome.peerId });
+    await guest.next('kicked');
+    const { pin: newPin } = await host.next('pin-rotated');
+    assert.notStrictEqual(newPin, pin);
+    guest.close();
+
+    // New socket, new peer ID, no `previous`: the old PIN is all they have
+    const again = await connect(server.port);
+    clients.push(again);
+    again.send({ type: 'join-room', name: 'Guest', pin });
+    assert.strictEqual((await again.next('error')).message, 'Room not found');
+  } finally {
+    clients.forEach(client => client.close());
+    server.stop();
+  }
+});
+
+test('resuming from a socket that is already in a room gives up that seat', async () => {
+  const server = startServer();
+  const clients = [];
+  try {
+    await server.ready;
+    const alice = await connect(server.port);
+    const bob = await connect(server.port);
+    const carol = await connect(server.port);
+    clients.push(alice, bob, carol);
+
+    alice.send({ type: 'create-room', name: 'Alice' });
+    await alice.next('room-created');
+    bob.send({ type: 'create-room', name: 'Bob' });
+    const { pin } = await bob.next('room-created');
+    carol.send({ type: 'join-room', name: 'Carol', pin });
+    await carol.next('room-joined');
+
+    // Bob's socket takes over Alice's session
+    bob.send({ type: 'resume', peerId: alice.welcome.peerId, token: alice.welcome.resumeToken });
+    await bob.next('resumed');
+    const left = await carol.next('peer-left');
+    assert.strictEqual(left.peerId, bob.welcome.peerId);
+
+    // No ghost keeps Bob's room open once Carol goes
+    carol.send({ type: 'leave-room' });
+    await carol.next('left-room');
+    assert.match(await status(server.port), /1 room\(s\)/);
+  } finally {
+    clients.forEach(client => client.close());
+    server.stop();
+  }
+});
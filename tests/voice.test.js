@@ -0,0 +1,77 @@
+// Call audio over the mesh, with a synthetic stream instead of a microphone
+const test = require('node:test');
+const assert = require('node:assert');
+const { createNetwork, waitFor } = require('./harness');
+
+async function meshOf(names) {
+  const net = createNetwork();
+  const nodes = [];
+  for (const name of names) {
+    const node = await net.createNode(name.toLowerCase(), name, { modules: ['voice.js'] });
+    node.voice = node.get('MorphVoice');
+    for (const other of nodes) node.rtc.connectToPeer(other.peerId, other.name);
+    nodes.push(node);
+  }
+  await waitFor(() => nodes.every(n => n.rtc.getPeerList().length === nodes.length - 1 &&
+    n.rtc.getPeerList().every(p => p.state === 'encrypted')), { message: 'an encrypted mesh' });
+  return { net, nodes };
+}
+
+// Let the leave announcements go out before the links close
+async function teardown(nodes) {
+  nodes.forEach(node => node.voice.reset());
+  await new Promise(resolve => setTimeout(resolve, 20));
+  nodes.forEach(node => node.rtc.disconnectAll());
+}
+
+test('a synthetic stream is sent to every peer and taken back on leave', async () => {
+  const { net, nodes: [alice, bob, carol] } = await meshOf(['Alice', 'Bob', 'Carol']);
+  try {
+    const stream = alice.voice.createSyntheticStream();
+    await alice.voice.join({ stream });
+    const [track] = stream.getTracks();
+
+    for (const peer of [bob, carol]) {
+      assert.deepStrictEqual(net.connectionBetween(alice, peer.peerId).sentTracks(), [track]);
+    }
+    await waitFor(() => bob.voice.getParticipant('alice').inCall, { message: 'call-state at Bob' });
+
+    alice.voice.leave();
+    for (const peer of [bob, carol]) {
+      assert.deepStrictEqual(net.connectionBetween(alice, peer.peerId).sentTracks(), []);
+    }
+    // Text chat is untouched
+    assert.ok(alice.rtc.getPeerList().every(p => p.state === 'encrypted'));
+  } finally {
+    await teardown([alice, bob, carol]);
+  }
+});
+
+test('a peer flagged as a mismatch stops getting our audio', async () => {
+  const { net, nodes: [alice, bob, carol] } = await meshOf(['Alice', 'Bob', 'Carol']);
+  try {
+    await alice.voice.join({ stream: alice.voice.createSyntheticStream() });
+    const toBob = net.connectionBetween(alice, 'bob');
+    const toCarol = net.connectionBetween(alice, 'carol');
+    assert.strictEqual(toBob.sentTracks().length, 1);
+
+    const negotiations = [];
+    toBob.onnegotiationneeded = ((original) => () => {
+      negotiations.push('bob');
+      original();
+    })(toBob.onnegotiationneeded);
+
+    assert.ok(alice.rtc.setPeerVerification('bob', 'mismatch'));
+    assert.deepStrictEqual(toBob.sentTracks(), []);
+    assert.strictEqual(toCarol.sentTracks().length, 1);
+    await waitFor(() => negotiations.length > 0, { message: 'renegotiation with Bob' });
+
+    // Leaving and rejoining the call doesn't hand it back
+    alice.voice.leave();
+    await alice.voice.join({ stream: alice.voice.createSyntheticStream() });
+    assert.deepStrictEqual(toBob.sentTracks(), []);
+    assert.strictEqual(toCarol.sentTracks().length, 1);
+  } finally {
+    await teardown([alice, bob, carol]);
+  }
+});